@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * Migrate Notion Database Script
+ * Adds the content log columns a database created by an older version is missing
+ * (Theme, Angle, Dish, Cuisine, images, Attempts, Style Edits, Approved By...),
+ * without recreating it. Existing values are kept: columns of the wrong type are
+ * only listed, and changed with --retype (which empties them).
+ *
+ * Usage:
+ *   npm run migrate-notion               # NOTION_DATABASE_ID
+ *   npm run migrate-notion -- --dry-run  # only show what would change
+ *   npm run migrate-notion -- --retype   # also change mismatched column types
+ *   npm run migrate-notion -- <databaseId>
+ */
+
+const { migrateDatabase } = require('../src/services/notion');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const retype = args.includes('--retype');
+  const id = args.find(arg => !arg.startsWith('--'));
+
+  console.log(`\n🗄️  Notion content log migration${dryRun ? ' (dry run)' : ''}\n`);
+
+  const result = await migrateDatabase({ ...(id ? { id } : {}), dryRun, retype });
+
+  if (!result.success) {
+    console.error(result.reason === 'not_configured'
+      ? '❌ NOTION_API_KEY and NOTION_DATABASE_ID (or a database ID argument) are required'
+      : `❌ Migration failed: ${result.error}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const { added, renamed, retyped, mismatched } = result;
+
+  mismatched.forEach(([name, type, expected]) => console.log(
+    `  ⚠️  ${name} is ${type}, expected ${expected}: left as is (--retype changes it and empties the column)`
+  ));
+
+  if (added.length === 0 && renamed.length === 0 && retyped.length === 0) {
+    console.log(mismatched.length ? '\n✅ Nothing else to change.' : '✅ Database is already up to date.');
+    return;
+  }
+
+  added.forEach(name => console.log(`  ➕ ${name}`));
+  renamed.forEach(([from, to]) => console.log(`  ✏️  ${from} → ${to}`));
+  retyped.forEach(name => console.log(`  🔁 ${name} (type changed: existing values in this column may be lost)`));
+
+  const summary = `${added.length} added, ${renamed.length} renamed, ${retyped.length} retyped`;
+  console.log(dryRun ? `\n👀 Would change: ${summary}` : `\n✅ Migrated: ${summary}`);
+}
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * Mock Meta Graph API Server
+ * Local stand-in for graph.facebook.com to test publishing end-to-end
+ *
+ * Usage:
+ *   npm run mock-graph
+ *   META_GRAPH_URL=http://localhost:4010 META_ACCESS_TOKEN=test \
+ *     META_IG_USER_ID=ig123 META_PAGE_ID=page123 META_WORKSPACE_ID=<your Telegram user ID> npm start
+ *
+ * Set MOCK_GRAPH_FAIL=instagram (or facebook) to simulate a failing platform.
+ */
+
+const http = require('http');
+const { URL } = require('url');
+
+const PORT = process.env.MOCK_GRAPH_PORT || 4010;
+const FAIL_PLATFORM = process.env.MOCK_GRAPH_FAIL || null;
+
+// containerId -> { polls, imageUrl, caption }
+const containers = new Map();
+// mediaId -> permalink
+const media = new Map();
+
+let nextId = 1000;
+const newId = (prefix) => `${prefix}_${nextId++}`;
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function graphError(res, message, code = 100) {
+  send(res, 400, { error: { message, type: 'OAuthException', code } });
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (e) {
+        resolve(Object.fromEntries(new URLSearchParams(body)));
+      }
+    });
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const parts = url.pathname.split('/').filter(Boolean);
+  const body = req.method === 'POST' ? await readBody(req) : {};
+  const params = { ...Object.fromEntries(url.searchParams), ...body };
+
+  console.log(`${req.method} ${url.pathname}`, JSON.stringify(body));
+
+  if (!params.access_token) {
+    return graphError(res, 'An access token is required to request this resource.', 104);
+  }
+
+  // POST /{ig-user-id}/media → container
+  if (req.method === 'POST' && parts[1] === 'media') {
+    if (FAIL_PLATFORM === 'instagram') return graphError(res, 'Simulated Instagram failure');
+    if (!params.image_url) return graphError(res, 'image_url is required');
+
+    const id = newId('container');
+    containers.set(id, { polls: 0, imageUrl: params.image_url, caption: params.caption });
+    return send(res, 200, { id });
+  }
+
+  // POST /{ig-user-id}/media_publish → media
+  if (req.method === 'POST' && parts[1] === 'media_publish') {
+    if (!containers.has(params.creation_id)) return graphError(res, 'Invalid creation_id');
+
+    const id = newId('igmedia');
+    media.set(id, { permalink: `https://www.instagram.com/p/${id}/` });
+    return send(res, 200, { id });
+  }
+
+  // POST /{page-id}/photos → page post
+  if (req.method === 'POST' && parts[1] === 'photos') {
+    if (FAIL_PLATFORM === 'facebook') return graphError(res, 'Simulated Facebook failure');
+    if (!params.url) return graphError(res, 'url is required');
+
+    const id = newId('photo');
+    const postId = `${parts[0]}_${id}`;
+    media.set(postId, { permalink_url: `https://www.facebook.com/${parts[0]}/posts/${id}` });
+    return send(res, 200, { id, post_id: postId });
+  }
+
+  // GET /{id}?fields=...
+  if (req.method === 'GET' && parts.length === 1) {
+    const container = containers.get(parts[0]);
+    if (container) {
+      // Report IN_PROGRESS once, like the real API often does
+      container.polls++;
+      return send(res, 200, { id: parts[0], status_code: container.polls > 1 ? 'FINISHED' : 'IN_PROGRESS' });
+    }
+
+    if (media.has(parts[0])) {
+      return send(res, 200, { id: parts[0], ...media.get(parts[0]) });
+    }
+
+    return graphError(res, `Object with ID '${parts[0]}' does not exist`);
+  }
+
+  return graphError(res, `Unknown path components: ${url.pathname}`, 2500);
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Mock Graph API listening on http://localhost:${PORT}`);
+  if (FAIL_PLATFORM) console.log(`   Simulating failures for: ${FAIL_PLATFORM}`);
+});
@@ -8,6 +8,7 @@ const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 const readline = require('readline');
+const { DATABASE_PROPERTIES } = require('../src/services/notion');
 
 // Load config
 const os = require('os');
@@ -62,53 +63,7 @@ async function createDatabase(parentPageId) {
         text: { content: 'WWITHai Content Logs' },
       },
     ],
-    properties: {
-      'Restaurant': {
-        title: {},
-      },
-      'Date': {
-        date: {},
-      },
-      'Status': {
-        select: {
-          options: [
-            { name: 'pending', color: 'yellow' },
-            { name: 'approved', color: 'green' },
-            { name: 'rejected', color: 'red' },
-            { name: 'posted', color: 'blue' },
-          ],
-        },
-      },
-      'User ID': {
-        rich_text: {},
-      },
-      'Caption': {
-        rich_text: {},
-      },
-      'Processing Time (ms)': {
-        number: {
-          format: 'number',
-        },
-      },
-      'Feedback': {
-        rich_text: {},
-      },
-      'Platform': {
-        multi_select: {
-          options: [
-            { name: 'instagram', color: 'pink' },
-            { name: 'tiktok', color: 'purple' },
-            { name: 'facebook', color: 'blue' },
-          ],
-        },
-      },
-      'Original Photo': {
-        url: {},
-      },
-      'Enhanced Photo': {
-        url: {},
-      },
-    },
+    properties: DATABASE_PROPERTIES,
   };
 
   try {
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Usage Report Script
+ * Prints revenue, estimated provider cost and margin per restaurant for a month,
+ * and changes a restaurant's plan.
+ *
+ * Usage:
+ *   npm run usage-report                 # current month
+ *   npm run usage-report -- 2026-09      # a given month
+ *   npm run usage-report -- plan <userId> <essai|starter|pro>
+ *
+ * Reads the bot's store (STORE_BACKEND), so run it where the bot's data lives.
+ */
+
+const { PLANS, setPlan, buildUsageReport } = require('../src/services/usage');
+const { closeStores } = require('../src/services/store');
+
+/**
+ * Format USD amounts, e.g. "12.34 $"
+ */
+function usd(amount) {
+  return `${amount.toFixed(2)} $`;
+}
+
+async function printReport(month) {
+  const report = await buildUsageReport(month);
+  const { rows, totals } = report;
+
+  console.log(`📊 Usage report - ${report.month}\n`);
+
+  if (rows.length === 0) {
+    console.log('No usage recorded.');
+    return;
+  }
+
+  console.table(rows.map(row => ({
+    restaurant: row.restaurant,
+    userId: row.userId,
+    plan: row.plan,
+    posts: row.posts,
+    retries: row.retries,
+    revenue: usd(row.revenueUsd),
+    cost: usd(row.costUsd),
+    margin: usd(row.marginUsd),
+  })));
+
+  console.log(`\nTotal: ${totals.posts} posts, ${totals.retries} retries`);
+  console.log(`Revenue ${usd(totals.revenueUsd)} - cost ${usd(totals.costUsd)} = margin ${usd(totals.marginUsd)}`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command === 'plan') {
+    const [userId, planId] = args;
+    if (!userId || !planId) {
+      console.error(`❌ Usage: usage-report plan <userId> <${Object.keys(PLANS).join('|')}>`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const result = await setPlan(userId, planId);
+    if (!result.success) {
+      console.error(`❌ ${result.error}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`✅ ${userId} is now on the ${result.plan.label} plan`);
+    return;
+  }
+
+  if (command && !/^\d{4}-\d{2}$/.test(command)) {
+    console.error('❌ Month must look like 2026-09');
+    process.exitCode = 1;
+    return;
+  }
+
+  await printReport(command);
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Report failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeStores());
@@ -0,0 +1,475 @@
+/**
+ * Admin Handler
+ * /admin commands for the operators listed in ADMIN_USER_IDS: stats, user
+ * lookup, broadcasts, blocking users and closing stuck sessions
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getStore } = require('../../services/store');
+const { trackUser, getUser, listUsers, setBlocked } = require('../../services/users');
+const { listJobs, JOB_STATES } = require('../../services/jobs');
+const { getUsage, buildUsageReport } = require('../../services/usage');
+const { getProfile } = require('../../services/profiles');
+const { getPipelineStatus } = require('../../services/pipeline');
+const {
+  findSessions,
+  listSessions,
+  getPendingContent,
+  deletePendingContent,
+  SESSION_STATES,
+} = require('./photo');
+const { escapeMarkdown } = require('./settings');
+const { handleUnknown } = require('./start');
+const { adminBroadcastKeyboard, adminSessionsKeyboard } = require('../keyboards/approval');
+const { config } = require('../../utils/config');
+const { logger, logUserAction } = require('../../utils/logger');
+
+// Broadcasts waiting for the admin's confirmation
+const broadcasts = getStore('broadcasts');
+const BROADCAST_TTL_MS = 60 * 60 * 1000;
+
+// Telegram allows about 30 messages per second
+const BROADCAST_DELAY_MS = 50;
+
+const ACTIVE_DAYS = 7;
+const MAX_LISTED_SESSIONS = 10;
+const RECENT_SESSIONS = 5;
+
+// Sessions waiting on the bot rather than on the user
+const BUSY_STATES = [SESSION_STATES.PROCESSING, SESSION_STATES.PUBLISHING];
+
+const BLOCKED_MESSAGE =
+  '🚫 Ton accès à Kai est suspendu.\n\n' +
+  'Pour en savoir plus, écris-nous à support@wwithai.com.';
+
+const ADMIN_HELP = `
+🛠️ *Commandes admin*
+
+/admin stats - Vue d'ensemble
+/admin user <id> - Profil, sessions récentes et quota
+/admin sessions - Sessions en traitement (ou /admin sessions <id>)
+/admin broadcast <message> - Message à tous, avec confirmation
+/admin block <id> - Bloquer un utilisateur
+/admin unblock <id> - Le débloquer
+`;
+
+/**
+ * Whether a Telegram user is an operator
+ */
+function isAdmin(userId) {
+  return config.ADMIN_USER_IDS.includes(String(userId));
+}
+
+/**
+ * Time since an ISO date, e.g. "5 min", "3 h", "2 j"
+ */
+function formatAge(iso) {
+  if (!iso) return '?';
+
+  const minutes = Math.floor((Date.now() - new Date(iso).getTime()) / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h`;
+  return `${Math.floor(minutes / (24 * 60))} j`;
+}
+
+/**
+ * Format USD amounts, e.g. "12.34 $"
+ */
+function usd(amount) {
+  return `${amount.toFixed(2)} $`;
+}
+
+/**
+ * A session is stuck when it says it's generating but no job is queued or running for it
+ */
+function isStuck(contentId, content, activeContentIds) {
+  return content.status === SESSION_STATES.PROCESSING && !activeContentIds.has(contentId);
+}
+
+/**
+ * IDs of sessions with a queued or running job
+ */
+function activeContentIds(jobs) {
+  return new Set(
+    jobs
+      .filter(job => job.status === JOB_STATES.QUEUED || job.status === JOB_STATES.PENDING)
+      .map(job => job.contentId)
+  );
+}
+
+/**
+ * Sessions an admin can close: closing one with a queued or running job would
+ * leave the job charged against the plan, its result then dropped
+ */
+function closableSessions(sessions, active) {
+  return sessions.filter(({ contentId }) => !active.has(contentId));
+}
+
+/**
+ * One line per session for admin lists
+ */
+function formatSessionLine({ contentId, content }, active) {
+  return `• \`${contentId}\` ${escapeMarkdown(content.status)} - ${content.userId} - ${formatAge(content.createdAt)}` +
+    (isStuck(contentId, content, active) ? ' ⚠️ coincée' : '') +
+    (active.has(contentId) ? ' ⏳ job en cours' : '');
+}
+
+/**
+ * Kill buttons for the sessions that can be closed, if any
+ */
+function sessionsKeyboard(sessions, active) {
+  const closable = closableSessions(sessions, active);
+  return closable.length > 0 ? adminSessionsKeyboard(closable) : {};
+}
+
+/**
+ * Middleware: remember every user, and turn away blocked ones (admins can't be locked out)
+ */
+async function userGate(ctx, next) {
+  if (!ctx.from) return next();
+
+  let user = null;
+  try {
+    user = await trackUser(ctx.from, ctx.chat);
+  } catch (error) {
+    logger.warn('Failed to track user', { userId: ctx.from.id, error: error.message });
+  }
+
+  if (user?.blocked && !isAdmin(ctx.from.id)) {
+    logger.info('Update from a blocked user ignored', { userId: ctx.from.id, type: ctx.updateType });
+
+    if (ctx.callbackQuery) {
+      await ctx.answerCbQuery('🚫 Accès suspendu').catch(() => {});
+    } else if (ctx.chat?.type === 'private') {
+      await ctx.reply(BLOCKED_MESSAGE).catch(() => {});
+    }
+    return;
+  }
+
+  return next();
+}
+
+/**
+ * Handle /admin <subcommand> - unknown command for everyone else
+ */
+async function handleAdminCommand(ctx) {
+  const userId = ctx.from.id;
+  if (!isAdmin(userId)) {
+    return handleUnknown(ctx);
+  }
+
+  const text = ctx.message.text || '';
+  const [, subcommand = '', ...args] = text.trim().split(/\s+/);
+  logUserAction(userId, 'admin_command', { subcommand });
+
+  try {
+    switch (subcommand.toLowerCase()) {
+      case 'stats':
+        await showStats(ctx);
+        break;
+      case 'user':
+        await showUser(ctx, args[0]);
+        break;
+      case 'sessions':
+        await showSessions(ctx, args[0]);
+        break;
+      case 'broadcast':
+        await prepareBroadcast(ctx, text.replace(/^\/admin(@\w+)?\s+broadcast\s*/i, ''));
+        break;
+      case 'block':
+        await changeBlocked(ctx, args[0], true);
+        break;
+      case 'unblock':
+        await changeBlocked(ctx, args[0], false);
+        break;
+      default:
+        await ctx.reply(ADMIN_HELP, { parse_mode: 'Markdown' });
+    }
+  } catch (error) {
+    logger.error('Error in admin handler', { error: error.message, userId, subcommand });
+    await ctx.reply('Erreur. Essaie à nouveau.');
+  }
+}
+
+/**
+ * /admin stats - users, sessions, jobs and this month's margin
+ */
+async function showStats(ctx) {
+  const [users, sessions, jobs, report, pipeline] = await Promise.all([
+    listUsers(),
+    listSessions(),
+    listJobs(),
+    buildUsageReport(),
+    getPipelineStatus(),
+  ]);
+
+  const activeSince = Date.now() - ACTIVE_DAYS * 24 * 60 * 60 * 1000;
+  const activeUsers = users.filter(user => user.lastSeenAt && new Date(user.lastSeenAt).getTime() >= activeSince);
+  const blockedUsers = users.filter(user => user.blocked);
+
+  const active = activeContentIds(jobs);
+  const busy = sessions.filter(({ content }) => BUSY_STATES.includes(content.status));
+  const stuck = sessions.filter(({ contentId, content }) => isStuck(contentId, content, active));
+
+  const countJobs = status => jobs.filter(job => job.status === status).length;
+  const { totals } = report;
+
+  await ctx.reply(
+    `🛠️ *Admin - Stats*\n\n` +
+    `👥 Utilisateurs: ${users.length} (${activeUsers.length} actifs sur ${ACTIVE_DAYS} j, ${blockedUsers.length} bloqués)\n` +
+    `🗂️ Sessions: ${sessions.length} (${busy.length} en traitement, ${stuck.length} coincées)\n` +
+    `⚙️ Jobs: ${countJobs(JOB_STATES.QUEUED)} en file, ${countJobs(JOB_STATES.PENDING)} en cours\n` +
+    `📅 Dernières 24 h: ${countJobs(JOB_STATES.COMPLETED)} réussis, ` +
+    `${countJobs(JOB_STATES.FAILED)} échoués, ${countJobs(JOB_STATES.CANCELLED)} annulés\n\n` +
+    `📊 Ce mois: ${totals.posts} posts, ${totals.retries} tentatives\n` +
+    `💵 Revenu ${usd(totals.revenueUsd)} - coût ${usd(totals.costUsd)} = marge ${usd(totals.marginUsd)}\n\n` +
+    `🔌 Pipeline: ${pipeline.mode}${pipeline.fallback ? ' (secours, n8n indisponible)' : ''}`,
+    { parse_mode: 'Markdown' }
+  );
+}
+
+/**
+ * /admin user <id> - profile, recent sessions and quota
+ */
+async function showUser(ctx, id) {
+  if (!/^\d+$/.test(id || '')) {
+    await ctx.reply('Usage: /admin user <id>');
+    return;
+  }
+
+  const [user, profile, usage, sessions, jobs] = await Promise.all([
+    getUser(id),
+    getProfile(id),
+    getUsage(id),
+    findSessions(Number(id)),
+    listJobs(),
+  ]);
+  const { plan } = usage;
+  const recent = sessions.slice(0, RECENT_SESSIONS);
+  const active = activeContentIds(jobs);
+
+  const lines = [`👤 *Utilisateur ${id}*`];
+
+  if (user) {
+    lines.push(
+      `${escapeMarkdown(user.firstName || '?')}${user.username ? ` (@${escapeMarkdown(user.username)})` : ''}` +
+      ` - vu il y a ${formatAge(user.lastSeenAt)}`
+    );
+  } else {
+    lines.push('_Jamais vu par le bot_');
+  }
+  if (user?.blocked) {
+    lines.push(`🚫 Bloqué depuis ${formatAge(user.blocked.at)}`);
+  }
+
+  lines.push(
+    '',
+    `🍽️ Resto: ${profile.name ? escapeMarkdown(profile.name) : '_non défini_'}` +
+      (profile.city ? `, ${escapeMarkdown(profile.city)}` : ''),
+    `💼 Forfait ${plan.label}: ${usage.posts}/${plan.posts} posts, ${usage.retries}/${plan.retries} tentatives`,
+    `💵 Coût estimé ce mois: ${usd(usage.costUsd)}`,
+    '',
+    `🗂️ *Sessions récentes* (${sessions.length})`,
+    ...(recent.length > 0 ? recent.map(session => formatSessionLine(session, active)) : ['_Aucune_'])
+  );
+
+  await ctx.reply(lines.join('\n'), {
+    parse_mode: 'Markdown',
+    ...sessionsKeyboard(recent, active),
+  });
+}
+
+/**
+ * /admin sessions [id] - sessions being processed (or a user's), with buttons to close them
+ */
+async function showSessions(ctx, id) {
+  if (id && !/^\d+$/.test(id)) {
+    await ctx.reply('Usage: /admin sessions [id]');
+    return;
+  }
+
+  const [sessions, jobs] = await Promise.all([
+    id ? findSessions(Number(id)) : listSessions(),
+    listJobs(),
+  ]);
+  const active = activeContentIds(jobs);
+  const shown = (id ? sessions : sessions.filter(({ content }) => BUSY_STATES.includes(content.status)))
+    .slice(0, MAX_LISTED_SESSIONS);
+
+  if (shown.length === 0) {
+    await ctx.reply(id ? `Aucune session pour ${id}.` : '✅ Aucune session en traitement.');
+    return;
+  }
+
+  await ctx.reply(
+    `🗂️ *Sessions ${id ? `de ${id}` : 'en traitement'}*\n\n` +
+    `${shown.map(session => formatSessionLine(session, active)).join('\n')}\n\n` +
+    '_⚠️ coincée: en génération sans job en cours. Les sessions avec un job en cours ne peuvent pas être fermées._',
+    { parse_mode: 'Markdown', ...sessionsKeyboard(shown, active) }
+  );
+}
+
+/**
+ * /admin block|unblock <id>
+ */
+async function changeBlocked(ctx, id, blocked) {
+  if (!/^\d+$/.test(id || '')) {
+    await ctx.reply(`Usage: /admin ${blocked ? 'block' : 'unblock'} <id>`);
+    return;
+  }
+
+  if (blocked && isAdmin(id)) {
+    await ctx.reply('⚠️ Impossible de bloquer un admin.');
+    return;
+  }
+
+  await setBlocked(id, blocked, ctx.from.id);
+  await ctx.reply(blocked ? `🚫 ${id} est bloqué.` : `✅ ${id} est débloqué.`);
+}
+
+/**
+ * /admin broadcast <message> - show a preview with a confirmation button
+ */
+async function prepareBroadcast(ctx, message) {
+  if (!message.trim()) {
+    await ctx.reply('Usage: /admin broadcast <message>');
+    return;
+  }
+
+  const recipients = (await listUsers()).filter(user => user.chatId && !user.blocked);
+  const broadcastId = uuidv4().substring(0, 8);
+
+  await broadcasts.set(broadcastId, {
+    id: broadcastId,
+    message: message.trim(),
+    by: String(ctx.from.id),
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+  }, BROADCAST_TTL_MS);
+
+  await ctx.reply(
+    `📣 *Aperçu de la diffusion*\n\n${escapeMarkdown(message.trim())}\n\n` +
+    `_Envoyer à ${recipients.length} utilisateur(s)?_`,
+    { parse_mode: 'Markdown', ...adminBroadcastKeyboard(broadcastId) }
+  );
+}
+
+/**
+ * Send a confirmed broadcast, then report to the admin
+ */
+async function sendBroadcast(telegram, broadcast, recipients, adminChatId) {
+  let sent = 0;
+  let failed = 0;
+
+  for (const user of recipients) {
+    try {
+      await telegram.sendMessage(user.chatId, broadcast.message);
+      sent++;
+    } catch (error) {
+      // Usually a user who blocked the bot
+      failed++;
+      logger.debug('Broadcast message not delivered', { userId: user.userId, error: error.message });
+    }
+    await new Promise(resolve => setTimeout(resolve, BROADCAST_DELAY_MS));
+  }
+
+  await broadcasts.set(broadcast.id, { ...broadcast, status: 'sent', sent, failed }, BROADCAST_TTL_MS);
+  logger.info('Broadcast sent', { broadcastId: broadcast.id, by: broadcast.by, sent, failed });
+
+  await telegram.sendMessage(adminChatId, `📣 Diffusion terminée: ${sent} envoyé(s), ${failed} échec(s).`);
+}
+
+/**
+ * Handle admin buttons
+ * @param {string} id - Broadcast ID (send, cancel) or session ID (kill)
+ * @param {string} action - send | cancel | kill
+ */
+async function handleAdminCallback(ctx, id, action) {
+  if (!isAdmin(ctx.from.id)) {
+    await ctx.answerCbQuery('Action non reconnue');
+    return;
+  }
+
+  logUserAction(ctx.from.id, 'admin_callback', { id, action });
+
+  switch (action) {
+    case 'send':
+      await confirmBroadcast(ctx, id);
+      break;
+    case 'cancel':
+      await broadcasts.delete(id);
+      await ctx.answerCbQuery('Diffusion annulée');
+      await ctx.editMessageText('❌ Diffusion annulée.');
+      break;
+    case 'kill':
+      await killSession(ctx, id);
+      break;
+    default:
+      await ctx.answerCbQuery('Action non reconnue');
+  }
+}
+
+/**
+ * Start sending a broadcast once, even if the button is tapped twice
+ */
+async function confirmBroadcast(ctx, broadcastId) {
+  const broadcast = await broadcasts.get(broadcastId);
+
+  if (!broadcast || broadcast.status !== 'pending') {
+    await ctx.answerCbQuery('Diffusion expirée ou déjà envoyée');
+    return;
+  }
+
+  await broadcasts.set(broadcastId, { ...broadcast, status: 'sending' }, BROADCAST_TTL_MS);
+
+  const recipients = (await listUsers()).filter(user => user.chatId && !user.blocked);
+  await ctx.answerCbQuery('📣 Envoi en cours...');
+  await ctx.editMessageText(`📣 Envoi à ${recipients.length} utilisateur(s)...`);
+
+  // In the background: a long webhook request would make Telegram deliver the update again
+  sendBroadcast(ctx.telegram, broadcast, recipients, ctx.chat.id)
+    .catch(error => logger.error('Broadcast failed', { broadcastId, error: error.message }));
+}
+
+/**
+ * Close a session and tell its user to start over
+ */
+async function killSession(ctx, contentId) {
+  const content = await getPendingContent(contentId);
+
+  if (!content) {
+    await ctx.answerCbQuery('Session déjà fermée');
+    return;
+  }
+
+  // A job started since the list was shown: let it finish (or time out) instead
+  if (activeContentIds(await listJobs()).has(contentId)) {
+    await ctx.answerCbQuery('⏳ Un job est en cours pour cette session, réessaie quand il sera terminé', { show_alert: true });
+    return;
+  }
+
+  await deletePendingContent(contentId);
+  logger.warn('Session closed by an admin', {
+    contentId,
+    userId: content.userId,
+    status: content.status,
+    by: ctx.from.id,
+  });
+
+  await ctx.answerCbQuery(`🗑️ Session ${contentId} fermée`);
+  await ctx.reply(`🗑️ Session \`${contentId}\` fermée (${escapeMarkdown(content.status)}).`, { parse_mode: 'Markdown' });
+
+  if (content.chatId) {
+    await ctx.telegram.sendMessage(
+      content.chatId,
+      '⚠️ Ta photo en cours a été réinitialisée par notre équipe.\n\n📸 Envoie-la à nouveau pour recommencer!'
+    ).catch(() => {});
+  }
+}
+
+module.exports = {
+  isAdmin,
+  userGate,
+  handleAdminCommand,
+  handleAdminCallback,
+};
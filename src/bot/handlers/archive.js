@@ -0,0 +1,356 @@
+/**
+ * Post Archive Handler
+ * /historique: approved and published posts from the content log, one per page,
+ * to copy a caption again, regenerate the dish with another theme or repost it
+ * on another platform
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getRecord, listRecords, recordGeneration } = require('../../services/contentlog');
+const { publicImageUrl } = require('../../services/contentlog/fields');
+const { getMembership, canApprove } = require('../../services/teams');
+const { getProfile } = require('../../services/profiles');
+const { fetchImage, loadBranding } = require('../../services/images');
+const { storeMedia, publishableImageUrl } = require('../../services/media');
+const { isGroupChat } = require('../../services/groups');
+const { THEMES } = require('../../prompts/themes');
+const {
+  newSession,
+  saveSession,
+  formatCaption,
+  notifyApprovers,
+  SESSION_STATES,
+} = require('./photo');
+const {
+  approvalKeyboard,
+  archiveKeyboard,
+  themeKeyboard,
+  platformKeyboard,
+} = require('../keyboards/approval');
+const { config } = require('../../utils/config');
+const { logger, logUserAction } = require('../../utils/logger');
+
+// Content log statuses listed by /historique
+const ARCHIVE_STATUSES = ['approved', 'posted'];
+
+const STATUS_LABELS = {
+  approved: '✅ Approuvé',
+  posted: '🚀 Publié',
+};
+
+// Photo captions are limited to 1024 characters
+const MAX_CARD_CAPTION = 600;
+
+/**
+ * Users whose posts a user can see: their whole team, or themselves
+ */
+async function authorIds(userId) {
+  const membership = await getMembership(userId);
+  return membership ? Object.keys(membership.team.members) : [String(userId)];
+}
+
+/**
+ * Photo shown for a post: the image as sent, the generated one, or the original
+ * @returns {string|null} Telegram file ID or public URL
+ */
+function postPhoto(record) {
+  const { enhancedFileId, enhancedUrl, originalFileId } = record.fields;
+  return enhancedFileId || publicImageUrl(enhancedUrl) || originalFileId || null;
+}
+
+/**
+ * Past posts for this chat, newest first (in a group, only the posts made there)
+ */
+async function listPosts(ctx) {
+  const records = await listRecords(await authorIds(ctx.from.id), ARCHIVE_STATUSES);
+
+  return records
+    .filter(record => !isGroupChat(ctx.chat) || String(record.fields.chatId) === String(ctx.chat.id))
+    .filter(record => postPhoto(record));
+}
+
+/**
+ * Format a post date (e.g. "12 oct. 2026")
+ */
+function formatDate(iso) {
+  return new Intl.DateTimeFormat('fr-CA', {
+    timeZone: config.TIMEZONE,
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+  }).format(new Date(iso));
+}
+
+/**
+ * Full caption of a post, with its hashtags when known
+ */
+function postCaption(fields) {
+  return fields.hashtags?.length ? formatCaption(fields.caption, fields.hashtags) : fields.caption;
+}
+
+/**
+ * Photo caption of a post's page (plain text: captions may contain Markdown characters)
+ */
+function postCard(record) {
+  const { fields } = record;
+  const theme = THEMES[fields.theme];
+  const caption = fields.caption || '';
+
+  return [
+    `${STATUS_LABELS[fields.status]} · 📅 ${formatDate(fields.date || record.createdAt)}`,
+    theme ? `${theme.emoji} ${theme.label}` : fields.theme,
+    fields.dish ? `🍽️ ${fields.dish}` : null,
+    fields.platforms?.length ? `📱 ${fields.platforms.join(', ')}` : null,
+    '',
+    caption.length > MAX_CARD_CAPTION ? `${caption.substring(0, MAX_CARD_CAPTION)}…` : caption,
+  ].filter(line => line != null).join('\n');
+}
+
+/**
+ * Handle /historique - first page of past posts
+ */
+async function handleArchiveCommand(ctx) {
+  const userId = ctx.from.id;
+  logUserAction(userId, 'archive_command');
+
+  try {
+    const posts = await listPosts(ctx);
+
+    if (posts.length === 0) {
+      await ctx.reply(
+        '📭 Aucun post approuvé pour l\'instant.\n\n' +
+        '📸 Envoie une photo et approuve-la: elle apparaîtra ici.'
+      );
+      return;
+    }
+
+    await ctx.replyWithPhoto(postPhoto(posts[0]), {
+      caption: postCard(posts[0]),
+      reply_markup: archiveKeyboard(posts[0].contentId, 0, posts.length).reply_markup,
+    });
+  } catch (error) {
+    logger.error('Error in archive handler', { error: error.message, userId });
+    await ctx.reply('Erreur. Essaie à nouveau.');
+  }
+}
+
+/**
+ * Handle archpage:<page> - show another post
+ */
+async function handleArchivePage(ctx, page) {
+  const posts = await listPosts(ctx);
+
+  if (posts.length === 0) {
+    await ctx.answerCbQuery('📭 Aucun post approuvé');
+    return;
+  }
+
+  const index = Math.min(Math.max(parseInt(page, 10) || 0, 0), posts.length - 1);
+  const post = posts[index];
+  const caption = postCard(post);
+  const keyboard = archiveKeyboard(post.contentId, index, posts.length);
+
+  // Page counter pressed: nothing to change
+  if (ctx.callbackQuery.message?.caption === caption) {
+    await ctx.answerCbQuery(`${index + 1}/${posts.length}`);
+    return;
+  }
+
+  await ctx.answerCbQuery();
+  await ctx.editMessageMedia(
+    { type: 'photo', media: postPhoto(post), caption },
+    { reply_markup: keyboard.reply_markup }
+  );
+}
+
+/**
+ * Load a past post the user pressing the button can reuse
+ */
+async function getOwnedRecord(ctx, contentId) {
+  const record = await getRecord(contentId);
+
+  if (!record) {
+    await ctx.answerCbQuery('⚠️ Post introuvable');
+    return null;
+  }
+
+  if (!(await authorIds(ctx.from.id)).includes(String(record.userId))) {
+    await ctx.answerCbQuery('⛔ Ce post ne t\'appartient pas');
+    return null;
+  }
+
+  return record;
+}
+
+/**
+ * Resend a post's caption, ready to copy
+ */
+async function resendCaption(ctx, record) {
+  await ctx.answerCbQuery('📋 Caption renvoyée');
+  await ctx.reply(`📋 Copie cette caption:\n\n${postCaption(record.fields)}`);
+}
+
+/**
+ * Start a new session from a post's original photo, at the theme choice
+ */
+async function regenerateWithTheme(ctx, record) {
+  const { fields } = record;
+
+  if (!fields.originalFileId) {
+    await ctx.answerCbQuery('⚠️ La photo d\'origine de ce post n\'est plus disponible', { show_alert: true });
+    return;
+  }
+
+  const contentId = uuidv4().substring(0, 8);
+  const session = await newSession(ctx, fields.originalFileId);
+  await saveSession(contentId, { ...session, status: SESSION_STATES.AWAITING_THEME });
+
+  logUserAction(ctx.from.id, 'archive_regenerate', { contentId, from: record.contentId });
+
+  const previous = THEMES[fields.theme]?.label || fields.theme;
+
+  await ctx.answerCbQuery('🎨 Choisis le nouveau thème');
+  await ctx.reply(
+    `🎨 *Choisis la nouvelle ambiance:*\n\n_Même photo que le post du ${formatDate(fields.date || record.createdAt)}` +
+    `${previous ? ` (${previous})` : ''}_`,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: themeKeyboard(contentId, session.defaultTheme).reply_markup,
+    }
+  );
+}
+
+/**
+ * URL to publish a past post with: its photo as approved (branding included),
+ * or the generated image branded again when that photo isn't known
+ * @returns {Promise<string|null>}
+ */
+async function repostImageUrl(ctx, record) {
+  const { fields } = record;
+
+  if (fields.enhancedFileId) {
+    const link = await ctx.telegram.getFileLink(fields.enhancedFileId);
+    return storeMedia(await fetchImage(link.href));
+  }
+
+  const source = publicImageUrl(fields.enhancedUrl);
+  if (!source) return null;
+
+  const profile = await getProfile(record.userId);
+  return publishableImageUrl(source, await loadBranding(profile, ctx.telegram));
+}
+
+/**
+ * Copy a post into a new approved session and offer the platform choice
+ * Users who can't approve it get a session sent to their team's approvers instead.
+ * The copy gets its own content log record once published.
+ */
+async function repostToPlatform(ctx, record) {
+  const { fields } = record;
+  // Publishing and the bundle need a URL the platforms can fetch
+  const enhancedUrl = publicImageUrl(fields.enhancedUrl) ||
+    (fields.enhancedFileId ? (await ctx.telegram.getFileLink(fields.enhancedFileId)).href : null);
+
+  if (!enhancedUrl) {
+    await ctx.answerCbQuery('⚠️ L\'image de ce post n\'est plus disponible', { show_alert: true });
+    return;
+  }
+
+  const approved = await canApprove(ctx.from.id, record.userId);
+  const contentId = uuidv4().substring(0, 8);
+  const session = {
+    userId: ctx.from.id,
+    chatId: ctx.chat.id,
+    chatType: ctx.chat.type,
+    decorPhotos: [],
+    theme: fields.theme,
+    angle: fields.angle,
+    restaurantName: fields.restaurantName,
+    enhancedUrl,
+    // Set again by the approval otherwise
+    ...(approved ? {
+      approvedImageUrl: await repostImageUrl(ctx, record),
+      approvedFileId: fields.enhancedFileId || null,
+    } : {}),
+    caption: fields.caption,
+    hashtags: fields.hashtags || [],
+    analysis: { dish_name: fields.dish, cuisine_type: fields.cuisine },
+    attempts: fields.attempts,
+    repostOf: record.contentId,
+    createdAt: new Date().toISOString(),
+    status: approved ? SESSION_STATES.APPROVED : SESSION_STATES.PENDING_APPROVAL,
+  };
+  await saveSession(contentId, session);
+
+  recordGeneration(contentId, {
+    userId: String(ctx.from.id),
+    restaurantName: fields.restaurantName,
+    caption: fields.caption,
+    hashtags: fields.hashtags,
+    theme: fields.theme,
+    angle: fields.angle,
+    dish: fields.dish,
+    cuisine: fields.cuisine,
+    originalUrl: fields.originalUrl,
+    originalFileId: fields.originalFileId,
+    chatId: ctx.chat.id,
+    enhancedUrl: fields.enhancedUrl,
+    enhancedFileId: fields.enhancedFileId,
+    hasDecorReference: fields.hasDecorReference,
+    platforms: [],
+    attempt: fields.attempts,
+    repostOf: record.contentId,
+  }).catch(err => logger.warn('Content log write failed', { error: err.message }));
+
+  logUserAction(ctx.from.id, 'archive_repost', { contentId, from: record.contentId, approved });
+
+  if (!approved) {
+    await ctx.answerCbQuery('📨 À faire approuver');
+    await ctx.replyWithPhoto(postPhoto(record), {
+      caption: `📱 Republier ce post\n\n${postCaption(fields)}\n\nUn approbateur de ton équipe doit d'abord le valider.`.substring(0, 1024),
+      reply_markup: approvalKeyboard(contentId).reply_markup,
+    });
+
+    const notified = await notifyApprovers(ctx.telegram, contentId, session);
+    if (notified > 0) {
+      await ctx.reply(`📨 Envoyé à ${notified} approbateur(s) de ton équipe.`);
+    }
+    return;
+  }
+
+  await ctx.answerCbQuery('📱 Choisis la plateforme');
+  await ctx.replyWithPhoto(postPhoto(record), {
+    caption: `📱 Republier ce post\n\n${postCaption(fields)}\n\nSur quelle plateforme?`.substring(0, 1024),
+    reply_markup: platformKeyboard(contentId).reply_markup,
+  });
+}
+
+/**
+ * Handle arch:<contentId>:<action> - caption | theme | platform
+ */
+async function handleArchiveAction(ctx, contentId, action) {
+  const record = await getOwnedRecord(ctx, contentId);
+  if (!record) return;
+
+  logUserAction(ctx.from.id, 'archive_action', { contentId, action });
+
+  switch (action) {
+    case 'caption':
+      await resendCaption(ctx, record);
+      break;
+    case 'theme':
+      await regenerateWithTheme(ctx, record);
+      break;
+    case 'platform':
+      await repostToPlatform(ctx, record);
+      break;
+    default:
+      await ctx.answerCbQuery('Action non reconnue');
+  }
+}
+
+module.exports = {
+  handleArchiveCommand,
+  handleArchivePage,
+  handleArchiveAction,
+};
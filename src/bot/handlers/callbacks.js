@@ -12,12 +12,35 @@ const {
   handleAngleSelection,
   handleImageOk,
   handleImageRetry,
+  SESSION_STATES,
 } = require('./photo');
-const { updateContentEntry } = require('../../services/notion');
+const { handleSettingsCallback } = require('./settings');
+const { handleScheduleCallback } = require('./schedule');
+const { handleMultiVariant, handleVariantChoice } = require('./variants');
+const { handleHistoryNav, handleHistoryOpen } = require('./history');
+const { handleArchivePage, handleArchiveAction } = require('./archive');
+const { handleAdminCallback } = require('./admin');
+const { handleTeamCallback } = require('./team');
+const { handleGroupCallback, announceApproved } = require('./group');
+const { handleStatsCallback } = require('./stats');
+const { canApprove } = require('../../services/teams');
+const { updateRecord } = require('../../services/contentlog');
+const { publishPost, getPublishingAccount } = require('../../services/meta');
+const { getProfile } = require('../../services/profiles');
+const { rewriteCaption } = require('../../services/captions');
+const { recordCosts } = require('../../services/usage');
+const { addVersion, versionNav } = require('../../services/versions');
+const { buildBundle, ALL_PLATFORMS } = require('../../services/bundle');
+const { loadBranding } = require('../../services/images');
+const { publishableImageUrl, approvedImageUrl } = require('../../services/media');
 const {
+  approvalKeyboard,
   styleKeyboard,
   feedbackKeyboard,
   demoKeyboard,
+  confirmPostKeyboard,
+  scheduleReminderKeyboard,
+  platformKeyboard,
 } = require('../keyboards/approval');
 const { logger, logUserAction } = require('../../utils/logger');
 
@@ -40,6 +63,23 @@ const DEMO_CONTENT = {
   },
 };
 
+// Buttons that act on a session (callback data action:<contentId>:...)
+const SESSION_ACTIONS = new Set([
+  'decor', 'theme', 'angle', 'imgok', 'imgretry', 'hist', 'histopen', 'multi', 'variant',
+  'approve', 'modify', 'reject', 'style', 'feedback', 'platform', 'confirm', 'back',
+  'schedule', 'schedday', 'schedat',
+]);
+
+/**
+ * Whether a user may press a session's buttons: its author, or an approver of their team
+ * (in a group everyone sees everyone's buttons)
+ */
+async function canUseSession(userId, contentId) {
+  const content = await getPendingContent(contentId);
+  if (!content || content.userId === userId) return true;
+  return canApprove(userId, content.userId);
+}
+
 /**
  * Main callback handler - routes to specific handlers
  */
@@ -53,6 +93,11 @@ async function handleCallback(ctx) {
   const [action, ...params] = data.split(':');
 
   try {
+    if (SESSION_ACTIONS.has(action) && !(await canUseSession(userId, params[0]))) {
+      await ctx.answerCbQuery('🔒 Ce n\'est pas ta photo', { show_alert: true });
+      return;
+    }
+
     switch (action) {
       case 'decor':
         await handleDecorChoice(ctx, params[0], params[1]);
@@ -69,6 +114,24 @@ async function handleCallback(ctx) {
       case 'imgretry':
         await handleImageRetry(ctx, params[0], params[1]);
         break;
+      case 'hist':
+        await handleHistoryNav(ctx, params[0], params[1]);
+        break;
+      case 'histopen':
+        await handleHistoryOpen(ctx, params[0], params[1]);
+        break;
+      case 'archpage':
+        await handleArchivePage(ctx, params[0]);
+        break;
+      case 'arch':
+        await handleArchiveAction(ctx, params[0], params[1]);
+        break;
+      case 'multi':
+        await handleMultiVariant(ctx, params[0], params[1], params[2]);
+        break;
+      case 'variant':
+        await handleVariantChoice(ctx, params[0], params[1]);
+        break;
       case 'approve':
         await handleApprove(ctx, params[0]);
         break;
@@ -90,6 +153,35 @@ async function handleCallback(ctx) {
       case 'platform':
         await handlePlatformSelect(ctx, params[0], params[1]);
         break;
+      case 'confirm':
+        await handleConfirmPost(ctx, params[0]);
+        break;
+      case 'back':
+        await handleBackToApproval(ctx, params[0]);
+        break;
+      case 'schedule':
+      case 'schedday':
+      case 'schedat':
+      case 'qday':
+      case 'qat':
+      case 'queue':
+        await handleScheduleCallback(ctx, action, params);
+        break;
+      case 'settings':
+        await handleSettingsCallback(ctx, params[0], params[1]);
+        break;
+      case 'team':
+        await handleTeamCallback(ctx, params[0], params[1]);
+        break;
+      case 'admin':
+        await handleAdminCallback(ctx, params[0], params[1]);
+        break;
+      case 'group':
+        await handleGroupCallback(ctx, params[0]);
+        break;
+      case 'stats':
+        await handleStatsCallback(ctx, params[0]);
+        break;
       default:
         logger.warn('Unknown callback action', { action, data });
         await ctx.answerCbQuery('Action non reconnue');
@@ -105,7 +197,7 @@ async function handleCallback(ctx) {
  */
 async function handleApprove(ctx, contentId) {
   const userId = ctx.from.id;
-  const content = getPendingContent(contentId);
+  const content = await getPendingContent(contentId);
 
   logUserAction(userId, 'approve', { contentId });
 
@@ -114,31 +206,212 @@ async function handleApprove(ctx, contentId) {
     return;
   }
 
-  // Update status
-  updatePendingContent(contentId, { status: 'approved' });
-
-  // Update Notion if configured
-  updateContentEntry(contentId, { status: 'approved' })
-    .catch(err => logger.warn('Notion update failed', { error: err.message }));
+  // In a team, only approvers and admins approve
+  if (!(await canApprove(userId, content.userId))) {
+    await ctx.answerCbQuery('🔒 Seul un approbateur de ton équipe peut approuver ce post', { show_alert: true });
+    return;
+  }
 
-  // Format the final content for copying
-  const hashtagString = Array.isArray(content.hashtags)
-    ? content.hashtags.join(' ')
-    : (content.hashtags || '');
-  const fullCaption = `${content.caption || ''}\n\n${hashtagString}`;
+  const profile = await getProfile(content.userId);
+  // The photo as sent (with branding), reused by reminders and /historique
+  const approvedFileId = ctx.callbackQuery.message?.photo?.at(-1)?.file_id || null;
+
+  // Render the approved image once: publishing and scheduled posts send this one
+  await updatePendingContent(contentId, {
+    status: SESSION_STATES.APPROVED,
+    approvedImageUrl: await publishableImageUrl(content.enhancedUrl, await loadBranding(profile, ctx.telegram)),
+    approvedFileId,
+  });
+  logUserAction(userId, 'post_approved', {
+    contentId,
+    authorId: content.userId,
+    theme: content.theme,
+    angle: content.angle,
+    attempts: content.attempts,
+  });
+
+  // Update the content log (the caption may have been rewritten since generation)
+  updateRecord(contentId, {
+    status: 'approved',
+    caption: content.caption,
+    hashtags: content.hashtags,
+    styleEdits: content.styleEdits || 0,
+    approvedBy: ctx.from.first_name || String(userId),
+    enhancedFileId: approvedFileId,
+  })
+    .catch(err => logger.warn('Content log update failed', { error: err.message }));
+
+  const fullCaption = formatFullCaption(content);
 
   await ctx.answerCbQuery('✅ Approuvé!');
 
+  // Session started in a group: show the result to the rest of the staff
+  const announced = await announceApproved(ctx, content, fullCaption);
+
+  if (userId !== content.userId && !announced) {
+    await ctx.telegram.sendMessage(
+      content.chatId,
+      `✅ Ton post a été approuvé par ${ctx.from.first_name || 'ton équipe'}!`
+    ).catch(err => logger.warn('Approval notification failed', { contentId, error: err.message }));
+  }
+
+  // Linked Instagram/Facebook account: offer to publish directly
+  if (getPublishingAccount(profile)) {
+    const platforms = (content.platforms || ['instagram']).join(', ');
+
+    await ctx.editMessageCaption(
+      `🎉 *Post approuvé!*\n\n${fullCaption}\n\n` +
+      `📤 Publier maintenant sur: ${platforms}?`,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: approvedKeyboard(contentId, profile).reply_markup,
+      }
+    );
+    return;
+  }
+
   await ctx.editMessageCaption(
     `🎉 *Post approuvé!*\n\n` +
     `📋 Copie cette caption:\n\n` +
     `\`\`\`\n${fullCaption}\n\`\`\`\n\n` +
     `📤 Prêt à poster sur Instagram!`,
-    { parse_mode: 'Markdown' }
+    {
+      parse_mode: 'Markdown',
+      reply_markup: approvedKeyboard(contentId, profile).reply_markup,
+    }
   );
 
-  // Clean up after a delay
-  setTimeout(() => deletePendingContent(contentId), 300000); // 5 minutes
+  // The session stays until SESSION_TTL_MS so it can still be scheduled
+}
+
+/**
+ * Keyboard under an approved post: publish directly, or schedule a reminder
+ */
+function approvedKeyboard(contentId, profile) {
+  return getPublishingAccount(profile)
+    ? confirmPostKeyboard(contentId)
+    : scheduleReminderKeyboard(contentId);
+}
+
+/**
+ * Handle confirm action - publish the approved post via the Graph API
+ */
+async function handleConfirmPost(ctx, contentId) {
+  const userId = ctx.from.id;
+  const content = await getPendingContent(contentId);
+
+  logUserAction(userId, 'confirm_post', { contentId });
+
+  if (!content) {
+    await ctx.answerCbQuery('⚠️ Contenu expiré');
+    return;
+  }
+
+  if (content.status === SESSION_STATES.PUBLISHING || content.status === SESSION_STATES.POSTED) {
+    await ctx.answerCbQuery('⏳ Déjà en cours de publication');
+    return;
+  }
+
+  // Only a post an approver has approved goes out
+  if (content.status !== SESSION_STATES.APPROVED) {
+    await ctx.answerCbQuery('🔒 Ce post doit d\'abord être approuvé', { show_alert: true });
+    return;
+  }
+
+  if (!(await canApprove(userId, content.userId))) {
+    await ctx.answerCbQuery('🔒 Seul un approbateur de ton équipe peut publier ce post', { show_alert: true });
+    return;
+  }
+
+  await updatePendingContent(contentId, { status: SESSION_STATES.PUBLISHING });
+  await ctx.answerCbQuery('🚀 Publication en cours...');
+
+  const profile = await getProfile(content.userId);
+  const result = await publishPost({
+    imageUrl: approvedImageUrl(content),
+    caption: formatFullCaption(content),
+    platforms: content.platforms || ['instagram'],
+    profile,
+  });
+
+  const published = result.results.filter(r => r.success);
+  const failed = result.results.filter(r => !r.success);
+
+  if (published.length === 0) {
+    // Nothing went out - let the user retry or fall back to copy/paste
+    await updatePendingContent(contentId, { status: SESSION_STATES.APPROVED });
+
+    const reasons = failed.map(r => `• ${r.platform}: ${r.error}`).join('\n') ||
+      '• Aucune plateforme publiable sélectionnée';
+
+    // Plain text: Graph API errors and captions may contain Markdown characters
+    await ctx.editMessageCaption(
+      `😔 Publication échouée\n\n${reasons}\n\n` +
+      `Réessaie, ou copie la caption:\n\n${formatFullCaption(content)}`,
+      { reply_markup: confirmPostKeyboard(contentId).reply_markup }
+    );
+    return;
+  }
+
+  const permalink = published[0].permalink;
+
+  await updatePendingContent(contentId, {
+    status: SESSION_STATES.POSTED,
+    publishedAt: new Date().toISOString(),
+    permalinks: Object.fromEntries(published.map(r => [r.platform, r.permalink])),
+  });
+
+  updateRecord(contentId, { status: 'posted', permalink })
+    .catch(err => logger.warn('Content log update failed', { error: err.message }));
+
+  const links = published.map(r => `✅ ${r.platform}: ${r.permalink}`).join('\n');
+  const errors = failed.map(r => `❌ ${r.platform}: ${r.error}`).join('\n');
+
+  // Plain text: permalinks often contain underscores
+  await ctx.editMessageCaption(`🚀 Post publié!\n\n${links}${errors ? `\n${errors}` : ''}`);
+
+  logger.info('Content published', {
+    userId,
+    contentId,
+    platforms: published.map(r => r.platform),
+  });
+}
+
+/**
+ * Handle back action - return from publish confirmation to approval
+ */
+async function handleBackToApproval(ctx, contentId) {
+  const userId = ctx.from.id;
+  const content = await getPendingContent(contentId);
+
+  logUserAction(userId, 'back_to_approval', { contentId });
+
+  if (!content) {
+    await ctx.answerCbQuery('⚠️ Contenu expiré');
+    return;
+  }
+
+  await updatePendingContent(contentId, { status: SESSION_STATES.PENDING_APPROVAL });
+  await ctx.answerCbQuery('↩️ Retour');
+
+  await ctx.editMessageCaption(
+    `✨ *Voici ta photo transformée!*\n\n${formatFullCaption(content)}\n\n` +
+    `_Approuve pour publier, ou modifie le texte._`,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: approvalKeyboard(contentId, versionNav(content)).reply_markup,
+    }
+  );
+}
+
+/**
+ * Caption followed by its hashtags, as posted
+ */
+function formatFullCaption(content) {
+  const hashtagString = Array.isArray(content.hashtags)
+    ? content.hashtags.join(' ')
+    : (content.hashtags || '');
+  return `${content.caption || ''}\n\n${hashtagString}`;
 }
 
 /**
@@ -146,7 +419,7 @@ async function handleApprove(ctx, contentId) {
  */
 async function handleModify(ctx, contentId) {
   const userId = ctx.from.id;
-  const content = getPendingContent(contentId);
+  const content = await getPendingContent(contentId);
 
   logUserAction(userId, 'modify', { contentId });
 
@@ -165,7 +438,7 @@ async function handleModify(ctx, contentId) {
  */
 async function handleReject(ctx, contentId) {
   const userId = ctx.from.id;
-  const content = getPendingContent(contentId);
+  const content = await getPendingContent(contentId);
 
   logUserAction(userId, 'reject', { contentId });
 
@@ -192,7 +465,7 @@ async function handleReject(ctx, contentId) {
  */
 async function handleStyleChange(ctx, contentId, style) {
   const userId = ctx.from.id;
-  const content = getPendingContent(contentId);
+  const content = await getPendingContent(contentId);
 
   logUserAction(userId, 'style_change', { contentId, style });
 
@@ -201,34 +474,59 @@ async function handleStyleChange(ctx, contentId, style) {
     return;
   }
 
+  // Free-form instruction: wait for the user's reply to this message
+  if (style === 'custom') {
+    await updatePendingContent(contentId, {
+      status: SESSION_STATES.AWAITING_CAPTION_INSTRUCTION,
+      resultMessageId: ctx.callbackQuery.message.message_id,
+    });
+
+    await ctx.answerCbQuery('✍️ Écris ton instruction');
+    await ctx.editMessageCaption(
+      `${formatFullCaption(content)}\n\n` +
+      `✍️ *Réponds à ce message avec ton instruction*\n` +
+      `_ex: « mentionne notre terrasse » ou « enlève le 2e hashtag »_`,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: approvalKeyboard(contentId, versionNav(content)).reply_markup,
+      }
+    );
+    return;
+  }
+
   await ctx.answerCbQuery('🎨 Modification en cours...');
 
-  // Generate new caption based on style
-  let newCaption = content.caption;
-
-  switch (style) {
-    case 'punchy':
-      newCaption = makePunchy(content.caption);
-      break;
-    case 'chill':
-      newCaption = makeChill(content.caption);
-      break;
-    case 'short':
-      newCaption = makeShort(content.caption);
-      break;
-    case 'detailed':
-      newCaption = makeDetailed(content.caption);
-      break;
-    case 'original':
-      // Keep original
-      break;
+  // Always restyle the base caption (the first generated one, or the last
+  // one edited by an instruction) so styles don't compound
+  const originalCaption = content.originalCaption || content.caption;
+  let newCaption = originalCaption;
+
+  if (style !== 'original') {
+    await ctx.editMessageCaption('🎨 *Réécriture de la caption...*', { parse_mode: 'Markdown' });
+
+    const profile = await getProfile(content.userId);
+    const result = await rewriteCaption({
+      caption: originalCaption,
+      style,
+      analysis: content.analysis,
+      theme: content.theme,
+      restaurantName: content.restaurantName,
+      profile,
+    });
+
+    newCaption = result.caption;
+
+    recordCosts(content.userId, { caption: result.calls })
+      .catch(err => logger.warn('Failed to record caption costs', { contentId, error: err.message }));
+    logger.info('Caption restyled', { contentId, style, source: result.source, error: result.error });
   }
 
-  // Update stored content
-  updatePendingContent(contentId, { caption: newCaption });
+  // Update stored content, keeping the previous caption in the history
+  const updated = { ...content, caption: newCaption, originalCaption, styleEdits: (content.styleEdits || 0) + 1 };
+  Object.assign(updated, addVersion(updated, { type: 'caption', style }));
+  await updatePendingContent(contentId, updated);
 
   // Show updated content
-  const { approvalKeyboard } = require('../keyboards/approval');
   const hashtagStr = Array.isArray(content.hashtags)
     ? content.hashtags.join(' ')
     : (content.hashtags || '');
@@ -237,7 +535,7 @@ async function handleStyleChange(ctx, contentId, style) {
     `✨ *Nouvelle version:*\n\n${newCaption}\n\n${hashtagStr}`,
     {
       parse_mode: 'Markdown',
-      reply_markup: approvalKeyboard(contentId).reply_markup,
+      reply_markup: approvalKeyboard(contentId, versionNav(updated)).reply_markup,
     }
   );
 }
@@ -258,13 +556,15 @@ async function handleFeedback(ctx, contentId, feedbackType) {
   };
 
   // Log feedback
-  updateContentEntry(contentId, {
+  const content = await getPendingContent(contentId);
+  updateRecord(contentId, {
     status: 'rejected',
     feedback: feedbackMessages[feedbackType] || feedbackType,
-  }).catch(err => logger.warn('Notion update failed', { error: err.message }));
+    styleEdits: content?.styleEdits || 0,
+  }).catch(err => logger.warn('Content log update failed', { error: err.message }));
 
   // Clean up content
-  deletePendingContent(contentId);
+  await deletePendingContent(contentId);
 
   await ctx.answerCbQuery('Merci pour ton feedback!');
 
@@ -303,7 +603,6 @@ async function handleDemo(ctx, demoType) {
 
   await ctx.answerCbQuery('✨ Génération demo...');
 
-  const { approvalKeyboard } = require('../keyboards/approval');
   const contentId = `demo-${demoType}`;
 
   await ctx.replyWithPhoto(
@@ -317,45 +616,91 @@ async function handleDemo(ctx, demoType) {
 }
 
 /**
- * Handle platform selection
+ * Handle platform selection - build and send the multi-platform bundle
  */
 async function handlePlatformSelect(ctx, contentId, platform) {
   const userId = ctx.from.id;
+  const content = await getPendingContent(contentId);
 
   logUserAction(userId, 'platform_select', { contentId, platform });
 
-  const platforms = platform === 'all'
-    ? ['instagram', 'tiktok', 'facebook']
-    : [platform];
+  if (!content) {
+    await ctx.answerCbQuery('⚠️ Contenu expiré');
+    return;
+  }
+
+  const profile = await getProfile(content.userId);
+
+  if (platform === 'pick') {
+    await ctx.answerCbQuery('📦 Choisis les plateformes');
+    await ctx.editMessageReplyMarkup(platformKeyboard(contentId).reply_markup);
+    return;
+  }
+
+  if (platform === 'cancel') {
+    await ctx.answerCbQuery('↩️ Retour');
+    await ctx.editMessageReplyMarkup(approvedKeyboard(contentId, profile).reply_markup);
+    return;
+  }
+
+  const platforms = platform === 'all' ? ALL_PLATFORMS : [platform];
+
+  if (!platforms.every(p => ALL_PLATFORMS.includes(p))) {
+    await ctx.answerCbQuery('Plateforme inconnue');
+    return;
+  }
+
+  await updatePendingContent(contentId, { platforms });
 
-  updatePendingContent(contentId, { platforms });
+  // Update the content log
+  updateRecord(contentId, { platforms })
+    .catch(err => logger.warn('Content log update failed', { error: err.message }));
 
   await ctx.answerCbQuery(`📱 ${platforms.join(', ')} sélectionné`);
-}
+  await ctx.editMessageReplyMarkup(approvedKeyboard(contentId, profile).reply_markup);
 
-// Caption transformation helpers
-function makePunchy(caption) {
-  return caption
-    .replace(/\./g, '!')
-    .replace(/,/g, ' 🔥')
-    .toUpperCase()
-    .substring(0, 150) + '...';
-}
+  const progressMsg = await ctx.reply('📦 Préparation du pack multi-plateforme...');
+  const branding = await loadBranding(profile, ctx.telegram);
+  const bundle = await buildBundle({ content, platforms, profile, branding });
+  await ctx.telegram.deleteMessage(ctx.chat.id, progressMsg.message_id).catch(() => {});
 
-function makeChill(caption) {
-  return caption
-    .toLowerCase()
-    .replace(/!/g, '.')
-    .replace(/🔥/g, '✨');
-}
+  if (!bundle.success) {
+    logger.error('Bundle failed', { contentId, error: bundle.error });
+    await ctx.reply('😔 Impossible de préparer le pack. Essaie à nouveau.');
+    return;
+  }
 
-function makeShort(caption) {
-  const sentences = caption.split(/[.!?]/);
-  return sentences[0] + '.';
+  await sendBundle(ctx, bundle);
 }
 
-function makeDetailed(caption) {
-  return caption + '\n\n📍 Réservations ouvertes. Lien en bio.';
+/**
+ * Send a bundle: every crop in one media group, then one caption per platform
+ */
+async function sendBundle(ctx, bundle) {
+  const media = bundle.items.flatMap(item => item.renders.map(render => ({
+    type: 'photo',
+    media: render.source ? { source: render.source } : render.url,
+    caption: `${item.label} — ${render.label}`,
+  })));
+
+  // Telegram media groups need at least 2 items
+  if (media.length === 1) {
+    await ctx.replyWithPhoto(media[0].media, { caption: media[0].caption });
+  } else {
+    await ctx.replyWithMediaGroup(media);
+  }
+
+  for (const item of bundle.items) {
+    await ctx.reply(
+      `${item.label}\n\n` +
+      `\`\`\`\n${item.caption}\n\n${item.hashtags.join(' ')}\n\`\`\``,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  if (!bundle.cropped) {
+    await ctx.reply('⚠️ Recadrage indisponible: l\'image originale a été envoyée pour chaque format.');
+  }
 }
 
 module.exports = {
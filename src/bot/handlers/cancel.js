@@ -0,0 +1,41 @@
+/**
+ * Cancel Handler
+ * /cancel removes the user's photos still waiting in the processing queue
+ */
+
+const { cancelQueuedJobs } = require('../../services/jobs');
+const { logger, logUserAction } = require('../../utils/logger');
+
+/**
+ * Handle /cancel - cancel queued jobs (running ones can't be stopped)
+ */
+async function handleCancel(ctx) {
+  const userId = ctx.from.id;
+  logUserAction(userId, 'cancel_command');
+
+  try {
+    const { cancelled, running } = await cancelQueuedJobs(userId);
+
+    if (cancelled > 0) {
+      await ctx.reply(
+        cancelled === 1
+          ? '❌ 1 traitement en attente annulé.'
+          : `❌ ${cancelled} traitements en attente annulés.`
+      );
+      return;
+    }
+
+    await ctx.reply(
+      running > 0
+        ? '⏳ Ton image est déjà en cours de génération, elle ne peut plus être annulée.'
+        : '📭 Rien en attente à annuler.'
+    );
+  } catch (error) {
+    logger.error('Error in cancel handler', { error: error.message, userId });
+    await ctx.reply('Erreur. Essaie à nouveau.');
+  }
+}
+
+module.exports = {
+  handleCancel,
+};
@@ -0,0 +1,142 @@
+/**
+ * Caption Instruction Handler
+ * Free-text caption edits sent as replies to a result message
+ */
+
+const {
+  findActiveSession,
+  findSessionByMessage,
+  updatePendingContent,
+  formatCaption,
+  SESSION_STATES,
+} = require('./photo');
+const { applyInstruction } = require('../../services/captions');
+const { getProfile } = require('../../services/profiles');
+const { recordCosts } = require('../../services/usage');
+const { addVersion, versionNav } = require('../../services/versions');
+const { approvalKeyboard } = require('../keyboards/approval');
+const { logger, logUserAction } = require('../../utils/logger');
+
+// States where the caption is on screen and can be edited
+const EDITABLE_STATES = [
+  SESSION_STATES.PENDING_APPROVAL,
+  SESSION_STATES.AWAITING_CAPTION_INSTRUCTION,
+];
+
+// States where the image is still being reviewed: the caption comes next
+const IMAGE_REVIEW_STATES = [
+  SESSION_STATES.AWAITING_IMAGE_FEEDBACK,
+  SESSION_STATES.AWAITING_VARIANT_CHOICE,
+];
+
+/**
+ * Resolve which session a text message is meant for
+ * A reply to a result photo wins; otherwise a session waiting for an instruction.
+ */
+async function resolveSession(ctx) {
+  const replyTo = ctx.message.reply_to_message;
+
+  if (replyTo) {
+    const session = await findSessionByMessage(ctx.chat.id, replyTo.message_id);
+    if (session) return session;
+  }
+
+  return findActiveSession(ctx.from.id, SESSION_STATES.AWAITING_CAPTION_INSTRUCTION, ctx.chat.id);
+}
+
+/**
+ * Handle a text message that may be a caption instruction
+ * @returns {Promise<boolean>} True if the message was consumed
+ */
+async function handleCaptionInstruction(ctx) {
+  const userId = ctx.from.id;
+  const instruction = ctx.message.text.trim();
+  const session = await resolveSession(ctx);
+
+  if (!session || session.content.userId !== userId) {
+    return false;
+  }
+
+  const { contentId, content } = session;
+
+  // Approved, scheduled or posted: a reply ("merci!") isn't an instruction
+  if (!EDITABLE_STATES.includes(content.status)) {
+    if (!IMAGE_REVIEW_STATES.includes(content.status)) return false;
+
+    await ctx.reply(
+      '✋ Valide d\'abord l\'image (✅ C\'est bon!), ensuite tu pourras modifier la caption.\n\n' +
+      'Pour changer l\'image, utilise ✍️ Réessayer avec une consigne.'
+    );
+    return true;
+  }
+
+  logUserAction(userId, 'caption_instruction', { contentId, length: instruction.length });
+
+  const progressMsg = await ctx.reply('✍️ J\'applique ta consigne...');
+
+  try {
+    const profile = await getProfile(userId);
+    const result = await applyInstruction({
+      caption: content.caption,
+      hashtags: content.hashtags,
+      instruction,
+      analysis: content.analysis,
+      theme: content.theme,
+      restaurantName: content.restaurantName,
+      profile,
+    });
+
+    recordCosts(content.userId, { caption: result.calls })
+      .catch(err => logger.warn('Failed to record caption costs', { contentId, error: err.message }));
+
+    if (!result.success) {
+      logger.warn('Caption instruction failed', { contentId, error: result.error });
+      await ctx.telegram.editMessageText(
+        ctx.chat.id,
+        progressMsg.message_id,
+        undefined,
+        '😔 Je n\'ai pas pu appliquer cette consigne. Reformule-la ou utilise les boutons de style.'
+      );
+      return true;
+    }
+
+    const updated = {
+      ...content,
+      caption: result.caption,
+      hashtags: result.hashtags,
+      // Style buttons rewrite from here on, so they keep the instruction
+      originalCaption: result.caption,
+      styleEdits: (content.styleEdits || 0) + 1,
+      status: SESSION_STATES.PENDING_APPROVAL,
+    };
+    Object.assign(updated, addVersion(updated, { type: 'caption', style: 'custom' }));
+    await updatePendingContent(contentId, updated);
+
+    await ctx.telegram.deleteMessage(ctx.chat.id, progressMsg.message_id).catch(() => {});
+    await ctx.telegram.editMessageCaption(
+      ctx.chat.id,
+      content.resultMessageId,
+      undefined,
+      `✨ *Nouvelle version:*\n\n${formatCaption(result.caption, result.hashtags)}`,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: approvalKeyboard(contentId, versionNav(updated)).reply_markup,
+      }
+    );
+
+    await ctx.reply('✅ Caption mise à jour! Regarde le message au-dessus.', {
+      reply_to_message_id: content.resultMessageId,
+    });
+
+    logger.info('Caption instruction applied', { contentId, source: result.source });
+  } catch (error) {
+    logger.error('Caption instruction error', { contentId, error: error.message });
+    await ctx.reply('😔 Erreur lors de la modification. Réessaie.');
+  }
+
+  return true;
+}
+
+module.exports = {
+  handleCaptionInstruction,
+};
@@ -0,0 +1,137 @@
+/**
+ * Group Handler
+ * /group settings for Telegram groups, and announcing approved posts there
+ */
+
+const { isGroupChat, getGroupSettings, updateGroupSettings } = require('../../services/groups');
+const { getProfile } = require('../../services/profiles');
+const { resultPhoto } = require('./photo');
+const { groupSettingsKeyboard } = require('../keyboards/approval');
+const { logger, logUserAction } = require('../../utils/logger');
+
+const GROUP_ONLY_MESSAGE =
+  '👥 Cette commande s\'utilise dans un groupe.\n\n' +
+  'Ajoute-moi au groupe de ton équipe, puis envoie /group là-bas.';
+
+// Callback param -> setting it toggles
+const TOGGLES = {
+  photos: 'processAllPhotos',
+  announce: 'announceApproved',
+};
+
+/**
+ * Render the group settings
+ */
+function formatGroupSettings(settings, botUsername) {
+  const photos = settings.processAllPhotos
+    ? 'Je traite *toutes les photos* envoyées dans le groupe.'
+    : `Je traite seulement les photos qui me mentionnent (@${botUsername}) ou qui répondent à un de mes messages.`;
+  const announce = settings.announceApproved
+    ? 'Les posts approuvés en privé sont *annoncés* dans le groupe.'
+    : 'Les posts approuvés ne sont *pas annoncés* dans le groupe.';
+
+  return `👥 *Réglages du groupe*\n\n📸 ${photos}\n\n📣 ${announce}\n\n_Seuls les admins du groupe peuvent les changer._`;
+}
+
+/**
+ * Whether a user administers a Telegram group
+ */
+async function isChatAdmin(ctx) {
+  try {
+    const member = await ctx.getChatMember(ctx.from.id);
+    return member.status === 'creator' || member.status === 'administrator';
+  } catch (error) {
+    logger.warn('Chat member lookup failed', { chatId: ctx.chat.id, error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Handle /group - show the group's settings
+ */
+async function handleGroupCommand(ctx) {
+  const userId = ctx.from.id;
+  logUserAction(userId, 'group_settings_opened', { chatId: ctx.chat.id });
+
+  if (!isGroupChat(ctx.chat)) {
+    await ctx.reply(GROUP_ONLY_MESSAGE);
+    return;
+  }
+
+  try {
+    const settings = await getGroupSettings(ctx.chat.id);
+    await ctx.reply(formatGroupSettings(settings, ctx.botInfo.username), {
+      parse_mode: 'Markdown',
+      reply_markup: groupSettingsKeyboard(settings).reply_markup,
+    });
+  } catch (error) {
+    logger.error('Error in group handler', { error: error.message, userId });
+    await ctx.reply('Erreur. Essaie à nouveau.');
+  }
+}
+
+/**
+ * Handle group settings buttons
+ * @param {string} toggle - photos | announce
+ */
+async function handleGroupCallback(ctx, toggle) {
+  const userId = ctx.from.id;
+  const chatId = ctx.chat.id;
+  const field = TOGGLES[toggle];
+
+  logUserAction(userId, 'group_settings_toggle', { chatId, toggle });
+
+  if (!field || !isGroupChat(ctx.chat)) {
+    await ctx.answerCbQuery('Action non reconnue');
+    return;
+  }
+
+  if (!(await isChatAdmin(ctx))) {
+    await ctx.answerCbQuery('🔒 Réservé aux admins du groupe', { show_alert: true });
+    return;
+  }
+
+  const current = await getGroupSettings(chatId);
+  const settings = await updateGroupSettings(chatId, { [field]: !current[field] });
+
+  await ctx.answerCbQuery('✅ Réglage mis à jour');
+  await ctx.editMessageText(formatGroupSettings(settings, ctx.botInfo.username), {
+    parse_mode: 'Markdown',
+    reply_markup: groupSettingsKeyboard(settings).reply_markup,
+  });
+}
+
+/**
+ * Post an approved photo in the group its session started in
+ * Skipped when the approval happened in that group: the post is already there.
+ * @param {Object} ctx - Approve button context
+ * @param {Object} content - Approved session
+ * @param {string} caption - Full caption with hashtags
+ * @returns {Promise<boolean>} Whether the post was announced
+ */
+async function announceApproved(ctx, content, caption) {
+  if (!isGroupChat(content.chatType) || ctx.chat?.id === content.chatId) return false;
+
+  const settings = await getGroupSettings(content.chatId);
+  if (!settings.announceApproved) return false;
+
+  try {
+    const profile = await getProfile(content.userId);
+    const photo = await resultPhoto(ctx.telegram, content.enhancedUrl, profile);
+
+    // Plain text: captions may contain Markdown characters
+    await ctx.telegram.sendPhoto(content.chatId, photo, {
+      caption: `🎉 Nouveau post approuvé par ${ctx.from.first_name || 'l\'équipe'}!\n\n${caption}`,
+    });
+    return true;
+  } catch (error) {
+    logger.warn('Group announcement failed', { chatId: content.chatId, error: error.message });
+    return false;
+  }
+}
+
+module.exports = {
+  handleGroupCommand,
+  handleGroupCallback,
+  announceApproved,
+};
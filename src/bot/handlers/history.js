@@ -0,0 +1,240 @@
+/**
+ * Version History Handler
+ * ⬅️/➡️ navigation between versions and /history to reopen any of them
+ */
+
+const {
+  findSessions,
+  getPendingContent,
+  updatePendingContent,
+  formatCaption,
+  resultPhoto,
+  SESSION_STATES,
+} = require('./photo');
+const { getProfile } = require('../../services/profiles');
+const { isGroupChat } = require('../../services/groups');
+const { restoreVersion, versionNav, describeVersion } = require('../../services/versions');
+const {
+  approvalKeyboard,
+  imageFeedbackKeyboard,
+  historyKeyboard,
+} = require('../keyboards/approval');
+const { logger, logUserAction } = require('../../utils/logger');
+
+// Number of sessions listed by /history
+const HISTORY_SESSIONS = 5;
+
+// States where the message on screen has ⬅️/➡️ buttons
+const NAVIGABLE_STATES = [
+  SESSION_STATES.AWAITING_IMAGE_FEEDBACK,
+  SESSION_STATES.AWAITING_VARIATION_HINT,
+  SESSION_STATES.PENDING_APPROVAL,
+  SESSION_STATES.AWAITING_CAPTION_INSTRUCTION,
+];
+
+// States a session can't be reopened from
+const LOCKED_STATES = {
+  [SESSION_STATES.PROCESSING]: '⏳ Génération en cours, attends un instant',
+  [SESSION_STATES.PUBLISHING]: '🚀 Publication en cours, attends un instant',
+  [SESSION_STATES.SCHEDULED]: '🗓️ Ce post est programmé, gère-le avec /queue',
+};
+
+const STATUS_LABELS = {
+  [SESSION_STATES.AWAITING_IMAGE_FEEDBACK]: '🖼️ Image à valider',
+  [SESSION_STATES.AWAITING_VARIATION_HINT]: '🖼️ Image à valider',
+  [SESSION_STATES.AWAITING_VARIANT_CHOICE]: '🎲 Variante à choisir',
+  [SESSION_STATES.PENDING_APPROVAL]: '✏️ En attente d\'approbation',
+  [SESSION_STATES.AWAITING_CAPTION_INSTRUCTION]: '✏️ En attente d\'approbation',
+  [SESSION_STATES.APPROVED]: '✅ Approuvé',
+  [SESSION_STATES.POSTED]: '🚀 Publié',
+  [SESSION_STATES.SCHEDULED]: '🗓️ Programmé',
+};
+
+/**
+ * Photo caption for a version, matching the stage the session is in
+ */
+function versionCaption(content, index) {
+  const total = content.versions.length;
+  const header = `🕘 *${describeVersion(content.versions[index], index, total)}*`;
+
+  if (content.status === SESSION_STATES.AWAITING_IMAGE_FEEDBACK) {
+    return `${header}\n\n_Est-ce que cette image te convient?_`;
+  }
+
+  return `${header}\n\n${formatCaption(content.caption, content.hashtags)}\n\n` +
+    '_Approuve pour publier, ou modifie le texte._';
+}
+
+/**
+ * Keyboard for a version, matching the stage the session is in
+ */
+function versionKeyboard(contentId, content) {
+  return content.status === SESSION_STATES.AWAITING_IMAGE_FEEDBACK
+    ? imageFeedbackKeyboard(contentId, content.attempts, versionNav(content))
+    : approvalKeyboard(contentId, versionNav(content));
+}
+
+/**
+ * Load a session owned by the user pressing the button
+ */
+async function getOwnedSession(ctx, contentId) {
+  const content = await getPendingContent(contentId);
+
+  if (!content) {
+    await ctx.answerCbQuery('⚠️ Contenu expiré');
+    return null;
+  }
+
+  if (String(content.userId) !== String(ctx.from.id)) {
+    await ctx.answerCbQuery('⛔ Ce post ne t\'appartient pas');
+    return null;
+  }
+
+  return content;
+}
+
+/**
+ * Handle hist:<contentId>:<index> - ⬅️/➡️ on the result message
+ */
+async function handleHistoryNav(ctx, contentId, index) {
+  const content = await getOwnedSession(ctx, contentId);
+  if (!content) return;
+
+  const versionIndex = parseInt(index, 10);
+  const updates = restoreVersion(content, versionIndex);
+
+  if (!updates) {
+    await ctx.answerCbQuery('⚠️ Version introuvable');
+    return;
+  }
+
+  if (!NAVIGABLE_STATES.includes(content.status)) {
+    await ctx.answerCbQuery('⚠️ Ce post est déjà validé, utilise /history');
+    return;
+  }
+
+  logUserAction(ctx.from.id, 'version_nav', { contentId, version: versionIndex });
+
+  const restored = {
+    ...content,
+    ...updates,
+    // A caption instruction or image hint in progress is dropped when moving away
+    status: [SESSION_STATES.AWAITING_IMAGE_FEEDBACK, SESSION_STATES.AWAITING_VARIATION_HINT].includes(content.status)
+      ? SESSION_STATES.AWAITING_IMAGE_FEEDBACK
+      : SESSION_STATES.PENDING_APPROVAL,
+    resultMessageId: ctx.callbackQuery.message.message_id,
+  };
+  await updatePendingContent(contentId, restored);
+
+  await ctx.answerCbQuery(`🕘 Version ${versionIndex + 1}/${content.versions.length}`);
+
+  const caption = versionCaption(restored, versionIndex);
+  const extra = {
+    parse_mode: 'Markdown',
+    reply_markup: versionKeyboard(contentId, restored).reply_markup,
+  };
+
+  if (restored.enhancedUrl === content.enhancedUrl) {
+    await ctx.editMessageCaption(caption, extra);
+  } else {
+    const profile = await getProfile(content.userId);
+    await ctx.editMessageMedia(
+      {
+        type: 'photo',
+        media: await resultPhoto(ctx.telegram, restored.enhancedUrl, profile),
+        caption,
+        parse_mode: 'Markdown',
+      },
+      { reply_markup: extra.reply_markup }
+    );
+  }
+}
+
+/**
+ * Handle /history - list recent sessions and their versions
+ */
+async function handleHistoryCommand(ctx) {
+  const userId = ctx.from.id;
+  logUserAction(userId, 'history_command');
+
+  try {
+    // In a group, only the sessions started in that group
+    const chatId = isGroupChat(ctx.chat) ? ctx.chat.id : null;
+    const sessions = (await findSessions(userId, null, chatId))
+      .filter(({ content }) => content.versions?.length > 0)
+      .slice(0, HISTORY_SESSIONS);
+
+    if (sessions.length === 0) {
+      await ctx.reply('📭 Aucun historique pour l\'instant.\n\n📸 Envoie une photo pour commencer!');
+      return;
+    }
+
+    await ctx.reply(
+      `🕘 *Tes derniers posts* (${sessions.length})\n\n` +
+      '_Choisis une version pour la rouvrir en approbation._',
+      { parse_mode: 'Markdown' }
+    );
+
+    for (const { contentId, content } of sessions) {
+      const { versions } = content;
+      const lines = versions.map((version, i) => describeVersion(version, i, versions.length));
+
+      await ctx.reply(
+        `${STATUS_LABELS[content.status] || content.status}\n\n${lines.join('\n')}`,
+        { reply_markup: historyKeyboard(contentId, versions.length, content.versionIndex).reply_markup }
+      );
+    }
+  } catch (error) {
+    logger.error('Error in history handler', { error: error.message, userId });
+    await ctx.reply('Erreur. Essaie à nouveau.');
+  }
+}
+
+/**
+ * Handle histopen:<contentId>:<index> - reopen a version for approval
+ */
+async function handleHistoryOpen(ctx, contentId, index) {
+  const content = await getOwnedSession(ctx, contentId);
+  if (!content) return;
+
+  const versionIndex = parseInt(index, 10);
+  const updates = restoreVersion(content, versionIndex);
+
+  if (!updates) {
+    await ctx.answerCbQuery('⚠️ Version introuvable');
+    return;
+  }
+
+  if (LOCKED_STATES[content.status]) {
+    await ctx.answerCbQuery(LOCKED_STATES[content.status]);
+    return;
+  }
+
+  logUserAction(ctx.from.id, 'version_reopened', { contentId, version: versionIndex });
+
+  const restored = { ...content, ...updates, status: SESSION_STATES.PENDING_APPROVAL };
+  await updatePendingContent(contentId, restored);
+
+  await ctx.answerCbQuery(`🕘 Version ${versionIndex + 1} rouverte`);
+  await ctx.editMessageReplyMarkup(
+    historyKeyboard(contentId, content.versions.length, versionIndex).reply_markup
+  );
+
+  const profile = await getProfile(content.userId);
+  const resultMsg = await ctx.replyWithPhoto(
+    await resultPhoto(ctx.telegram, restored.enhancedUrl, profile),
+    {
+      caption: versionCaption(restored, versionIndex),
+      parse_mode: 'Markdown',
+      reply_markup: versionKeyboard(contentId, restored).reply_markup,
+    }
+  );
+
+  await updatePendingContent(contentId, { resultMessageId: resultMsg.message_id });
+}
+
+module.exports = {
+  handleHistoryNav,
+  handleHistoryCommand,
+  handleHistoryOpen,
+};
@@ -7,26 +7,37 @@
  * 2. If yes → Accept 1-3 decor photos → "Done" button
  * 3. Show theme selection (Brunch/Lunch/Dinner/Event/Royal)
  * 4. Show angle selection (45°/Overhead/Eye-level/3-4)
- * 5. Process with n8n workflow
- * 6. Show result with approval keyboard
+ * 5. Submit a job to the n8n workflow (or the local pipeline when n8n is down)
+ * 6. Show result with approval keyboard once the job's result comes back
  */
 
 const { v4: uuidv4 } = require('uuid');
-const { processImage } = require('../../services/n8n');
-const { logContentEntry } = require('../../services/notion');
+const { randomSeed } = require('../../services/pipeline');
+const { submitJob, registerJobHandler } = require('../../services/jobs');
+const { estimateDuration, formatProgress, showJobProgress } = require('../../services/progress');
+const { checkQuota, formatQuotaExceeded } = require('../../services/usage');
+const { ROLES, getMembership, getApprovers } = require('../../services/teams');
+const { isGroupChat, getGroupSettings } = require('../../services/groups');
+const { recordGeneration } = require('../../services/contentlog');
+const { getStore } = require('../../services/store');
+const { getProfile, toWebhookProfile } = require('../../services/profiles');
+const { addVersion, versionNav } = require('../../services/versions');
+const { loadBranding, renderBranded } = require('../../services/images');
+const { escapeMarkdown } = require('./settings');
 const {
   decorPromptKeyboard,
   decorDoneKeyboard,
   themeKeyboard,
   angleKeyboard,
   approvalKeyboard,
-  imageFeedbackKeyboard
+  imageFeedbackKeyboard,
+  variantOptionsKeyboard,
 } = require('../keyboards/approval');
 const { logger, logUserAction, logProgress } = require('../../utils/logger');
 const { config } = require('../../utils/config');
 
-// Store for pending content (in-memory, replace with Redis in production)
-const pendingContent = new Map();
+// Store for pending content (backend chosen by STORE_BACKEND, survives restarts)
+const pendingContent = getStore('sessions');
 
 // Session states
 const SESSION_STATES = {
@@ -36,9 +47,30 @@ const SESSION_STATES = {
   AWAITING_ANGLE: 'awaiting_angle',
   PROCESSING: 'processing',
   AWAITING_IMAGE_FEEDBACK: 'awaiting_image_feedback',
+  AWAITING_VARIATION_HINT: 'awaiting_variation_hint',
+  AWAITING_VARIANT_CHOICE: 'awaiting_variant_choice',
   PENDING_APPROVAL: 'pending_approval',
+  AWAITING_CAPTION_INSTRUCTION: 'awaiting_caption_instruction',
+  APPROVED: 'approved',
+  PUBLISHING: 'publishing',
+  POSTED: 'posted',
+  SCHEDULED: 'scheduled',
 };
 
+// Longest "what to change" hint sent to the image model
+const MAX_HINT_LENGTH = 200;
+
+const GENERATE_ERROR_MESSAGE =
+  `😔 Oups! Une erreur est survenue.\n\n` +
+  `Essaie à nouveau avec une autre photo, ou vérifie que:\n` +
+  `• La photo n'est pas trop grande (< 10MB)\n` +
+  `• La connexion internet est stable\n\n` +
+  `Si le problème persiste, contacte @wwithai`;
+
+const VARIATION_ERROR_MESSAGE =
+  '😔 Erreur lors de la génération.\n\n' +
+  'Essaie à nouveau ou envoie une nouvelle photo.';
+
 /**
  * Handle incoming photo - determine if it's food or decor based on session state
  */
@@ -47,34 +79,94 @@ async function handlePhoto(ctx) {
   const chatId = ctx.chat.id;
 
   // Check if user has an active session waiting for decor photos
-  const activeSession = findActiveSession(userId, SESSION_STATES.COLLECTING_DECOR);
+  const activeSession = await findActiveSession(userId, SESSION_STATES.COLLECTING_DECOR, chatId);
 
   if (activeSession) {
     return handleDecorPhoto(ctx, activeSession.contentId);
   }
 
+  // In a group, staff share all kinds of photos: only some of them are for the bot
+  if (isGroupChat(ctx.chat) && !(await isAddressedToBot(ctx))) {
+    logger.debug('Group photo ignored', { userId, chatId });
+    return;
+  }
+
   // New food photo - start new session
   return handleFoodPhoto(ctx);
 }
 
+/**
+ * Whether a group photo is meant for the bot: the group processes every photo,
+ * or the caption mentions the bot, or the photo replies to one of its messages
+ */
+async function isAddressedToBot(ctx) {
+  const settings = await getGroupSettings(ctx.chat.id);
+  if (settings.processAllPhotos) return true;
+
+  const { caption = '', caption_entities: entities = [], reply_to_message: replyTo } = ctx.message;
+  const mention = `@${ctx.botInfo.username}`.toLowerCase();
+  const mentioned = entities.some(entity =>
+    entity.type === 'mention' &&
+    caption.substr(entity.offset, entity.length).toLowerCase() === mention
+  );
+
+  return mentioned || replyTo?.from?.id === ctx.botInfo.id;
+}
+
 /**
  * Find active session for user in specific state
+ * @param {number} [chatId] - Only sessions started in this chat (groups have one per member)
  */
-function findActiveSession(userId, state) {
-  for (const [contentId, content] of pendingContent.entries()) {
-    if (content.userId === userId && content.status === state) {
+async function findActiveSession(userId, state, chatId = null) {
+  for (const [contentId, content] of await pendingContent.entries()) {
+    if (content.userId === userId && content.status === state && (!chatId || content.chatId === chatId)) {
       return { contentId, content };
     }
   }
   return null;
 }
 
+/**
+ * Find the session whose result photo is a given message
+ */
+async function findSessionByMessage(chatId, messageId) {
+  for (const [contentId, content] of await pendingContent.entries()) {
+    if (content.chatId === chatId && content.resultMessageId === messageId) {
+      return { contentId, content };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find all of a user's sessions (optionally in a specific state), newest first
+ */
+async function findSessions(userId, state = null, chatId = null) {
+  return (await pendingContent.entries())
+    .filter(([, content]) =>
+      content.userId === userId &&
+      (!state || content.status === state) &&
+      (!chatId || content.chatId === chatId)
+    )
+    .map(([contentId, content]) => ({ contentId, content }))
+    .sort((a, b) => (b.content.createdAt || '').localeCompare(a.content.createdAt || ''));
+}
+
+/**
+ * Find every user's sessions (optionally in a specific state), newest first
+ */
+async function listSessions(state = null) {
+  return (await pendingContent.entries())
+    .filter(([, content]) => !state || content.status === state)
+    .map(([contentId, content]) => ({ contentId, content }))
+    .sort((a, b) => (b.content.createdAt || '').localeCompare(a.content.createdAt || ''));
+}
+
 /**
  * Handle new food photo - start session flow
  */
 async function handleFoodPhoto(ctx) {
   const userId = ctx.from.id;
-  const chatId = ctx.chat.id;
   const contentId = uuidv4().substring(0, 8);
 
   logUserAction(userId, 'food_photo_received', { contentId });
@@ -94,23 +186,8 @@ async function handleFoodPhoto(ctx) {
       height: photo.height,
     });
 
-    // Get file URL from Telegram
-    const fileLink = await ctx.telegram.getFileLink(fileId);
-    const imageUrl = fileLink.href;
-
     // Store session with food photo
-    pendingContent.set(contentId, {
-      userId,
-      chatId,
-      foodPhotoUrl: imageUrl,
-      foodPhotoFileId: fileId,
-      decorPhotos: [], // Will hold 0-3 decor photo URLs
-      theme: null,
-      angle: null,
-      restaurantName: ctx.from.first_name || 'Restaurant',
-      createdAt: new Date().toISOString(),
-      status: SESSION_STATES.AWAITING_DECOR_CHOICE,
-    });
+    await saveSession(contentId, await newSession(ctx, fileId));
 
     // Ask about decor photos
     await ctx.reply(
@@ -137,11 +214,38 @@ async function handleFoodPhoto(ctx) {
   }
 }
 
+/**
+ * New session for a food photo, waiting for the decor choice
+ * @param {Object} ctx - Telegraf context (the user and chat the session belongs to)
+ * @param {string} fileId - Telegram file ID of the food photo
+ */
+async function newSession(ctx, fileId) {
+  // Get file URL from Telegram
+  const fileLink = await ctx.telegram.getFileLink(fileId);
+  const profile = await getProfile(ctx.from.id);
+
+  return {
+    userId: ctx.from.id,
+    chatId: ctx.chat.id,
+    chatType: ctx.chat.type,
+    foodPhotoUrl: fileLink.href,
+    foodPhotoFileId: fileId,
+    decorPhotos: [], // Will hold 0-3 decor photo URLs
+    theme: null,
+    angle: null,
+    restaurantName: profile.name || ctx.from.first_name || 'Restaurant',
+    defaultTheme: profile.defaultTheme,
+    defaultAngle: profile.defaultAngle,
+    createdAt: new Date().toISOString(),
+    status: SESSION_STATES.AWAITING_DECOR_CHOICE,
+  };
+}
+
 /**
  * Handle decor photo addition
  */
 async function handleDecorPhoto(ctx, contentId) {
-  const content = pendingContent.get(contentId);
+  const content = await getPendingContent(contentId);
   const userId = ctx.from.id;
 
   if (!content) {
@@ -166,7 +270,7 @@ async function handleDecorPhoto(ctx, contentId) {
 
     // Add decor photo to session
     content.decorPhotos.push(fileLink.href);
-    pendingContent.set(contentId, content);
+    await saveSession(contentId, content);
 
     const count = content.decorPhotos.length;
     const remaining = 3 - count;
@@ -200,7 +304,7 @@ async function handleDecorPhoto(ctx, contentId) {
  * Handle decor choice callback (yes/skip/done)
  */
 async function handleDecorChoice(ctx, contentId, choice) {
-  const content = pendingContent.get(contentId);
+  const content = await getPendingContent(contentId);
   const userId = ctx.from.id;
 
   if (!content) {
@@ -213,7 +317,7 @@ async function handleDecorChoice(ctx, contentId, choice) {
   if (choice === 'yes') {
     // User wants to add decor photos
     content.status = SESSION_STATES.COLLECTING_DECOR;
-    pendingContent.set(contentId, content);
+    await saveSession(contentId, content);
 
     await ctx.answerCbQuery('📷 Envoie tes photos de décor');
     await ctx.editMessageText(
@@ -231,7 +335,7 @@ async function handleDecorChoice(ctx, contentId, choice) {
   } else if (choice === 'skip' || choice === 'done') {
     // Skip decor or done collecting - move to theme selection
     content.status = SESSION_STATES.AWAITING_THEME;
-    pendingContent.set(contentId, content);
+    await saveSession(contentId, content);
 
     const decorCount = content.decorPhotos.length;
     const decorMsg = decorCount > 0
@@ -243,7 +347,7 @@ async function handleDecorChoice(ctx, contentId, choice) {
       `🎨 *Choisis l'ambiance de ta photo:*${decorMsg}`,
       {
         parse_mode: 'Markdown',
-        reply_markup: themeKeyboard(contentId).reply_markup,
+        reply_markup: themeKeyboard(contentId, content.defaultTheme).reply_markup,
       }
     );
   }
@@ -253,7 +357,7 @@ async function handleDecorChoice(ctx, contentId, choice) {
  * Handle theme selection - move to angle selection
  */
 async function handleThemeSelection(ctx, contentId, theme) {
-  const content = pendingContent.get(contentId);
+  const content = await getPendingContent(contentId);
   const userId = ctx.from.id;
 
   if (!content) {
@@ -263,7 +367,7 @@ async function handleThemeSelection(ctx, contentId, theme) {
 
   content.theme = theme;
   content.status = SESSION_STATES.AWAITING_ANGLE;
-  pendingContent.set(contentId, content);
+  await saveSession(contentId, content);
 
   logUserAction(userId, 'theme_selected', { contentId, theme });
 
@@ -276,7 +380,7 @@ async function handleThemeSelection(ctx, contentId, theme) {
     '• 3/4 Angle - polyvalent et naturel',
     {
       parse_mode: 'Markdown',
-      reply_markup: angleKeyboard(contentId).reply_markup,
+      reply_markup: angleKeyboard(contentId, content.defaultAngle).reply_markup,
     }
   );
 }
@@ -285,7 +389,7 @@ async function handleThemeSelection(ctx, contentId, theme) {
  * Handle angle selection - start processing
  */
 async function handleAngleSelection(ctx, contentId, angle) {
-  const content = pendingContent.get(contentId);
+  const content = await getPendingContent(contentId);
 
   if (!content) {
     await ctx.answerCbQuery('⚠️ Session expirée');
@@ -294,7 +398,7 @@ async function handleAngleSelection(ctx, contentId, angle) {
 
   content.angle = angle;
   content.status = SESSION_STATES.PROCESSING;
-  pendingContent.set(contentId, content);
+  await saveSession(contentId, content);
 
   // Start processing
   await processWithSettings(ctx, contentId);
@@ -302,9 +406,10 @@ async function handleAngleSelection(ctx, contentId, angle) {
 
 /**
  * Process photo with all selected settings
+ * Submits a generation job; finishGenerate() shows the result when it comes back.
  */
 async function processWithSettings(ctx, contentId) {
-  const content = pendingContent.get(contentId);
+  const content = await getPendingContent(contentId);
 
   if (!content) {
     await ctx.answerCbQuery('⚠️ Session expirée');
@@ -312,99 +417,82 @@ async function processWithSettings(ctx, contentId) {
   }
 
   const { userId, chatId, foodPhotoUrl, decorPhotos, theme, angle, restaurantName } = content;
-  const startTime = Date.now();
   const hasDecorReference = decorPhotos.length > 0;
+  const attempt = (content.attempts || 0) + 1;
+  const seed = randomSeed();
+  // The first image of a photo is a post, later ones are retries
+  const usage = attempt === 1 ? { posts: 1, retries: 0 } : { posts: 0, retries: 1 };
+
+  const quota = await checkQuota(userId, usage);
+  if (!quota.allowed) {
+    logUserAction(userId, 'quota_blocked', { contentId, plan: quota.plan.id, exceeded: quota.exceeded });
+    await updatePendingContent(contentId, { status: SESSION_STATES.AWAITING_ANGLE });
+    await ctx.answerCbQuery('🚫 Limite du forfait atteinte');
+    await ctx.editMessageText(formatQuotaExceeded(quota), {
+      parse_mode: 'Markdown',
+      reply_markup: angleKeyboard(contentId, angle).reply_markup,
+    });
+    return;
+  }
 
   logUserAction(userId, 'processing_started', { contentId, theme, angle, decorCount: decorPhotos.length });
   logProgress(userId, `Processing: theme=${theme}, angle=${angle}`, 'started');
 
   try {
+    const progressTitle = '⏳ *Transformation en cours...*';
+    const etaMs = await estimateDuration('generate');
+
     await ctx.answerCbQuery('⏳ Transformation en cours...');
     await ctx.editMessageText(
-      '⏳ *Transformation en cours...*\n\n' +
-      '🔍 Analyse du plat...\n' +
-      '✨ Application du style...',
+      formatProgress({ title: progressTitle, etaMs }),
       { parse_mode: 'Markdown' }
     );
 
-    // Process through n8n workflow
-    const result = await processImage({
-      imageUrl: foodPhotoUrl,
-      userId: String(userId),
-      chatId: String(chatId),
-      restaurantName,
-      theme,
-      angle,
-      decorPhotos, // Pass decor photos for reference
-      hasDecorReference,
-    });
-
-    const processingTimeMs = Date.now() - startTime;
+    const profile = await getProfile(userId);
 
-    if (!result.success) {
-      throw new Error(result.error || 'Processing failed');
-    }
-
-    // Extract result data
-    const {
-      enhancedUrl = foodPhotoUrl,
-      caption = generateFallbackCaption(theme),
-      hashtags = getDefaultHashtags(theme),
-      analysis = {},
-    } = result.data || {};
-
-    // Update stored content with results - awaiting image feedback first
-    const attempt = (content.attempts || 0) + 1;
-    pendingContent.set(contentId, {
-      ...content,
-      enhancedUrl,
-      caption,
-      hashtags,
-      analysis,
-      processingTimeMs,
-      attempts: attempt,
-      status: SESSION_STATES.AWAITING_IMAGE_FEEDBACK,
+    // Submit to the pipeline (n8n workflow, or local when n8n is down)
+    const submitted = await submitJob({
+      kind: 'generate',
+      contentId,
+      userId,
+      chatId,
+      request: {
+        imageUrl: foodPhotoUrl,
+        userId: String(userId),
+        chatId: String(chatId),
+        restaurantName,
+        theme,
+        angle,
+        decorPhotos, // Pass decor photos for reference
+        hasDecorReference,
+        profile: toWebhookProfile(profile),
+        attemptNumber: attempt,
+        seed,
+      },
+      meta: {
+        progressMessageId: ctx.callbackQuery.message.message_id,
+        progressTitle,
+        etaMs,
+        attempt,
+        seed,
+      },
+      usage,
     });
 
-    // Log to Notion
-    logContentEntry({
-      userId: String(userId),
-      restaurantName,
-      status: 'pending',
-      caption,
-      theme,
-      angle,
-      hasDecorReference,
-      processingTimeMs,
-      platforms: ['instagram'],
-    }).catch(err => logger.warn('Notion logging failed', { error: err.message }));
-
-    // Delete progress message
-    await ctx.deleteMessage();
-
-    // Send enhanced image with feedback keyboard (not caption yet)
-    await ctx.replyWithPhoto(
-      { url: enhancedUrl },
-      {
-        caption: `✨ *Image générée* (tentative ${attempt})\n\n` +
-          `🎨 Thème: ${theme}\n` +
-          `📐 Angle: ${angle}\n` +
-          `⏱ Généré en ${Math.round(processingTimeMs / 1000)}s\n\n` +
-          `_Est-ce que cette image te convient?_`,
+    // Another photo took the last of the plan since the check above
+    if (submitted.error === 'quota_exceeded') {
+      logUserAction(userId, 'quota_blocked', { contentId, plan: submitted.quota.plan.id, exceeded: submitted.quota.exceeded });
+      await updatePendingContent(contentId, { status: SESSION_STATES.AWAITING_ANGLE });
+      await ctx.editMessageText(formatQuotaExceeded(submitted.quota), {
         parse_mode: 'Markdown',
-        reply_markup: imageFeedbackKeyboard(contentId, attempt).reply_markup,
-      }
-    );
+        reply_markup: angleKeyboard(contentId, angle).reply_markup,
+      });
+      return;
+    }
 
-    logProgress(userId, 'Photo processing', 'completed');
-    logger.info('Content generated successfully', {
-      userId,
-      contentId,
-      theme,
-      angle,
-      hasDecorReference,
-      processingTimeMs,
-    });
+    if (!submitted.success) {
+      throw new Error(submitted.error || 'Processing failed');
+    }
   } catch (error) {
     logProgress(userId, 'Photo processing', 'failed');
     logger.error('Photo processing failed', {
@@ -421,16 +509,190 @@ async function processWithSettings(ctx, contentId) {
       // Ignore deletion errors
     }
 
-    await ctx.reply(
-      `😔 Oups! Une erreur est survenue.\n\n` +
-      `Essaie à nouveau avec une autre photo, ou vérifie que:\n` +
-      `• La photo n'est pas trop grande (< 10MB)\n` +
-      `• La connexion internet est stable\n\n` +
-      `Si le problème persiste, contacte @wwithai`
-    );
+    await ctx.reply(GENERATE_ERROR_MESSAGE);
   }
 }
 
+/**
+ * Show a finished generation job
+ * @param {Object} telegram - Telegraf telegram client
+ * @param {Object} job - Finished job (meta: progressMessageId, attempt, seed)
+ * @param {Object} data - Webhook-shaped result
+ */
+async function finishGenerate(telegram, job, data) {
+  const { contentId, chatId, meta } = job;
+  const content = await getPendingContent(contentId);
+
+  if (!content) {
+    logger.warn('Generation finished for an expired session', { jobId: job.id, contentId });
+    return;
+  }
+
+  const { userId, foodPhotoUrl, theme, angle, restaurantName } = content;
+  const hasDecorReference = content.decorPhotos.length > 0;
+  const processingTimeMs = Date.now() - new Date(job.startedAt || job.createdAt).getTime();
+
+  // Extract result data
+  const {
+    enhancedUrl = foodPhotoUrl,
+    caption = generateFallbackCaption(theme),
+    hashtags = getDefaultHashtags(theme),
+    analysis = {},
+  } = data || {};
+
+  // Update stored content with results - awaiting image feedback first
+  const session = {
+    ...content,
+    enhancedUrl,
+    caption,
+    hashtags,
+    analysis,
+    processingTimeMs,
+    attempts: meta.attempt,
+    seed: data?.seed ?? meta.seed, // Kept on the version to reproduce this image
+    changeHint: null,
+    status: SESSION_STATES.AWAITING_IMAGE_FEEDBACK,
+  };
+  Object.assign(session, addVersion(session, { type: 'image' }));
+  await saveSession(contentId, session);
+
+  // Content log (a retry with another angle lands on the same record)
+  recordGeneration(contentId, {
+    userId: String(userId),
+    restaurantName,
+    caption,
+    theme,
+    angle,
+    dish: analysis.dish_name,
+    cuisine: analysis.cuisine_type,
+    originalUrl: data?.originalUrl || foodPhotoUrl,
+    originalFileId: content.foodPhotoFileId, // For /historique: regenerate from the same photo
+    chatId: content.chatId,
+    enhancedUrl,
+    hasDecorReference,
+    processingTimeMs,
+    platforms: ['instagram'],
+    attempt: meta.attempt,
+    seed: session.seed,
+  }).catch(err => logger.warn('Content log write failed', { error: err.message }));
+
+  // Delete progress message
+  await telegram.deleteMessage(chatId, meta.progressMessageId).catch(() => {});
+
+  // Send enhanced image with feedback keyboard (not caption yet)
+  const profile = await getProfile(userId);
+  const resultMsg = await telegram.sendPhoto(
+    chatId,
+    await resultPhoto(telegram, enhancedUrl, profile),
+    {
+      caption: `✨ *Image générée* (tentative ${meta.attempt})\n\n` +
+        `🎨 Thème: ${theme}\n` +
+        `📐 Angle: ${angle}\n` +
+        `⏱ Généré en ${Math.round(processingTimeMs / 1000)}s\n\n` +
+        `_Est-ce que cette image te convient?_`,
+      parse_mode: 'Markdown',
+      reply_markup: imageFeedbackKeyboard(contentId, meta.attempt, versionNav(session)).reply_markup,
+    }
+  );
+
+  // Remember the result message so text replies can target this session
+  await updatePendingContent(contentId, { resultMessageId: resultMsg.message_id });
+
+  logProgress(userId, 'Photo processing', 'completed');
+  logUserAction(userId, 'image_generated', { contentId, theme, angle, attempt: meta.attempt, processingTimeMs });
+  logger.info('Content generated successfully', {
+    userId,
+    contentId,
+    jobId: job.id,
+    theme,
+    angle,
+    hasDecorReference,
+    processingTimeMs,
+  });
+}
+
+/**
+ * Tell the user a generation job failed
+ */
+async function failGenerate(telegram, job, error) {
+  logProgress(job.userId, 'Photo processing', 'failed');
+  logger.error('Photo processing failed', {
+    userId: job.userId,
+    contentId: job.contentId,
+    jobId: job.id,
+    error,
+  });
+
+  await telegram.deleteMessage(job.chatId, job.meta.progressMessageId).catch(() => {});
+  await telegram.sendMessage(job.chatId, GENERATE_ERROR_MESSAGE);
+}
+
+/**
+ * Cancelled before it started: back to the angle picker so the user can relaunch
+ */
+async function cancelGenerate(telegram, job) {
+  const content = await getPendingContent(job.contentId);
+  if (content) {
+    await updatePendingContent(job.contentId, { status: SESSION_STATES.AWAITING_ANGLE });
+  }
+
+  await telegram.editMessageText(
+    job.chatId,
+    job.meta.progressMessageId,
+    undefined,
+    content
+      ? '❌ *Transformation annulée*\n\n📐 Choisis un angle pour la relancer:'
+      : '❌ *Transformation annulée*',
+    {
+      parse_mode: 'Markdown',
+      ...(content ? { reply_markup: angleKeyboard(job.contentId, content.angle).reply_markup } : {}),
+    }
+  ).catch(() => {});
+}
+
+/**
+ * Send the session's current image again with the feedback keyboard
+ * Used when a retry is cancelled, the previous image message may be gone.
+ * @param {string} title - First line of the caption (Markdown)
+ */
+async function resendCurrentImage(telegram, chatId, contentId, title) {
+  const content = await getPendingContent(contentId);
+  if (!content?.enhancedUrl) return;
+
+  const profile = await getProfile(content.userId);
+  const resultMsg = await telegram.sendPhoto(
+    chatId,
+    await resultPhoto(telegram, content.enhancedUrl, profile),
+    {
+      caption: `${title}\n\n` +
+        `🎨 Thème: ${content.theme}\n` +
+        `📐 Angle: ${content.angle}\n\n` +
+        `_Est-ce que cette image te convient?_`,
+      parse_mode: 'Markdown',
+      reply_markup: imageFeedbackKeyboard(contentId, content.attempts, versionNav(content)).reply_markup,
+    }
+  );
+
+  await updatePendingContent(contentId, {
+    resultMessageId: resultMsg.message_id,
+    variationMode: false,
+    status: SESSION_STATES.AWAITING_IMAGE_FEEDBACK,
+  });
+}
+
+/**
+ * Photo to send for a generated image, with the profile's overlays when enabled
+ * @param {Object} telegram - Telegraf telegram client (to download the logo)
+ * @returns {Promise<Object>} Telegraf input file ({ source } or { url })
+ */
+async function resultPhoto(telegram, url, profile) {
+  const branding = await loadBranding(profile, telegram);
+  if (!branding) return { url };
+
+  const result = await renderBranded(url, branding);
+  return result.success ? { source: result.buffer } : { url };
+}
+
 /**
  * Format caption with hashtags
  */
@@ -471,7 +733,7 @@ function getDefaultHashtags(theme) {
  * Handle image approval - user likes the image, show caption
  */
 async function handleImageOk(ctx, contentId) {
-  const content = pendingContent.get(contentId);
+  const content = await getPendingContent(contentId);
   const userId = ctx.from.id;
 
   if (!content) {
@@ -483,7 +745,7 @@ async function handleImageOk(ctx, contentId) {
 
   // Update status
   content.status = SESSION_STATES.PENDING_APPROVAL;
-  pendingContent.set(contentId, content);
+  await saveSession(contentId, content);
 
   await ctx.answerCbQuery('✅ Image approuvée!');
 
@@ -495,16 +757,53 @@ async function handleImageOk(ctx, contentId) {
     `_Approuve pour copier la caption, ou modifie le texte._`,
     {
       parse_mode: 'Markdown',
-      reply_markup: approvalKeyboard(contentId).reply_markup,
+      reply_markup: approvalKeyboard(contentId, versionNav(content)).reply_markup,
     }
   );
+
+  const notified = await notifyApprovers(ctx.telegram, contentId, content);
+  if (notified > 0) {
+    await ctx.reply(`📨 Envoyé à ${notified} approbateur(s) de ton équipe.`);
+  }
+}
+
+/**
+ * A contributor finished a post: send it to the team's approvers with the approval keyboard
+ * @returns {Promise<number>} Approvers reached (0 outside a team or for approvers themselves)
+ */
+async function notifyApprovers(telegram, contentId, content) {
+  const membership = await getMembership(content.userId);
+  if (!membership || ROLES[membership.role].canApprove) return 0;
+
+  const author = membership.team.members[String(content.userId)].name;
+  const profile = await getProfile(content.userId);
+  const photo = await resultPhoto(telegram, content.enhancedUrl, profile);
+  let notified = 0;
+
+  for (const approver of getApprovers(membership.team)) {
+    try {
+      await telegram.sendPhoto(approver.userId, photo, {
+        caption: `📨 *${escapeMarkdown(author)} a préparé un post*\n\n` +
+          `${formatCaption(content.caption, content.hashtags)}\n\n` +
+          `_Approuve-le, ou modifie le texte._`,
+        parse_mode: 'Markdown',
+        reply_markup: approvalKeyboard(contentId, versionNav(content)).reply_markup,
+      });
+      notified++;
+    } catch (error) {
+      logger.warn('Approver notification failed', { contentId, approverId: approver.userId, error: error.message });
+    }
+  }
+
+  logUserAction(content.userId, 'sent_for_approval', { contentId, teamId: membership.team.id, notified });
+  return notified;
 }
 
 /**
  * Handle image retry - regenerate with variation
  */
 async function handleImageRetry(ctx, contentId, retryType) {
-  const content = pendingContent.get(contentId);
+  const content = await getPendingContent(contentId);
   const userId = ctx.from.id;
 
   if (!content) {
@@ -518,14 +817,14 @@ async function handleImageRetry(ctx, contentId, retryType) {
   if (retryType === 'style') {
     // Let user pick a new theme
     content.status = SESSION_STATES.AWAITING_THEME;
-    pendingContent.set(contentId, content);
+    await saveSession(contentId, content);
 
     await ctx.answerCbQuery('🎨 Choisis un nouveau style');
     await ctx.editMessageCaption(
       '🎨 *Choisis un nouveau style:*\n\n_L\'image sera régénérée avec ce thème._',
       {
         parse_mode: 'Markdown',
-        reply_markup: themeKeyboard(contentId).reply_markup,
+        reply_markup: themeKeyboard(contentId, content.defaultTheme).reply_markup,
       }
     );
     return;
@@ -534,14 +833,46 @@ async function handleImageRetry(ctx, contentId, retryType) {
   if (retryType === 'angle') {
     // Let user pick a new angle
     content.status = SESSION_STATES.AWAITING_ANGLE;
-    pendingContent.set(contentId, content);
+    await saveSession(contentId, content);
 
     await ctx.answerCbQuery('📐 Choisis un nouvel angle');
     await ctx.editMessageCaption(
       '📐 *Choisis un nouvel angle:*\n\n_L\'image sera régénérée avec cet angle._',
       {
         parse_mode: 'Markdown',
-        reply_markup: angleKeyboard(contentId).reply_markup,
+        reply_markup: angleKeyboard(contentId, content.defaultAngle).reply_markup,
+      }
+    );
+    return;
+  }
+
+  if (retryType === 'multi') {
+    // Let user pick how the variants should differ
+    await ctx.answerCbQuery('🎲 Plusieurs variantes');
+    await ctx.editMessageCaption(
+      '🎲 *Générer plusieurs variantes d\'un coup:*\n\n_Tu pourras les comparer et choisir ta préférée._',
+      {
+        parse_mode: 'Markdown',
+        reply_markup: variantOptionsKeyboard(contentId).reply_markup,
+      }
+    );
+    return;
+  }
+
+  if (retryType === 'hint') {
+    // Wait for the user to say what to change, as a reply to this message
+    content.status = SESSION_STATES.AWAITING_VARIATION_HINT;
+    content.resultMessageId = ctx.callbackQuery.message.message_id;
+    await saveSession(contentId, content);
+
+    await ctx.answerCbQuery('✍️ Dis-moi quoi changer');
+    await ctx.editMessageCaption(
+      '✍️ *Réponds à ce message avec ce que tu veux changer*\n' +
+      '_ex: « plus lumineux », « fond en bois pâle » ou « cadrage plus serré »_\n\n' +
+      '_Le plat lui-même ne sera pas modifié._',
+      {
+        parse_mode: 'Markdown',
+        reply_markup: imageFeedbackKeyboard(contentId, content.attempts, versionNav(content)).reply_markup,
       }
     );
     return;
@@ -550,7 +881,7 @@ async function handleImageRetry(ctx, contentId, retryType) {
   // Default: variation - regenerate with same settings but add variation prompt
   content.variationMode = true;
   content.status = SESSION_STATES.PROCESSING;
-  pendingContent.set(contentId, content);
+  await saveSession(contentId, content);
 
   await ctx.answerCbQuery('🔄 Génération d\'une variation...');
 
@@ -561,11 +892,56 @@ async function handleImageRetry(ctx, contentId, retryType) {
   await processWithVariation(ctx, contentId);
 }
 
+/**
+ * Handle a text message that may be a "what to change" hint for the image
+ * @returns {Promise<boolean>} True if the message was consumed
+ */
+async function handleVariationHint(ctx) {
+  const userId = ctx.from.id;
+  const replyTo = ctx.message.reply_to_message;
+
+  let session = replyTo ? await findSessionByMessage(ctx.chat.id, replyTo.message_id) : null;
+
+  // A reply to another session's photo is for that session (e.g. a caption instruction)
+  if (session && session.content.status !== SESSION_STATES.AWAITING_VARIATION_HINT) {
+    return false;
+  }
+  if (!session) {
+    session = await findActiveSession(userId, SESSION_STATES.AWAITING_VARIATION_HINT, ctx.chat.id);
+  }
+
+  if (!session || session.content.userId !== userId) {
+    return false;
+  }
+
+  const { contentId, content } = session;
+  const changeHint = ctx.message.text.trim().substring(0, MAX_HINT_LENGTH);
+
+  logUserAction(userId, 'variation_hint', { contentId, length: changeHint.length });
+
+  content.variationMode = true;
+  content.status = SESSION_STATES.PROCESSING;
+  await saveSession(contentId, content);
+
+  // Keep the old image on screen but without its buttons
+  await ctx.telegram.editMessageCaption(
+    ctx.chat.id,
+    content.resultMessageId,
+    undefined,
+    `🔄 Variation demandée: « ${changeHint} »`
+  ).catch(() => {});
+
+  await processWithVariation(ctx, contentId, changeHint);
+  return true;
+}
+
 /**
  * Process with variation - same settings but different output
+ * Submits a variation job; finishVariation() shows the result.
+ * @param {string} [changeHint] - What the user wants changed
  */
-async function processWithVariation(ctx, contentId) {
-  const content = pendingContent.get(contentId);
+async function processWithVariation(ctx, contentId, changeHint = null) {
+  const content = await getPendingContent(contentId);
 
   if (!content) {
     await ctx.reply('⚠️ Session expirée. Envoie une nouvelle photo.');
@@ -573,84 +949,86 @@ async function processWithVariation(ctx, contentId) {
   }
 
   const { userId, chatId, foodPhotoUrl, decorPhotos, theme, angle, restaurantName, attempts } = content;
-  const startTime = Date.now();
   const hasDecorReference = decorPhotos.length > 0;
+  const attempt = attempts + 1;
+  const seed = randomSeed();
+  const usage = { posts: 0, retries: 1 };
+
+  const quota = await checkQuota(userId, usage);
+  if (!quota.allowed) {
+    logUserAction(userId, 'quota_blocked', { contentId, plan: quota.plan.id, exceeded: quota.exceeded });
+    await ctx.reply(formatQuotaExceeded(quota), { parse_mode: 'Markdown' });
+    await resendCurrentImage(ctx.telegram, chatId, contentId, '📸 *Ton image actuelle*');
+    return;
+  }
 
-  logUserAction(userId, 'variation_started', { contentId, theme, angle, attempt: attempts + 1 });
+  logUserAction(userId, 'variation_started', {
+    contentId,
+    theme,
+    angle,
+    attempt,
+    hasChangeHint: !!changeHint,
+  });
 
   try {
     // Send progress message
+    const progressTitle = `🔄 *Génération d'une variation...*\n\nTentative ${attempt}`;
+    const etaMs = await estimateDuration('variation');
     const progressMsg = await ctx.reply(
-      '🔄 *Génération d\'une variation...*\n\n' +
-      `Tentative ${attempts + 1}\n` +
-      '✨ Création d\'un nouveau setup...',
+      formatProgress({ title: progressTitle, etaMs }),
       { parse_mode: 'Markdown' }
     );
 
-    // Process through n8n workflow with variation flag
-    const result = await processImage({
-      imageUrl: foodPhotoUrl,
-      userId: String(userId),
-      chatId: String(chatId),
-      restaurantName,
-      theme,
-      angle,
-      decorPhotos,
-      hasDecorReference,
-      variation: true, // Signal to n8n to generate a variation
-      attemptNumber: attempts + 1,
-    });
-
-    const processingTimeMs = Date.now() - startTime;
+    const profile = await getProfile(userId);
 
-    if (!result.success) {
-      throw new Error(result.error || 'Processing failed');
-    }
-
-    const {
-      enhancedUrl = foodPhotoUrl,
-      caption = generateFallbackCaption(theme),
-      hashtags = getDefaultHashtags(theme),
-      analysis = {},
-    } = result.data || {};
-
-    // Update stored content
-    const newAttempt = attempts + 1;
-    pendingContent.set(contentId, {
-      ...content,
-      enhancedUrl,
-      caption,
-      hashtags,
-      analysis,
-      processingTimeMs,
-      attempts: newAttempt,
-      variationMode: false,
-      status: SESSION_STATES.AWAITING_IMAGE_FEEDBACK,
+    // Submit to the pipeline with variation flag
+    const submitted = await submitJob({
+      kind: 'variation',
+      contentId,
+      userId,
+      chatId,
+      request: {
+        imageUrl: foodPhotoUrl,
+        userId: String(userId),
+        chatId: String(chatId),
+        restaurantName,
+        theme,
+        angle,
+        decorPhotos,
+        hasDecorReference,
+        profile: toWebhookProfile(profile),
+        variation: true, // Signal the image model to try a different take
+        attemptNumber: attempt,
+        seed,
+        changeHint,
+      },
+      meta: {
+        progressMessageId: progressMsg.message_id,
+        progressTitle,
+        etaMs,
+        attempt,
+        seed,
+        changeHint,
+      },
+      usage,
     });
 
-    // Delete progress message
-    await ctx.telegram.deleteMessage(chatId, progressMsg.message_id);
+    if (submitted.error === 'quota_exceeded') {
+      logUserAction(userId, 'quota_blocked', { contentId, plan: submitted.quota.plan.id, exceeded: submitted.quota.exceeded });
+      await ctx.telegram.deleteMessage(chatId, progressMsg.message_id).catch(() => {});
+      await ctx.reply(formatQuotaExceeded(submitted.quota), { parse_mode: 'Markdown' });
+      await resendCurrentImage(ctx.telegram, chatId, contentId, '📸 *Ton image actuelle*');
+      return;
+    }
 
-    // Send new image with feedback keyboard
-    await ctx.replyWithPhoto(
-      { url: enhancedUrl },
-      {
-        caption: `✨ *Nouvelle variation* (tentative ${newAttempt})\n\n` +
-          `🎨 Thème: ${theme}\n` +
-          `📐 Angle: ${angle}\n` +
-          `⏱ Généré en ${Math.round(processingTimeMs / 1000)}s\n\n` +
-          `_Est-ce que cette image te convient?_`,
-        parse_mode: 'Markdown',
-        reply_markup: imageFeedbackKeyboard(contentId, newAttempt).reply_markup,
-      }
-    );
+    if (!submitted.success) {
+      throw new Error(submitted.error || 'Processing failed');
+    }
 
-    logger.info('Variation generated successfully', {
-      userId,
-      contentId,
-      attempt: newAttempt,
-      processingTimeMs,
-    });
+    if (submitted.duplicate) {
+      // Same attempt already running, its own progress message stays
+      await ctx.telegram.deleteMessage(chatId, progressMsg.message_id).catch(() => {});
+    }
   } catch (error) {
     logger.error('Variation processing failed', {
       userId,
@@ -658,35 +1036,162 @@ async function processWithVariation(ctx, contentId) {
       error: error.message,
     });
 
-    await ctx.reply(
-      '😔 Erreur lors de la génération.\n\n' +
-      'Essaie à nouveau ou envoie une nouvelle photo.'
-    );
+    await ctx.reply(VARIATION_ERROR_MESSAGE);
   }
 }
 
+/**
+ * Show a finished variation job
+ * @param {Object} telegram - Telegraf telegram client
+ * @param {Object} job - Finished job (meta: progressMessageId, attempt, seed, changeHint)
+ * @param {Object} data - Webhook-shaped result
+ */
+async function finishVariation(telegram, job, data) {
+  const { contentId, chatId, meta } = job;
+  const content = await getPendingContent(contentId);
+
+  if (!content) {
+    logger.warn('Variation finished for an expired session', { jobId: job.id, contentId });
+    return;
+  }
+
+  const { userId, foodPhotoUrl, theme, angle } = content;
+  const { attempt, changeHint } = meta;
+  const processingTimeMs = Date.now() - new Date(job.startedAt || job.createdAt).getTime();
+
+  const {
+    enhancedUrl = foodPhotoUrl,
+    caption = generateFallbackCaption(theme),
+    hashtags = getDefaultHashtags(theme),
+    analysis = {},
+  } = data || {};
+
+  // Update stored content
+  const session = {
+    ...content,
+    enhancedUrl,
+    caption,
+    originalCaption: null, // New generation, new base caption for restyles
+    hashtags,
+    analysis,
+    processingTimeMs,
+    attempts: attempt,
+    seed: data?.seed ?? meta.seed, // Kept on the version to reproduce this image
+    changeHint,
+    variationMode: false,
+    status: SESSION_STATES.AWAITING_IMAGE_FEEDBACK,
+  };
+  Object.assign(session, addVersion(session, { type: 'image' }));
+  await saveSession(contentId, session);
+
+  recordGeneration(contentId, {
+    caption,
+    theme,
+    angle,
+    enhancedUrl,
+    processingTimeMs,
+    attempt,
+    seed: session.seed,
+    changeHint,
+  }).catch(err => logger.warn('Content log write failed', { error: err.message }));
+
+  // Delete progress message
+  await telegram.deleteMessage(chatId, meta.progressMessageId).catch(() => {});
+
+  // Send new image with feedback keyboard
+  const profile = await getProfile(userId);
+  const resultMsg = await telegram.sendPhoto(
+    chatId,
+    await resultPhoto(telegram, enhancedUrl, profile),
+    {
+      caption: `✨ *Nouvelle variation* (tentative ${attempt})\n\n` +
+        `🎨 Thème: ${theme}\n` +
+        `📐 Angle: ${angle}\n` +
+        (changeHint ? `✍️ Consigne: ${escapeMarkdown(changeHint)}\n` : '') +
+        `⏱ Généré en ${Math.round(processingTimeMs / 1000)}s\n\n` +
+        `_Est-ce que cette image te convient?_`,
+      parse_mode: 'Markdown',
+      reply_markup: imageFeedbackKeyboard(contentId, attempt, versionNav(session)).reply_markup,
+    }
+  );
+
+  await updatePendingContent(contentId, { resultMessageId: resultMsg.message_id });
+
+  logUserAction(userId, 'image_generated', { contentId, theme, angle, attempt, processingTimeMs });
+  logger.info('Variation generated successfully', {
+    userId,
+    contentId,
+    jobId: job.id,
+    attempt,
+    processingTimeMs,
+  });
+}
+
+/**
+ * Tell the user a variation job failed
+ */
+async function failVariation(telegram, job, error) {
+  logger.error('Variation processing failed', {
+    userId: job.userId,
+    contentId: job.contentId,
+    jobId: job.id,
+    error,
+  });
+
+  await telegram.deleteMessage(job.chatId, job.meta.progressMessageId).catch(() => {});
+  await telegram.sendMessage(job.chatId, VARIATION_ERROR_MESSAGE);
+}
+
+/**
+ * Cancelled before it started: show the current image again
+ */
+async function cancelVariation(telegram, job) {
+  await telegram.deleteMessage(job.chatId, job.meta.progressMessageId).catch(() => {});
+  await resendCurrentImage(telegram, job.chatId, job.contentId, '❌ *Variation annulée* - voici ton image actuelle');
+}
+
+registerJobHandler('generate', {
+  onResult: finishGenerate,
+  onError: failGenerate,
+  onProgress: showJobProgress,
+  onCancel: cancelGenerate,
+});
+registerJobHandler('variation', {
+  onResult: finishVariation,
+  onError: failVariation,
+  onProgress: showJobProgress,
+  onCancel: cancelVariation,
+});
+
 /**
  * Get pending content by ID
  */
-function getPendingContent(contentId) {
+async function getPendingContent(contentId) {
   return pendingContent.get(contentId);
 }
 
+/**
+ * Save a whole session, refreshing its TTL
+ */
+async function saveSession(contentId, content) {
+  await pendingContent.set(contentId, content, config.SESSION_TTL_MS);
+}
+
 /**
  * Update pending content
  */
-function updatePendingContent(contentId, updates) {
-  const content = pendingContent.get(contentId);
+async function updatePendingContent(contentId, updates) {
+  const content = await getPendingContent(contentId);
   if (content) {
-    pendingContent.set(contentId, { ...content, ...updates });
+    await saveSession(contentId, { ...content, ...updates });
   }
 }
 
 /**
  * Delete pending content
  */
-function deletePendingContent(contentId) {
-  pendingContent.delete(contentId);
+async function deletePendingContent(contentId) {
+  await pendingContent.delete(contentId);
 }
 
 /**
@@ -708,6 +1213,11 @@ async function handleDocument(ctx) {
     return handlePhoto(ctx);
   }
 
+  // Groups share all kinds of files
+  if (isGroupChat(ctx.chat)) {
+    return;
+  }
+
   await ctx.reply(
     '⚠️ Je ne peux traiter que des images.\n' +
     'Envoie-moi une photo de ton plat!'
@@ -722,7 +1232,21 @@ module.exports = {
   handleAngleSelection,
   handleImageOk,
   handleImageRetry,
+  handleVariationHint,
+  findActiveSession,
+  findSessions,
+  listSessions,
+  findSessionByMessage,
   getPendingContent,
   updatePendingContent,
   deletePendingContent,
+  newSession,
+  saveSession,
+  formatCaption,
+  generateFallbackCaption,
+  getDefaultHashtags,
+  resultPhoto,
+  resendCurrentImage,
+  notifyApprovers,
+  SESSION_STATES,
 };
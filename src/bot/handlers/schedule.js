@@ -0,0 +1,305 @@
+/**
+ * Schedule Handler
+ * Scheduling approved posts (/schedule) and managing the queue (/queue)
+ */
+
+const {
+  listSessions,
+  getPendingContent,
+  updatePendingContent,
+  SESSION_STATES,
+} = require('./photo');
+const {
+  suggestSlots,
+  addDays,
+  formatSlot,
+  formatDay,
+  getDayTimes,
+  isValidSlot,
+  schedulePost,
+  listQueue,
+  getQueueItem,
+  reschedulePost,
+  cancelPost,
+} = require('../../services/scheduler');
+const { isGroupChat } = require('../../services/groups');
+const { ROLES, getMembership, canApprove } = require('../../services/teams');
+const {
+  slotPickerKeyboard,
+  dayPickerKeyboard,
+  timePickerKeyboard,
+  queueItemKeyboard,
+} = require('../keyboards/approval');
+const { logger, logUserAction } = require('../../utils/logger');
+
+const PICKER_DAYS = 7;
+
+/**
+ * Unix timestamp (seconds) used in callback data
+ */
+const toUnix = (date) => Math.floor(date.getTime() / 1000);
+
+/**
+ * Slots as keyboard items
+ */
+const toSlotItems = (dates) => dates.map(date => ({ label: formatSlot(date), value: toUnix(date) }));
+
+/**
+ * Next days as keyboard items
+ */
+function upcomingDays() {
+  return Array.from({ length: PICKER_DAYS }, (_, offset) => ({
+    label: offset === 0 ? "Aujourd'hui" : formatDay(addDays(offset)),
+    value: offset,
+  }));
+}
+
+/**
+ * Approved posts a user may schedule, newest first: their own, or their team's for approvers
+ * (in a group, only the posts made in that group)
+ */
+async function schedulableSessions(ctx) {
+  const chatId = isGroupChat(ctx.chat) ? ctx.chat.id : null;
+  const sessions = [];
+
+  for (const session of await listSessions(SESSION_STATES.APPROVED)) {
+    if (chatId && session.content.chatId !== chatId) continue;
+    if (await canApprove(ctx.from.id, session.content.userId)) sessions.push(session);
+  }
+
+  return sessions;
+}
+
+/**
+ * Authors whose queue a user manages: their whole team for approvers, or themselves
+ */
+async function queueAuthorIds(userId) {
+  const membership = await getMembership(userId);
+  return membership && ROLES[membership.role].canApprove
+    ? Object.keys(membership.team.members)
+    : [String(userId)];
+}
+
+/**
+ * Send or edit a picker message depending on where it was triggered from
+ */
+async function showPicker(ctx, text, keyboard) {
+  const extra = { parse_mode: 'Markdown', reply_markup: keyboard?.reply_markup };
+
+  if (ctx.callbackQuery) {
+    // Approval messages are photos (caption), /queue messages are text
+    if (ctx.callbackQuery.message?.photo) {
+      await ctx.editMessageCaption(text, extra);
+    } else {
+      await ctx.editMessageText(text, extra);
+    }
+    return;
+  }
+
+  await ctx.reply(text, extra);
+}
+
+/**
+ * Show suggested slots for an approved post
+ */
+async function showSlotPicker(ctx, contentId, content) {
+  const slots = suggestSlots(content.theme);
+  const platforms = (content.platforms || ['instagram']).join(', ');
+
+  await showPicker(
+    ctx,
+    '🗓️ *Quand veux-tu publier?*\n\n' +
+    `📱 Plateformes: ${platforms}\n` +
+    '_⭐ = meilleurs moments pour ce thème_',
+    slotPickerKeyboard('sched', contentId, toSlotItems(slots))
+  );
+}
+
+/**
+ * Handle /schedule - schedule the most recent approved post
+ */
+async function handleScheduleCommand(ctx) {
+  const userId = ctx.from.id;
+  logUserAction(userId, 'schedule_command');
+
+  try {
+    const approved = await schedulableSessions(ctx);
+
+    if (approved.length === 0) {
+      await ctx.reply(
+        '🗓️ Aucun post approuvé à programmer.\n\n' +
+        '📸 Envoie une photo, approuve le résultat, puis programme-le!'
+      );
+      return;
+    }
+
+    const { contentId, content } = approved[0];
+    await showSlotPicker(ctx, contentId, content);
+  } catch (error) {
+    logger.error('Error in schedule handler', { error: error.message, userId });
+    await ctx.reply('Erreur. Essaie à nouveau.');
+  }
+}
+
+/**
+ * Handle /queue - list scheduled posts with reschedule/cancel actions
+ */
+async function handleQueueCommand(ctx) {
+  const userId = ctx.from.id;
+  logUserAction(userId, 'queue_command');
+
+  try {
+    const items = await listQueue(await queueAuthorIds(userId));
+
+    if (items.length === 0) {
+      await ctx.reply('📭 Aucun post programmé.\n\nApprouve un post puis choisis « 🗓️ Programmer ».');
+      return;
+    }
+
+    await ctx.reply(`🗓️ *${items.length} post(s) programmé(s):*`, { parse_mode: 'Markdown' });
+
+    for (const item of items) {
+      const action = item.mode === 'publish' ? '🚀 Publication' : '⏰ Rappel';
+      const preview = (item.caption || '').substring(0, 80);
+
+      await ctx.reply(
+        `${action} — ${formatSlot(new Date(item.scheduledAt))}\n` +
+        `📱 ${item.platforms.join(', ')}\n\n${preview}${item.caption?.length > 80 ? '…' : ''}`,
+        { reply_markup: queueItemKeyboard(item.id).reply_markup }
+      );
+    }
+  } catch (error) {
+    logger.error('Error in queue handler', { error: error.message, userId });
+    await ctx.reply('Erreur. Essaie à nouveau.');
+  }
+}
+
+/**
+ * Handle scheduling callbacks
+ * @param {string} action - schedule, schedday, schedat, qday, qat or queue
+ * @param {Array} params - Callback params after the action
+ */
+async function handleScheduleCallback(ctx, action, params) {
+  const userId = ctx.from.id;
+  const [targetId, value] = params;
+  const prefix = action.startsWith('q') ? 'q' : 'sched';
+
+  // Resolve the target: a session for new posts, a queue item otherwise
+  const target = prefix === 'sched'
+    ? await getPendingContent(targetId)
+    : await getQueueItem(targetId);
+
+  if (!target) {
+    await ctx.answerCbQuery('⚠️ Contenu expiré');
+    return;
+  }
+
+  // A queue item can be managed by its author; a post is scheduled by whoever may approve it
+  const isAuthor = prefix === 'q' && String(target.userId) === String(userId);
+  if (!isAuthor && !(await canApprove(userId, target.userId))) {
+    await ctx.answerCbQuery('🔒 Seul un approbateur de ton équipe peut programmer ce post', { show_alert: true });
+    return;
+  }
+
+  // Only a post an approver has approved is scheduled (and only once)
+  if (prefix === 'sched' && target.status !== SESSION_STATES.APPROVED) {
+    await ctx.answerCbQuery(target.status === SESSION_STATES.SCHEDULED
+      ? '🗓️ Déjà programmé (voir /queue)'
+      : '🔒 Ce post doit d\'abord être approuvé');
+    return;
+  }
+
+  switch (action) {
+    case 'schedule':
+      await ctx.answerCbQuery('🗓️ Programmer');
+      await showSlotPicker(ctx, targetId, target);
+      return;
+
+    case 'queue':
+      if (value === 'cancel') {
+        const cancelled = await cancelPost(targetId);
+        await ctx.answerCbQuery(cancelled ? '🗑️ Annulé' : '⚠️ Déjà parti');
+        if (cancelled) {
+          await ctx.editMessageText('🗑️ Post programmé annulé.');
+        }
+        return;
+      }
+
+      await ctx.answerCbQuery('📅 Nouvelle date');
+      await showPicker(ctx, '📅 *Choisis le jour:*', dayPickerKeyboard('q', targetId, upcomingDays()));
+      return;
+
+    case 'schedday':
+    case 'qday': {
+      if (value === undefined) {
+        await ctx.answerCbQuery();
+        await showPicker(ctx, '📅 *Choisis le jour:*', dayPickerKeyboard(prefix, targetId, upcomingDays()));
+        return;
+      }
+
+      const offset = parseInt(value, 10);
+      const times = getDayTimes(offset);
+
+      if (!(offset >= 0 && offset < PICKER_DAYS) || times.length === 0) {
+        await ctx.answerCbQuery('⚠️ Plus de créneau ce jour-là');
+        return;
+      }
+
+      await ctx.answerCbQuery();
+      await showPicker(
+        ctx,
+        `🕐 *À quelle heure, ${formatDay(addDays(offset))}?*`,
+        timePickerKeyboard(prefix, targetId, times.map(date => ({
+          label: formatSlot(date).split(/,\s*/).pop(),
+          value: toUnix(date),
+        })))
+      );
+      return;
+    }
+
+    case 'schedat':
+    case 'qat': {
+      const scheduledAt = new Date(parseInt(value, 10) * 1000);
+
+      if (!isValidSlot(scheduledAt)) {
+        await ctx.answerCbQuery('⚠️ Ce moment est déjà passé');
+        return;
+      }
+
+      if (prefix === 'q') {
+        const updated = await reschedulePost(targetId, scheduledAt);
+        await ctx.answerCbQuery(updated ? '✅ Déplacé' : '⚠️ Déjà parti');
+        if (updated) {
+          await ctx.editMessageText(`✅ Post déplacé au ${formatSlot(scheduledAt)}.`);
+        }
+        return;
+      }
+
+      const item = await schedulePost(target, targetId, scheduledAt);
+      await updatePendingContent(targetId, { status: SESSION_STATES.SCHEDULED, scheduleItemId: item.id });
+
+      await ctx.answerCbQuery('✅ Programmé!');
+      await showPicker(
+        ctx,
+        `✅ *Post programmé!*\n\n` +
+        `🗓️ ${formatSlot(scheduledAt)}\n` +
+        (item.mode === 'publish'
+          ? `🚀 Publication automatique sur ${item.platforms.join(', ')}\n\n`
+          : '⏰ Je t\'enverrai un rappel avec la photo et la caption\n\n') +
+        '_Gère tes posts avec /queue_',
+        null
+      );
+      return;
+    }
+
+    default:
+      logger.warn('Unknown schedule action', { action, params });
+      await ctx.answerCbQuery('Action non reconnue');
+  }
+}
+
+module.exports = {
+  handleScheduleCommand,
+  handleQueueCommand,
+  handleScheduleCallback,
+};
@@ -0,0 +1,466 @@
+/**
+ * Settings Handler
+ * Restaurant profile editing (⚙️ Settings menu and /settings)
+ */
+
+const {
+  PROFILE_FIELDS,
+  OVERLAY_FIELDS,
+  getProfile,
+  updateProfile,
+  updateOverlay,
+  parseFieldValue,
+} = require('../../services/profiles');
+const { RATIOS, CORNERS } = require('../../services/images');
+const { canEditProfile } = require('../../services/teams');
+const { getStore } = require('../../services/store');
+const { getTheme, getAngle } = require('../../prompts/themes');
+const {
+  settingsKeyboard,
+  settingsThemeKeyboard,
+  settingsAngleKeyboard,
+  settingsInputKeyboard,
+  overlaySettingsKeyboard,
+} = require('../keyboards/approval');
+const { logger, logUserAction } = require('../../utils/logger');
+
+// <chatId>:<userId> -> field currently waiting for a typed value (only in the chat it was asked in)
+const pendingInputs = getStore('settings_input');
+const INPUT_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+const READ_ONLY_MESSAGE = '🔒 Seuls les approbateurs et les admins de ton équipe peuvent modifier le profil du resto.';
+
+// Prompt shown when asking for a typed value
+const INPUT_PROMPTS = {
+  name: '🏪 Écris le nom de ton restaurant:',
+  city: '📍 Dans quelle ville es-tu?',
+  cuisine: '🍽️ Quel type de cuisine? _(ex: thaï, bistro, italienne)_',
+  hashtags: '#️⃣ Écris tes hashtags signature, séparés par des espaces:\n_(ex: #chezmichel #mtlfood)_',
+  bannedWords: '🚫 Écris les mots à ne jamais utiliser, séparés par des virgules:',
+  brandVoice: '🗣️ Décris la voix de ta marque en quelques phrases:\n_(ex: familial, drôle, on tutoie nos clients)_',
+  website: '🔗 Écris l\'adresse de ton site web ou de ta page de réservation:\n_(ex: chezmichel.ca)_',
+  logo: '🏷️ Envoie ton logo comme image.\n_Astuce: envoie un PNG transparent comme fichier (📎) pour garder la transparence._',
+  watermark: '💧 Écris le texte du filigrane:\n_(ex: @chezmichel)_',
+  banner: '🎗️ Écris le texte de la bannière:\n_(ex: Nouveau! ou 14,95 $)_',
+};
+
+const CORNER_LABELS = {
+  'top-left': '↖️ haut gauche',
+  'top-right': '↗️ haut droite',
+  'bottom-left': '↙️ bas gauche',
+  'bottom-right': '↘️ bas droite',
+};
+
+/**
+ * Pending input key of a user in the current chat
+ */
+function inputKey(ctx) {
+  return `${ctx.chat.id}:${ctx.from.id}`;
+}
+
+/**
+ * Escape user-provided text for Markdown messages
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/([_*`\[])/g, '\\$1');
+}
+
+/**
+ * Render the profile summary message
+ */
+function formatProfile(profile) {
+  const show = (value) => (value ? escapeMarkdown(value) : '_non défini_');
+  const list = (items) => (items && items.length ? escapeMarkdown(items.join(' ')) : '_aucun_');
+  const theme = profile.defaultTheme ? getTheme(profile.defaultTheme) : null;
+  const angle = profile.defaultAngle ? getAngle(profile.defaultAngle) : null;
+
+  return (
+    '⚙️ *Profil du restaurant*\n\n' +
+    `🏪 Nom: ${show(profile.name)}\n` +
+    `📍 Ville: ${show(profile.city)}\n` +
+    `🍽️ Cuisine: ${show(profile.cuisine)}\n` +
+    `🎨 Thème par défaut: ${theme ? `${theme.emoji} ${theme.label}` : '_non défini_'}\n` +
+    `📐 Angle par défaut: ${angle ? angle.label : '_non défini_'}\n` +
+    `#️⃣ Hashtags: ${list(profile.hashtags)}\n` +
+    `🚫 Mots interdits: ${list(profile.bannedWords)}\n` +
+    `🗣️ Voix de marque: ${show(profile.brandVoice)}\n` +
+    `🔗 Site web: ${show(profile.website)}\n` +
+    `🖼️ Habillage photo: ${profile.overlay?.enabled ? '✅ activé' : '⏸️ désactivé'}\n` +
+    `📤 Publication directe: ${profile.meta ? '✅ compte lié' : '❌ non liée (/connect)'}\n\n` +
+    '_Choisis ce que tu veux modifier:_'
+  );
+}
+
+/**
+ * Render the photo overlay settings message
+ */
+function formatOverlay(overlay) {
+  const show = (value) => (value ? escapeMarkdown(value) : '_aucun_');
+
+  return (
+    '🖼️ *Habillage photo*\n\n' +
+    `État: ${overlay.enabled ? '✅ activé' : '⏸️ désactivé'}\n` +
+    `🏷️ Logo: ${overlay.logoFileId ? '✅ enregistré' : '_aucun_'}\n` +
+    `💧 Filigrane: ${show(overlay.watermark)}\n` +
+    `🎗️ Bannière: ${show(overlay.banner)}\n` +
+    `📍 Coin: ${CORNER_LABELS[overlay.corner]}\n` +
+    `📐 Format: ${overlay.ratio ? overlay.ratio.replace('x', ':') : 'original'}\n\n` +
+    '_Appliqué à tes photos générées. Le logo remplace le filigrane si les deux sont définis._'
+  );
+}
+
+/**
+ * Show the overlay settings, editing the current message when possible
+ */
+async function showOverlaySettings(ctx, profile) {
+  const extra = {
+    parse_mode: 'Markdown',
+    reply_markup: overlaySettingsKeyboard(profile.overlay).reply_markup,
+  };
+
+  if (ctx.callbackQuery) {
+    await ctx.editMessageText(formatOverlay(profile.overlay), extra);
+  } else {
+    await ctx.reply(formatOverlay(profile.overlay), extra);
+  }
+}
+
+/**
+ * Handle ⚙️ Settings button and /settings command
+ */
+async function handleSettings(ctx) {
+  const userId = ctx.from.id;
+  logUserAction(userId, 'settings_opened');
+
+  try {
+    await pendingInputs.delete(inputKey(ctx));
+    const profile = await getProfile(userId);
+
+    if (!(await canEditProfile(userId))) {
+      await ctx.reply(`${formatProfile(profile)}\n\n${READ_ONLY_MESSAGE}`, { parse_mode: 'Markdown' });
+      return;
+    }
+
+    await ctx.reply(formatProfile(profile), {
+      parse_mode: 'Markdown',
+      reply_markup: settingsKeyboard().reply_markup,
+    });
+  } catch (error) {
+    logger.error('Error in settings handler', { error: error.message, userId });
+    await ctx.reply('Erreur. Essaie à nouveau.');
+  }
+}
+
+/**
+ * Handle settings:* callbacks
+ * @param {string} action - edit, theme, angle, clear, back, overlay, corner or ratio
+ * @param {string} [param] - Field name, theme/angle key, corner or ratio
+ */
+async function handleSettingsCallback(ctx, action, param) {
+  const userId = ctx.from.id;
+
+  if (!(await canEditProfile(userId))) {
+    await ctx.answerCbQuery(READ_ONLY_MESSAGE, { show_alert: true });
+    return;
+  }
+
+  if (action === 'edit' && OVERLAY_FIELDS[param]) {
+    await pendingInputs.set(inputKey(ctx), { field: param }, INPUT_TTL_MS);
+    await ctx.answerCbQuery(`✏️ ${OVERLAY_FIELDS[param].label}`);
+    await ctx.editMessageText(INPUT_PROMPTS[param], {
+      parse_mode: 'Markdown',
+      reply_markup: settingsInputKeyboard(param, 'settings:overlay').reply_markup,
+    });
+    return;
+  }
+
+  if (action === 'edit') {
+    if (!PROFILE_FIELDS[param]) {
+      await ctx.answerCbQuery('Champ inconnu');
+      return;
+    }
+
+    await ctx.answerCbQuery(`✏️ ${PROFILE_FIELDS[param].label}`);
+
+    if (param === 'defaultTheme') {
+      await ctx.editMessageText('🎨 *Choisis ton thème par défaut:*', {
+        parse_mode: 'Markdown',
+        reply_markup: settingsThemeKeyboard().reply_markup,
+      });
+      return;
+    }
+
+    if (param === 'defaultAngle') {
+      await ctx.editMessageText('📐 *Choisis ton angle par défaut:*', {
+        parse_mode: 'Markdown',
+        reply_markup: settingsAngleKeyboard().reply_markup,
+      });
+      return;
+    }
+
+    await pendingInputs.set(inputKey(ctx), { field: param }, INPUT_TTL_MS);
+    await ctx.editMessageText(INPUT_PROMPTS[param], {
+      parse_mode: 'Markdown',
+      reply_markup: settingsInputKeyboard(param).reply_markup,
+    });
+    return;
+  }
+
+  if (action === 'theme' || action === 'angle') {
+    const field = action === 'theme' ? 'defaultTheme' : 'defaultAngle';
+    const { value, error } = parseFieldValue(field, param);
+
+    if (error) {
+      await ctx.answerCbQuery(`⚠️ ${error}`);
+      return;
+    }
+
+    const profile = await updateProfile(userId, { [field]: value });
+    logUserAction(userId, 'settings_updated', { field, value });
+
+    await ctx.answerCbQuery('✅ Enregistré');
+    await ctx.editMessageText(formatProfile(profile), {
+      parse_mode: 'Markdown',
+      reply_markup: settingsKeyboard().reply_markup,
+    });
+    return;
+  }
+
+  if (action === 'overlay') {
+    await pendingInputs.delete(inputKey(ctx));
+    let profile = await getProfile(userId);
+
+    if (param === 'toggle') {
+      profile = await updateOverlay(userId, { enabled: !profile.overlay.enabled });
+      logUserAction(userId, 'overlay_toggled', { enabled: profile.overlay.enabled });
+      await ctx.answerCbQuery(profile.overlay.enabled ? '✅ Habillage activé' : '⏸️ Habillage désactivé');
+    } else {
+      await ctx.answerCbQuery();
+    }
+
+    await showOverlaySettings(ctx, profile);
+    return;
+  }
+
+  if (action === 'corner' || action === 'ratio') {
+    const valid = action === 'corner'
+      ? CORNERS.includes(param)
+      : param === 'none' || !!RATIOS[param];
+
+    if (!valid) {
+      await ctx.answerCbQuery('Valeur inconnue');
+      return;
+    }
+
+    const value = param === 'none' ? null : param;
+    const profile = await updateOverlay(userId, { [action]: value });
+    logUserAction(userId, 'overlay_updated', { field: action, value });
+
+    await ctx.answerCbQuery('✅ Enregistré');
+    await showOverlaySettings(ctx, profile);
+    return;
+  }
+
+  if (action === 'clear' && OVERLAY_FIELDS[param]) {
+    await pendingInputs.delete(inputKey(ctx));
+    const field = param === 'logo' ? 'logoFileId' : param;
+    const profile = await updateOverlay(userId, { [field]: null });
+    logUserAction(userId, 'settings_cleared', { field: param });
+
+    await ctx.answerCbQuery('🗑️ Effacé');
+    await showOverlaySettings(ctx, profile);
+    return;
+  }
+
+  if (action === 'clear') {
+    if (!PROFILE_FIELDS[param]) {
+      await ctx.answerCbQuery('Champ inconnu');
+      return;
+    }
+
+    const empty = PROFILE_FIELDS[param].type === 'list' ? [] : null;
+    await pendingInputs.delete(inputKey(ctx));
+    const profile = await updateProfile(userId, { [param]: empty });
+    logUserAction(userId, 'settings_cleared', { field: param });
+
+    await ctx.answerCbQuery('🗑️ Effacé');
+    await ctx.editMessageText(formatProfile(profile), {
+      parse_mode: 'Markdown',
+      reply_markup: settingsKeyboard().reply_markup,
+    });
+    return;
+  }
+
+  if (action === 'back') {
+    await pendingInputs.delete(inputKey(ctx));
+    const profile = await getProfile(userId);
+
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(formatProfile(profile), {
+      parse_mode: 'Markdown',
+      reply_markup: settingsKeyboard().reply_markup,
+    });
+    return;
+  }
+
+  logger.warn('Unknown settings action', { action, param });
+  await ctx.answerCbQuery('Action non reconnue');
+}
+
+/**
+ * Handle a text message while a settings value is awaited
+ * @returns {Promise<boolean>} True if the message was consumed
+ */
+async function handleSettingsText(ctx) {
+  const userId = ctx.from.id;
+  const pending = await pendingInputs.get(inputKey(ctx));
+
+  if (!pending) {
+    return false;
+  }
+
+  const isOverlay = !!OVERLAY_FIELDS[pending.field];
+  const backAction = isOverlay ? 'settings:overlay' : 'settings:back';
+
+  if (pending.field === 'logo') {
+    await ctx.reply('🏷️ J\'attends une image pour ton logo (photo ou fichier).', {
+      reply_markup: settingsInputKeyboard('logo', backAction).reply_markup,
+    });
+    return true;
+  }
+
+  const { value, error } = parseFieldValue(pending.field, ctx.message.text);
+
+  if (error) {
+    await ctx.reply(`⚠️ ${error}. Réessaie:`, {
+      reply_markup: settingsInputKeyboard(pending.field, backAction).reply_markup,
+    });
+    return true;
+  }
+
+  if (isOverlay) {
+    await pendingInputs.delete(inputKey(ctx));
+    const profile = await updateOverlay(userId, { [pending.field]: value });
+    logUserAction(userId, 'overlay_updated', { field: pending.field });
+
+    await ctx.reply(`✅ ${OVERLAY_FIELDS[pending.field].label} enregistré!`);
+    await showOverlaySettings(ctx, profile);
+    return true;
+  }
+
+  await pendingInputs.delete(inputKey(ctx));
+  const profile = await updateProfile(userId, { [pending.field]: value });
+  logUserAction(userId, 'settings_updated', { field: pending.field });
+
+  await ctx.reply(`✅ ${PROFILE_FIELDS[pending.field].label} enregistré!\n\n` + formatProfile(profile), {
+    parse_mode: 'Markdown',
+    reply_markup: settingsKeyboard().reply_markup,
+  });
+  return true;
+}
+
+/**
+ * Handle a photo or image file while the logo is awaited
+ * @returns {Promise<boolean>} True if the message was consumed
+ */
+async function handleSettingsPhoto(ctx) {
+  const userId = ctx.from.id;
+  const pending = await pendingInputs.get(inputKey(ctx));
+
+  if (pending?.field !== 'logo') {
+    return false;
+  }
+
+  const { photo, document } = ctx.message;
+  const fileId = photo
+    ? photo[photo.length - 1].file_id
+    : document?.mime_type?.startsWith('image/') && document.file_id;
+
+  if (!fileId) {
+    await ctx.reply('⚠️ Ce fichier n\'est pas une image. Réessaie:', {
+      reply_markup: settingsInputKeyboard('logo', 'settings:overlay').reply_markup,
+    });
+    return true;
+  }
+
+  await pendingInputs.delete(inputKey(ctx));
+  const profile = await updateOverlay(userId, { logoFileId: fileId, enabled: true });
+  logUserAction(userId, 'overlay_updated', { field: 'logo' });
+
+  await ctx.reply('✅ Logo enregistré! L\'habillage est activé.');
+  await showOverlaySettings(ctx, profile);
+  return true;
+}
+
+/**
+ * Handle /connect - link an Instagram Business account / Facebook Page
+ * Usage: /connect <ig_user_id|-> <page_id|-> <page_access_token>, or /connect off
+ * Private chat only: in a group the bot may not be allowed to delete the token.
+ */
+async function handleConnect(ctx) {
+  const userId = ctx.from.id;
+  const args = ctx.message.text.split(/\s+/).slice(1);
+
+  if (ctx.chat.type !== 'private') {
+    logUserAction(userId, 'connect_in_group', { chatId: ctx.chat.id, withToken: args.length === 3 });
+    // Try to take a pasted token out of the group anyway
+    if (args.length === 3) await ctx.deleteMessage().catch(() => {});
+    await ctx.reply(
+      '🔒 Lie ton compte Instagram/Facebook en privé: écris-moi directement /connect.' +
+      (args.length === 3 ? '\n\n⚠️ Si ton message est encore visible ici, supprime-le et génère un nouveau token.' : '')
+    );
+    return;
+  }
+
+  if (!(await canEditProfile(userId))) {
+    await ctx.reply(READ_ONLY_MESSAGE);
+    return;
+  }
+
+  if (args[0] === 'off') {
+    await updateProfile(userId, { meta: null });
+    logUserAction(userId, 'publishing_unlinked');
+    await ctx.reply('🔌 Compte Instagram/Facebook délié.');
+    return;
+  }
+
+  if (args.length !== 3) {
+    await ctx.reply(
+      '🔗 *Lier ton compte Instagram/Facebook*\n\n' +
+      '`/connect <ig_user_id> <page_id> <page_access_token>`\n\n' +
+      'Mets `-` à la place d\'un ID pour ne lier qu\'une plateforme.\n' +
+      '`/connect off` pour délier.',
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+
+  const [igUserId, pageId, accessToken] = args.map(a => (a === '-' ? null : a));
+
+  if (!accessToken || (!igUserId && !pageId)) {
+    await ctx.reply('⚠️ Il faut un token et au moins un ID (Instagram ou Page).');
+    return;
+  }
+
+  // Don't leave the access token sitting in the chat history
+  await ctx.deleteMessage().catch(() => {});
+
+  await updateProfile(userId, { meta: { igUserId, pageId, accessToken } });
+  logUserAction(userId, 'publishing_linked', { instagram: !!igUserId, facebook: !!pageId });
+
+  await ctx.reply(
+    '✅ Compte lié!\n\n' +
+    `📸 Instagram: ${igUserId ? '✅' : '—'}\n` +
+    `📘 Facebook: ${pageId ? '✅' : '—'}\n\n` +
+    'Tes posts approuvés pourront être publiés directement.'
+  );
+}
+
+module.exports = {
+  handleSettings,
+  handleConnect,
+  handleSettingsCallback,
+  handleSettingsText,
+  handleSettingsPhoto,
+  escapeMarkdown,
+};
@@ -4,6 +4,7 @@
  */
 
 const { mainMenuKeyboard } = require('../keyboards/approval');
+const { handleTeamJoin } = require('./team');
 const { logger, logUserAction } = require('../../utils/logger');
 
 // Welcome message in Quebec French
@@ -29,12 +30,26 @@ const HELP_MESSAGE = `
 *Commandes disponibles:*
 /start - Redémarrer le bot
 /demo - Voir des exemples
+/settings - Profil de ton restaurant
+/connect - Lier Instagram/Facebook (en privé)
+/schedule - Programmer ton dernier post approuvé
+/queue - Voir tes posts programmés
+/history - Rouvrir une version précédente
+/historique - Tes anciens posts (caption, nouveau thème, autre plateforme)
+/team - Ton équipe (inviter, rôles)
+/group - Réglages du groupe (dans un groupe)
+/cancel - Annuler les photos en attente
+/usage - Voir ta consommation du mois
+/stats - Tes statistiques et le résumé hebdo
 /help - Afficher cette aide
 
 *Comment utiliser:*
 📸 Envoie une photo → Je génère ton post
-✅ Approuve → C'est prêt!
+✅ Approuve → Je publie (ou tu copies)
 ✏️ Modifie → Je retravaille
+⬅️ ➡️ → Reviens à une version précédente
+✍️ Réessayer avec une consigne → « plus lumineux »
+💬 Réponds à la photo → « mentionne notre terrasse »
 ❌ Refuse → On recommence
 
 *Tips pour de meilleurs résultats:*
@@ -61,6 +76,13 @@ async function handleStart(ctx) {
   logger.info(`New user started: ${firstName} (${userId})`);
 
   try {
+    // Team invite link: t.me/<bot>?start=join_<code>
+    const payload = ctx.startPayload || '';
+    if (payload.startsWith('join_')) {
+      await handleTeamJoin(ctx, payload.slice('join_'.length));
+      return;
+    }
+
     // Send welcome message with user's name
     const personalizedWelcome = WELCOME_MESSAGE.replace('Bienvenue', `Salut ${firstName}! Bienvenue`);
 
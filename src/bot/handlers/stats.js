@@ -0,0 +1,60 @@
+/**
+ * Stats Handler
+ * /stats shows the restaurant's figures (approvals, rejections, retries,
+ * processing time, favourite themes and angles) and the weekly digest switch
+ */
+
+const { getWorkspaceId } = require('../../services/teams');
+const {
+  getStats,
+  formatStats,
+  isDigestEnabled,
+  toggleDigest,
+} = require('../../services/analytics');
+const { statsKeyboard } = require('../keyboards/approval');
+const { logger, logUserAction } = require('../../utils/logger');
+
+/**
+ * Handle /stats - last 7 and 30 days of the user's restaurant
+ */
+async function handleStatsCommand(ctx) {
+  const userId = ctx.from.id;
+  logUserAction(userId, 'stats_command');
+
+  try {
+    const workspaceId = await getWorkspaceId(userId);
+    const [week, month] = await Promise.all([getStats(workspaceId, 7), getStats(workspaceId, 30)]);
+
+    await ctx.reply(
+      `${formatStats(week, '7 derniers jours')}\n\n${formatStats(month, '30 derniers jours')}`,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: statsKeyboard(await isDigestEnabled(ctx.chat.id)).reply_markup,
+      }
+    );
+  } catch (error) {
+    logger.error('Error in stats handler', { error: error.message, userId });
+    await ctx.reply('Erreur. Essaie à nouveau.');
+  }
+}
+
+/**
+ * Handle stats:<action> callbacks - digest (turn the weekly digest on or off)
+ */
+async function handleStatsCallback(ctx, action) {
+  if (action !== 'digest') {
+    await ctx.answerCbQuery('Action non reconnue');
+    return;
+  }
+
+  const enabled = await toggleDigest(ctx.chat.id, ctx.from.id);
+  logUserAction(ctx.from.id, 'digest_toggled', { chatId: ctx.chat.id, enabled });
+
+  await ctx.answerCbQuery(enabled ? '📬 Résumé hebdo activé (lundi matin)' : '📭 Résumé hebdo désactivé');
+  await ctx.editMessageReplyMarkup(statsKeyboard(enabled).reply_markup);
+}
+
+module.exports = {
+  handleStatsCommand,
+  handleStatsCallback,
+};
@@ -0,0 +1,226 @@
+/**
+ * Team Handler
+ * /team workspace management and the /start join_<code> invite links
+ */
+
+const {
+  ROLES,
+  getMembership,
+  createTeam,
+  createInvite,
+  joinTeam,
+  setRole,
+  removeMember,
+} = require('../../services/teams');
+const { getProfile } = require('../../services/profiles');
+const { escapeMarkdown } = require('./settings');
+const { teamCreateKeyboard, teamKeyboard, mainMenuKeyboard } = require('../keyboards/approval');
+const { logger, logUserAction } = require('../../utils/logger');
+
+// Order of the 🔁 role button
+const ROLE_CYCLE = ['contributor', 'approver', 'admin'];
+
+// What each role does, shown when joining
+const ROLE_HELP = {
+  contributor: '📸 Envoie tes photos de plats: quand un post est prêt, il part aux approbateurs de l\'équipe.',
+  approver: '✅ Tu recevras les posts de l\'équipe à approuver.',
+  admin: '🛠️ Tu approuves les posts et tu gères l\'équipe avec /team.',
+};
+
+const NO_TEAM_MESSAGE =
+  '👥 *Équipe*\n\n' +
+  'Tu travailles seul pour l\'instant.\n\n' +
+  'Crée une équipe pour inviter ton cuisinier ou ton gérant: ' +
+  'les contributeurs envoient les photos, les approbateurs approuvent les posts.';
+
+/**
+ * How a member is shown to the rest of the team
+ */
+function memberName(from) {
+  return from.first_name || (from.username ? `@${from.username}` : 'Membre');
+}
+
+/**
+ * Render the team summary
+ */
+function formatTeam(team, viewerId) {
+  const members = Object.entries(team.members).map(([memberId, member]) =>
+    `• ${memberId === team.ownerId ? '👑 ' : ''}${escapeMarkdown(member.name)} - ${ROLES[member.role].label}` +
+    (memberId === String(viewerId) ? ' _(toi)_' : '')
+  );
+
+  return [
+    `👥 *Équipe ${escapeMarkdown(team.name)}*`,
+    '',
+    ...members,
+    '',
+    '_Les contributeurs envoient les photos, les approbateurs approuvent les posts._',
+  ].join('\n');
+}
+
+/**
+ * Reply options for a member's team view
+ */
+function teamView(team, viewerId, role) {
+  return {
+    parse_mode: 'Markdown',
+    reply_markup: teamKeyboard(team, String(viewerId), ROLES[role].canManage).reply_markup,
+  };
+}
+
+/**
+ * Handle /team - show the team, or offer to create one
+ */
+async function handleTeamCommand(ctx) {
+  const userId = ctx.from.id;
+  logUserAction(userId, 'team_opened');
+
+  try {
+    const membership = await getMembership(userId);
+
+    if (!membership) {
+      await ctx.reply(NO_TEAM_MESSAGE, {
+        parse_mode: 'Markdown',
+        reply_markup: teamCreateKeyboard().reply_markup,
+      });
+      return;
+    }
+
+    await ctx.reply(formatTeam(membership.team, userId), teamView(membership.team, userId, membership.role));
+  } catch (error) {
+    logger.error('Error in team handler', { error: error.message, userId });
+    await ctx.reply('Erreur. Essaie à nouveau.');
+  }
+}
+
+/**
+ * Handle team buttons
+ * @param {string} action - create | invite | role | remove | leave
+ * @param {string} [param] - Role to invite, or member ID
+ */
+async function handleTeamCallback(ctx, action, param) {
+  const userId = ctx.from.id;
+  logUserAction(userId, 'team_action', { action, param });
+
+  switch (action) {
+    case 'create': {
+      const profile = await getProfile(userId);
+      const result = await createTeam(userId, {
+        name: profile.name || `de ${memberName(ctx.from)}`,
+        memberName: memberName(ctx.from),
+      });
+
+      if (!result.success) {
+        await ctx.answerCbQuery('Tu fais déjà partie d\'une équipe');
+        return;
+      }
+
+      await ctx.answerCbQuery('✅ Équipe créée');
+      await ctx.editMessageText(formatTeam(result.team, userId), teamView(result.team, userId, 'admin'));
+      return;
+    }
+
+    case 'invite': {
+      const result = await createInvite(userId, param);
+      if (!result.success) {
+        await ctx.answerCbQuery('🔒 Réservé aux admins de l\'équipe');
+        return;
+      }
+
+      await ctx.answerCbQuery('🔗 Lien créé');
+      // Plain text: Markdown would eat the underscore of join_
+      await ctx.reply(
+        `🔗 Invitation - ${ROLES[param].label}\n\n` +
+        'Envoie ce lien à ton collègue (valide 7 jours):\n' +
+        `https://t.me/${ctx.botInfo.username}?start=join_${result.code}`
+      );
+      return;
+    }
+
+    case 'role': {
+      const membership = await getMembership(userId);
+      const current = membership?.team.members[param]?.role;
+      const next = ROLE_CYCLE[(ROLE_CYCLE.indexOf(current) + 1) % ROLE_CYCLE.length];
+      const result = await setRole(userId, param, next);
+
+      if (!result.success) {
+        await ctx.answerCbQuery(result.error === 'owner' ? '👑 Le propriétaire reste admin' : '🔒 Réservé aux admins de l\'équipe');
+        return;
+      }
+
+      await ctx.answerCbQuery(`${result.team.members[param].name}: ${ROLES[next].label}`);
+      await ctx.editMessageText(formatTeam(result.team, userId), teamView(result.team, userId, membership.role));
+      return;
+    }
+
+    case 'remove':
+    case 'leave': {
+      const memberId = action === 'leave' ? String(userId) : param;
+      const result = await removeMember(userId, memberId);
+
+      if (!result.success) {
+        await ctx.answerCbQuery(result.error === 'owner' ? '👑 Le propriétaire ne peut pas quitter l\'équipe' : '🔒 Réservé aux admins de l\'équipe');
+        return;
+      }
+
+      if (action === 'leave') {
+        await ctx.answerCbQuery('🚪 Tu as quitté l\'équipe');
+        await ctx.editMessageText(`🚪 Tu as quitté l'équipe ${result.team.name}.`);
+        return;
+      }
+
+      const membership = await getMembership(userId);
+      await ctx.answerCbQuery('❌ Membre retiré');
+      await ctx.editMessageText(formatTeam(result.team, userId), teamView(result.team, userId, membership.role));
+      await ctx.telegram.sendMessage(memberId, `👋 Tu ne fais plus partie de l'équipe ${result.team.name}.`)
+        .catch(() => {});
+      return;
+    }
+
+    default:
+      await ctx.answerCbQuery('Action non reconnue');
+  }
+}
+
+/**
+ * Join a team from an invite link (/start join_<code>)
+ */
+async function handleTeamJoin(ctx, code) {
+  const userId = ctx.from.id;
+  const result = await joinTeam(userId, code, memberName(ctx.from));
+
+  logUserAction(userId, 'team_join', { success: result.success, error: result.error });
+
+  if (!result.success) {
+    const messages = {
+      invalid_invite: '⚠️ Ce lien d\'invitation est expiré ou invalide. Demande un nouveau lien à ton équipe.',
+      already_member: `👥 Tu fais déjà partie de l'équipe ${result.team?.name}.`,
+      other_team: `⚠️ Tu fais déjà partie de l'équipe ${result.team?.name}. Quitte-la avec /team avant d'en rejoindre une autre.`,
+    };
+    await ctx.reply(messages[result.error], mainMenuKeyboard());
+    return;
+  }
+
+  const { team, role } = result;
+
+  await ctx.replyWithMarkdown(
+    `🎉 *Bienvenue dans l'équipe ${escapeMarkdown(team.name)}!*\n\n` +
+    `Ton rôle: *${ROLES[role].label}*\n\n${ROLE_HELP[role]}`,
+    mainMenuKeyboard()
+  );
+
+  // Let the team's admins know
+  for (const [memberId, member] of Object.entries(team.members)) {
+    if (memberId === String(userId) || !ROLES[member.role].canManage) continue;
+    await ctx.telegram.sendMessage(
+      memberId,
+      `👋 ${memberName(ctx.from)} a rejoint l'équipe (${ROLES[role].label}).`
+    ).catch(err => logger.warn('Team join notification failed', { memberId, error: err.message }));
+  }
+}
+
+module.exports = {
+  handleTeamCommand,
+  handleTeamCallback,
+  handleTeamJoin,
+};
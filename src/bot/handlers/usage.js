@@ -0,0 +1,46 @@
+/**
+ * Usage Handler
+ * /usage shows the month's consumption against the restaurant's plan
+ */
+
+const { getUsage } = require('../../services/usage');
+const { logger, logUserAction } = require('../../utils/logger');
+
+const BAR_LENGTH = 10;
+
+/**
+ * One allowance line, e.g. "▰▰▰▱▱▱▱▱▱▱ 3/10"
+ */
+function usageBar(used, limit) {
+  const filled = Math.min(Math.round(used / limit * BAR_LENGTH), BAR_LENGTH);
+  return `${'▰'.repeat(filled)}${'▱'.repeat(BAR_LENGTH - filled)} ${used}/${limit}`;
+}
+
+/**
+ * Handle /usage - show posts and retries used this month
+ */
+async function handleUsageCommand(ctx) {
+  const userId = ctx.from.id;
+  logUserAction(userId, 'usage_command');
+
+  try {
+    const usage = await getUsage(userId);
+    const { plan } = usage;
+
+    await ctx.reply(
+      `📊 *Ta consommation ce mois-ci*\n\n` +
+      `💼 Forfait: *${plan.label}*\n\n` +
+      `📸 Posts\n${usageBar(usage.posts, plan.posts)}\n\n` +
+      `🔄 Nouvelles tentatives\n${usageBar(usage.retries, plan.retries)}\n\n` +
+      `_Ton quota repart à zéro le ${usage.resetsOn}._`,
+      { parse_mode: 'Markdown' }
+    );
+  } catch (error) {
+    logger.error('Error in usage handler', { error: error.message, userId });
+    await ctx.reply('Erreur. Essaie à nouveau.');
+  }
+}
+
+module.exports = {
+  handleUsageCommand,
+};
@@ -0,0 +1,440 @@
+/**
+ * Multi-Variant Handler
+ * Generates 2-4 variants in one n8n call and lets the user pick one
+ */
+
+const { randomSeed } = require('../../services/pipeline');
+const { submitJob, registerJobHandler } = require('../../services/jobs');
+const { estimateDuration, formatProgress, showJobProgress } = require('../../services/progress');
+const { checkQuota, refundQuota, formatQuotaExceeded } = require('../../services/usage');
+const { getProfile, toWebhookProfile } = require('../../services/profiles');
+const { getTheme, getAngle, getAllThemes, getAllAngles } = require('../../prompts/themes');
+const { addVersion, versionNav } = require('../../services/versions');
+const { recordGeneration } = require('../../services/contentlog');
+const {
+  getPendingContent,
+  updatePendingContent,
+  generateFallbackCaption,
+  getDefaultHashtags,
+  resultPhoto,
+  resendCurrentImage,
+  SESSION_STATES,
+} = require('./photo');
+const {
+  imageFeedbackKeyboard,
+  variantPickerKeyboard,
+} = require('../keyboards/approval');
+const { config } = require('../../utils/config');
+const { logger, logUserAction, logProgress } = require('../../utils/logger');
+
+// States where the user may (re)pick a variant
+const PICKABLE_STATES = [
+  SESSION_STATES.AWAITING_VARIANT_CHOICE,
+  SESSION_STATES.AWAITING_IMAGE_FEEDBACK,
+  SESSION_STATES.PENDING_APPROVAL,
+];
+
+const VARIANTS_ERROR_MESSAGE =
+  '😔 Erreur lors de la génération des variantes.\n\n' +
+  'Essaie à nouveau ou envoie une nouvelle photo.';
+
+/**
+ * Put the current value first, then the others in their usual order
+ */
+function currentFirst(keys, current) {
+  return [current, ...keys.filter(key => key !== current)];
+}
+
+/**
+ * Build the variant specs sent to n8n
+ * @param {Object} content - Session content
+ * @param {string} mode - seed, angle or theme
+ * @param {number} count - Number of variants (2-4)
+ * @returns {Array} [{ seed, theme, angle }]
+ */
+function buildVariantSpecs(content, mode, count) {
+  const { theme, angle } = content;
+
+  if (mode === 'angle') {
+    return currentFirst(getAllAngles().map(a => a.key), angle)
+      .slice(0, count)
+      .map(key => ({ seed: randomSeed(), theme, angle: key }));
+  }
+
+  if (mode === 'theme') {
+    return currentFirst(getAllThemes().map(t => t.key), theme)
+      .slice(0, count)
+      .map(key => ({ seed: randomSeed(), theme: key, angle }));
+  }
+
+  return Array.from({ length: count }, () => ({ seed: randomSeed(), theme, angle }));
+}
+
+/**
+ * Normalize the webhook response into a variant list
+ * A workflow without multi-variant support returns a single enhancedUrl.
+ * Variants whose image couldn't be generated (fallback) are left out.
+ */
+function normalizeVariants(data, specs, fallbackUrl) {
+  const generated = (Array.isArray(data.variants) ? data.variants : [])
+    .slice(0, specs.length)
+    .map((variant, i) => ({
+      enhancedUrl: variant.enhancedUrl || variant.url || fallbackUrl,
+      seed: variant.seed ?? specs[i]?.seed ?? null,
+      theme: variant.theme || specs[i]?.theme,
+      angle: variant.angle || specs[i]?.angle,
+      fallback: !!variant.fallback,
+    }))
+    .filter(variant => !variant.fallback);
+
+  if (generated.length > 0) {
+    return generated.map(({ fallback, ...variant }) => variant);
+  }
+
+  return [{ ...specs[0], enhancedUrl: data.enhancedUrl || fallbackUrl }];
+}
+
+/**
+ * Short label for a variant (theme · angle)
+ */
+function variantLabel(variant) {
+  const theme = getTheme(variant.theme);
+  return `${theme.emoji} ${theme.label} · ${getAngle(variant.angle).label}`;
+}
+
+/**
+ * Handle multi:* callbacks
+ * @param {string} contentId - Session ID
+ * @param {string} mode - seed, angle, theme or back
+ * @param {string} [count] - Number of variants
+ */
+async function handleMultiVariant(ctx, contentId, mode, count) {
+  const content = await getPendingContent(contentId);
+
+  if (!content) {
+    await ctx.answerCbQuery('⚠️ Session expirée');
+    return;
+  }
+
+  if (mode === 'back') {
+    await ctx.answerCbQuery('↩️ Retour');
+    await ctx.editMessageCaption(
+      `✨ *Image générée* (tentative ${content.attempts})\n\n` +
+      `🎨 Thème: ${content.theme}\n` +
+      `📐 Angle: ${content.angle}\n\n` +
+      `_Est-ce que cette image te convient?_`,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: imageFeedbackKeyboard(contentId, content.attempts, versionNav(content)).reply_markup,
+      }
+    );
+    return;
+  }
+
+  const variantCount = Math.min(Math.max(parseInt(count, 10) || 2, 2), config.MAX_VARIANTS);
+
+  await updatePendingContent(contentId, { status: SESSION_STATES.PROCESSING });
+  await ctx.answerCbQuery(`🎲 Génération de ${variantCount} variantes...`);
+  await ctx.deleteMessage();
+
+  await processVariants(ctx, contentId, mode, variantCount);
+}
+
+/**
+ * Generate several variants in one call and send them as a media group
+ * Submits a variants job; finishVariants() shows the picker.
+ */
+async function processVariants(ctx, contentId, mode, count) {
+  const content = await getPendingContent(contentId);
+
+  if (!content) {
+    await ctx.reply('⚠️ Session expirée. Envoie une nouvelle photo.');
+    return;
+  }
+
+  const { userId, chatId, foodPhotoUrl, decorPhotos, theme, angle, restaurantName, attempts } = content;
+  const specs = buildVariantSpecs(content, mode, count);
+  // Every variant counts as a retry of the photo
+  const usage = { posts: 0, retries: specs.length };
+
+  const quota = await checkQuota(userId, usage);
+  if (!quota.allowed) {
+    logUserAction(userId, 'quota_blocked', { contentId, plan: quota.plan.id, exceeded: quota.exceeded });
+    await ctx.reply(formatQuotaExceeded(quota), { parse_mode: 'Markdown' });
+    await resendCurrentImage(ctx.telegram, chatId, contentId, '📸 *Ton image actuelle*');
+    return;
+  }
+
+  logUserAction(userId, 'variants_started', { contentId, mode, count, attempt: attempts + 1 });
+  logProgress(userId, `Variants: mode=${mode}, count=${count}`, 'started');
+
+  try {
+    const progressTitle = `🎲 *Génération de ${specs.length} variantes...*\n\nTentative ${attempts + 1}`;
+    const etaMs = await estimateDuration('variants');
+    const progressMsg = await ctx.reply(
+      formatProgress({ title: progressTitle, etaMs }),
+      { parse_mode: 'Markdown' }
+    );
+
+    const profile = await getProfile(userId);
+
+    const submitted = await submitJob({
+      kind: 'variants',
+      contentId,
+      userId,
+      chatId,
+      request: {
+        imageUrl: foodPhotoUrl,
+        userId: String(userId),
+        chatId: String(chatId),
+        restaurantName,
+        theme,
+        angle,
+        decorPhotos,
+        hasDecorReference: decorPhotos.length > 0,
+        profile: toWebhookProfile(profile),
+        variants: specs,
+        attemptNumber: attempts + 1,
+      },
+      meta: {
+        progressMessageId: progressMsg.message_id,
+        progressTitle,
+        etaMs,
+        attempt: attempts + 1,
+        mode,
+        specs,
+      },
+      usage,
+    });
+
+    if (submitted.error === 'quota_exceeded') {
+      logUserAction(userId, 'quota_blocked', { contentId, plan: submitted.quota.plan.id, exceeded: submitted.quota.exceeded });
+      await ctx.telegram.deleteMessage(chatId, progressMsg.message_id).catch(() => {});
+      await ctx.reply(formatQuotaExceeded(submitted.quota), { parse_mode: 'Markdown' });
+      await resendCurrentImage(ctx.telegram, chatId, contentId, '📸 *Ton image actuelle*');
+      return;
+    }
+
+    if (!submitted.success) {
+      throw new Error(submitted.error || 'Processing failed');
+    }
+
+    if (submitted.duplicate) {
+      await ctx.telegram.deleteMessage(chatId, progressMsg.message_id).catch(() => {});
+    }
+  } catch (error) {
+    logProgress(userId, 'Variants', 'failed');
+    logger.error('Variant processing failed', {
+      userId,
+      contentId,
+      error: error.message,
+    });
+
+    await updatePendingContent(contentId, { status: SESSION_STATES.AWAITING_IMAGE_FEEDBACK });
+    await ctx.reply(VARIANTS_ERROR_MESSAGE);
+  }
+}
+
+/**
+ * Show the variants of a finished job and ask the user to pick one
+ * @param {Object} telegram - Telegraf telegram client
+ * @param {Object} job - Finished job (meta: progressMessageId, attempt, mode, specs)
+ * @param {Object} data - Webhook-shaped result
+ */
+async function finishVariants(telegram, job, data) {
+  const { contentId, chatId, meta } = job;
+  const content = await getPendingContent(contentId);
+
+  if (!content) {
+    logger.warn('Variants finished for an expired session', { jobId: job.id, contentId });
+    return;
+  }
+
+  const { userId, foodPhotoUrl, theme } = content;
+  const processingTimeMs = Date.now() - new Date(job.startedAt || job.createdAt).getTime();
+  const variants = normalizeVariants(data || {}, meta.specs, foodPhotoUrl);
+
+  // Every spec was charged as a retry: give back the ones that didn't come back
+  const missing = meta.specs.length - variants.length;
+  if (missing > 0 && job.usage) {
+    await refundQuota(job.userId, { retries: missing, month: job.usage.month })
+      .catch(err => logger.warn('Failed to refund missing variants', { jobId: job.id, error: err.message }));
+    logger.info('Fewer variants than requested', { jobId: job.id, requested: meta.specs.length, received: variants.length });
+  }
+
+  await updatePendingContent(contentId, {
+    variants,
+    selectedVariant: null,
+    caption: data?.caption || generateFallbackCaption(theme),
+    hashtags: data?.hashtags || getDefaultHashtags(theme),
+    analysis: data?.analysis || {},
+    processingTimeMs,
+    attempts: meta.attempt,
+    status: SESSION_STATES.AWAITING_VARIANT_CHOICE,
+  });
+
+  await telegram.deleteMessage(chatId, meta.progressMessageId).catch(() => {});
+
+  if (variants.length === 1) {
+    // Workflow only produced one image: skip the picker
+    await showVariant(telegram, chatId, contentId, 0);
+    return;
+  }
+
+  await telegram.sendMediaGroup(chatId, variants.map((variant, i) => ({
+    type: 'photo',
+    media: variant.enhancedUrl,
+    caption: `${i + 1}. ${variantLabel(variant)}`,
+  })));
+
+  await telegram.sendMessage(
+    chatId,
+    `👆 *Choisis ta variante préférée* (générées en ${Math.round(processingTimeMs / 1000)}s)\n\n` +
+    '_Tu pourras revenir à ce message pour en choisir une autre._',
+    {
+      parse_mode: 'Markdown',
+      reply_markup: variantPickerKeyboard(contentId, variants.length).reply_markup,
+    }
+  );
+
+  logProgress(userId, 'Variants', 'completed');
+  // One event per image; the batch time isn't a per-image processing time
+  for (const variant of variants) {
+    logUserAction(userId, 'image_generated', {
+      contentId,
+      theme: variant.theme,
+      angle: variant.angle,
+      attempt: meta.attempt,
+    });
+  }
+  logger.info('Variants generated successfully', {
+    userId,
+    contentId,
+    jobId: job.id,
+    mode: meta.mode,
+    count: variants.length,
+    processingTimeMs,
+  });
+}
+
+/**
+ * Tell the user a variants job failed and go back to the previous image
+ */
+async function failVariants(telegram, job, error) {
+  logProgress(job.userId, 'Variants', 'failed');
+  logger.error('Variant processing failed', {
+    userId: job.userId,
+    contentId: job.contentId,
+    jobId: job.id,
+    error,
+  });
+
+  await updatePendingContent(job.contentId, { status: SESSION_STATES.AWAITING_IMAGE_FEEDBACK });
+  await telegram.deleteMessage(job.chatId, job.meta.progressMessageId).catch(() => {});
+  await telegram.sendMessage(job.chatId, VARIANTS_ERROR_MESSAGE);
+}
+
+/**
+ * Make a variant the session's image and show it for feedback
+ */
+async function showVariant(telegram, chatId, contentId, index) {
+  const content = await getPendingContent(contentId);
+  const variant = content.variants[index];
+
+  const session = {
+    ...content,
+    enhancedUrl: variant.enhancedUrl,
+    theme: variant.theme,
+    angle: variant.angle,
+    seed: variant.seed,
+    originalCaption: null,
+    selectedVariant: index,
+    status: SESSION_STATES.AWAITING_IMAGE_FEEDBACK,
+  };
+  Object.assign(session, addVersion(session, { type: 'image' }));
+  await updatePendingContent(contentId, session);
+
+  recordGeneration(contentId, {
+    caption: content.caption,
+    theme: variant.theme,
+    angle: variant.angle,
+    enhancedUrl: variant.enhancedUrl,
+    processingTimeMs: content.processingTimeMs,
+    attempt: content.attempts,
+    seed: variant.seed,
+  }).catch(err => logger.warn('Content log write failed', { error: err.message }));
+
+  const profile = await getProfile(content.userId);
+  const resultMsg = await telegram.sendPhoto(
+    chatId,
+    await resultPhoto(telegram, variant.enhancedUrl, profile),
+    {
+      caption: `✨ *Variante ${index + 1} choisie* (tentative ${content.attempts})\n\n` +
+        `🎨 Thème: ${variant.theme}\n` +
+        `📐 Angle: ${variant.angle}\n\n` +
+        `_Est-ce que cette image te convient?_`,
+      parse_mode: 'Markdown',
+      reply_markup: imageFeedbackKeyboard(contentId, content.attempts, versionNav(session)).reply_markup,
+    }
+  );
+
+  await updatePendingContent(contentId, { resultMessageId: resultMsg.message_id });
+}
+
+/**
+ * Handle variant:<contentId>:<index> - pick (or switch back to) a variant
+ */
+async function handleVariantChoice(ctx, contentId, index) {
+  const userId = ctx.from.id;
+  const content = await getPendingContent(contentId);
+  const variantIndex = parseInt(index, 10);
+
+  if (!content) {
+    await ctx.answerCbQuery('⚠️ Session expirée');
+    return;
+  }
+
+  if (!content.variants?.[variantIndex]) {
+    await ctx.answerCbQuery('⚠️ Variante introuvable');
+    return;
+  }
+
+  if (!PICKABLE_STATES.includes(content.status)) {
+    await ctx.answerCbQuery('⚠️ Ce post est déjà validé');
+    return;
+  }
+
+  if (content.selectedVariant === variantIndex && content.status !== SESSION_STATES.AWAITING_VARIANT_CHOICE) {
+    await ctx.answerCbQuery(`Variante ${variantIndex + 1} déjà choisie`);
+    return;
+  }
+
+  logUserAction(userId, 'variant_selected', { contentId, variant: variantIndex });
+
+  await ctx.answerCbQuery(`✅ Variante ${variantIndex + 1}`);
+  await ctx.editMessageReplyMarkup(
+    variantPickerKeyboard(contentId, content.variants.length, variantIndex).reply_markup
+  );
+
+  await showVariant(ctx.telegram, ctx.chat.id, contentId, variantIndex);
+}
+
+/**
+ * Cancelled before it started: show the current image again
+ */
+async function cancelVariants(telegram, job) {
+  await telegram.deleteMessage(job.chatId, job.meta.progressMessageId).catch(() => {});
+  await resendCurrentImage(telegram, job.chatId, job.contentId, '❌ *Variantes annulées* - voici ton image actuelle');
+}
+
+registerJobHandler('variants', {
+  onResult: finishVariants,
+  onError: failVariants,
+  onProgress: showJobProgress,
+  onCancel: cancelVariants,
+});
+
+module.exports = {
+  handleMultiVariant,
+  handleVariantChoice,
+};
@@ -8,14 +8,38 @@
  */
 
 const { Telegraf } = require('telegraf');
+const crypto = require('crypto');
 const http = require('http');
 const { config, validateConfig } = require('../utils/config');
 const { logger } = require('../utils/logger');
+const { closeStores } = require('../services/store');
 
 // Import handlers
 const { handleStart, handleHelp, handleUnknown } = require('./handlers/start');
-const { handlePhoto, handleDocument } = require('./handlers/photo');
+const { handlePhoto, handleDocument, handleVariationHint } = require('./handlers/photo');
 const { handleCallback, handleDemo, DEMO_CONTENT } = require('./handlers/callbacks');
+const {
+  handleSettings,
+  handleSettingsText,
+  handleSettingsPhoto,
+  handleConnect,
+} = require('./handlers/settings');
+const { handleScheduleCommand, handleQueueCommand } = require('./handlers/schedule');
+const { handleCaptionInstruction } = require('./handlers/caption');
+const { handleHistoryCommand } = require('./handlers/history');
+const { handleArchiveCommand } = require('./handlers/archive');
+const { handleCancel } = require('./handlers/cancel');
+const { handleUsageCommand } = require('./handlers/usage');
+const { userGate, handleAdminCommand } = require('./handlers/admin');
+const { handleTeamCommand } = require('./handlers/team');
+const { handleGroupCommand } = require('./handlers/group');
+const { handleStatsCommand } = require('./handlers/stats');
+const { isGroupChat } = require('../services/groups');
+const { startScheduler, stopScheduler } = require('../services/scheduler');
+const { handleJobCallback, handleJobProgress, startJobs, stopJobs } = require('../services/jobs');
+const { startContentLog, stopContentLog } = require('../services/contentlog');
+const { getStats, startAnalytics, stopAnalytics } = require('../services/analytics');
+const { MEDIA_PATH, getMedia } = require('../services/media');
 const { demoKeyboard, mainMenuKeyboard } = require('./keyboards/approval');
 
 // ASCII art banner
@@ -33,8 +57,116 @@ let botStatus = { state: 'starting', username: null };
 
 // Start HTTP health server IMMEDIATELY (before any delays)
 const PORT = process.env.PORT || 3000;
+
+// n8n posts job results to /jobs/:id/result and stage reports to /jobs/:id/progress
+const JOB_CALLBACK_PATH = /^\/jobs\/([\w-]+)\/(result|progress)$/;
+const MAX_CALLBACK_BYTES = 1024 * 1024;
+
+/**
+ * Receive a job result or progress report from n8n
+ */
+function handleJobRequest(req, res, jobId, type) {
+  const handle = type === 'progress' ? handleJobProgress : handleJobCallback;
+  let body = '';
+  let tooLarge = false;
+
+  req.on('data', chunk => {
+    body += chunk;
+    if (!tooLarge && body.length > MAX_CALLBACK_BYTES) {
+      tooLarge = true;
+      res.writeHead(413);
+      res.end();
+      req.destroy();
+    }
+  });
+  req.on('end', async () => {
+    if (tooLarge) return;
+
+    let status = 500;
+    let payload = { error: 'error' };
+    try {
+      ({ status, body: payload } = await handle(jobId, req.headers['x-callback-token'], JSON.parse(body)));
+    } catch (err) {
+      logger.error('Job callback error', { jobId, error: err.message });
+      if (err instanceof SyntaxError) {
+        status = 400;
+        payload = { error: 'Invalid JSON' };
+      }
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  });
+}
+
+/**
+ * Whether a request carries METRICS_TOKEN (never true when no token is set)
+ */
+function isMetricsAuthorized(req) {
+  if (!config.METRICS_TOKEN) return false;
+
+  const expected = Buffer.from(`Bearer ${config.METRICS_TOKEN}`);
+  const received = Buffer.from(req.headers.authorization || '');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Serve the analytics figures: GET /metrics[?days=30][&restaurant=<workspaceId>]
+ * Without a restaurant, every restaurant together plus the external API calls.
+ */
+async function handleMetricsRequest(req, res) {
+  if (!isMetricsAuthorized(req)) {
+    res.writeHead(401, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Unauthorized' }));
+    return;
+  }
+
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  const days = Math.min(Math.max(parseInt(params.get('days'), 10) || 7, 1), 90);
+  const restaurant = params.get('restaurant');
+
+  try {
+    const stats = await getStats(restaurant, days);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ restaurant, ...stats }));
+  } catch (err) {
+    logger.error('Metrics error', { error: err.message });
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'error' }));
+  }
+}
+
+/**
+ * Serve an approved image kept for publishing: GET /media/<id>.jpg
+ */
+async function handleMediaRequest(res, mediaId) {
+  try {
+    const image = await getMedia(mediaId);
+    if (!image) {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Content-Length': image.length });
+    res.end(image);
+  } catch (err) {
+    logger.error('Media error', { mediaId, error: err.message });
+    res.writeHead(500);
+    res.end('error');
+  }
+}
+
 const server = http.createServer((req, res) => {
-  if (req.url === '/health' || req.url === '/') {
+  const jobMatch = req.method === 'POST' && req.url.match(JOB_CALLBACK_PATH);
+  const mediaMatch = req.method === 'GET' && req.url.split('?')[0].match(MEDIA_PATH);
+
+  if (jobMatch) {
+    handleJobRequest(req, res, jobMatch[1], jobMatch[2]);
+  } else if (mediaMatch) {
+    handleMediaRequest(res, mediaMatch[1]);
+  } else if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+    handleMetricsRequest(req, res);
+  } else if (req.url === '/health' || req.url === '/') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({
       status: botStatus.state === 'running' ? 'ok' : 'starting',
@@ -88,6 +220,9 @@ async function startBot() {
     });
   });
 
+  // Middleware: remember users for /admin, turn away blocked ones
+  bot.use(userGate);
+
   // ============================================
   // Command Handlers
   // ============================================
@@ -107,19 +242,56 @@ async function startBot() {
     );
   });
 
+  // Restaurant profile settings
+  bot.command('settings', handleSettings);
+  bot.command('connect', handleConnect);
+
+  // Restaurant team: invites and roles
+  bot.command('team', handleTeamCommand);
+
+  // Telegram group settings (which photos to process, announcements)
+  bot.command('group', handleGroupCommand);
+
+  // Scheduled posting
+  bot.command('schedule', handleScheduleCommand);
+  bot.command('queue', handleQueueCommand);
+
+  // Version history
+  bot.command('history', handleHistoryCommand);
+
+  // Past approved posts: copy, regenerate, repost
+  bot.command('historique', handleArchiveCommand);
+
+  // Photos waiting in the processing queue
+  bot.command('cancel', handleCancel);
+
+  // Monthly plan consumption
+  bot.command('usage', handleUsageCommand);
+
+  // Restaurant figures and the weekly digest
+  bot.command('stats', handleStatsCommand);
+
+  // Operator commands (ADMIN_USER_IDS only)
+  bot.command('admin', handleAdminCommand);
+
   // Status/health command (admin)
   bot.command('status', async (ctx) => {
-    const { checkHealth } = require('../services/n8n');
+    const { isN8nAvailable, getPipelineStatus } = require('../services/pipeline');
     const { checkHealth: checkFalHealth } = require('../services/fal');
 
-    const n8nOk = await checkHealth();
+    const n8nOk = await isN8nAvailable(true); // Also refreshes the pipeline's cached health
     const falOk = await checkFalHealth();
+    const pipeline = await getPipelineStatus();
+    const pipelineLabel = pipeline.mode === 'n8n'
+      ? 'n8n'
+      : `local${pipeline.fallback ? ' (secours, n8n indisponible)' : ''}`;
 
     await ctx.reply(
       `📊 *Status du système*\n\n` +
       `🤖 Bot: ✅ En ligne\n` +
       `⚡ n8n: ${n8nOk ? '✅' : '❌'}\n` +
-      `🎨 fal.ai: ${falOk ? '✅' : '❌'}\n\n` +
+      `🎨 fal.ai: ${falOk ? '✅' : '❌'}\n` +
+      `⚙️ Pipeline: ${pipelineLabel}\n\n` +
       `Uptime: ${formatUptime(process.uptime())}`,
       { parse_mode: 'Markdown' }
     );
@@ -129,11 +301,17 @@ async function startBot() {
   // Message Handlers
   // ============================================
 
-  // Handle photos
-  bot.on('photo', handlePhoto);
+  // Handle photos (a logo upload from the settings comes first)
+  bot.on('photo', async (ctx) => {
+    if (await handleSettingsPhoto(ctx)) return;
+    await handlePhoto(ctx);
+  });
 
   // Handle documents (for images sent as files)
-  bot.on('document', handleDocument);
+  bot.on('document', async (ctx) => {
+    if (await handleSettingsPhoto(ctx)) return;
+    await handleDocument(ctx);
+  });
 
   // Handle keyboard buttons
   bot.hears('📸 Nouveau post', (ctx) => {
@@ -147,14 +325,7 @@ async function startBot() {
     );
   });
 
-  bot.hears('⚙️ Settings', (ctx) => {
-    ctx.reply(
-      '⚙️ *Paramètres*\n\n' +
-      'Les settings seront disponibles bientôt.\n' +
-      'Pour l\'instant, envoie-moi tes photos!',
-      { parse_mode: 'Markdown' }
-    );
-  });
+  bot.hears('⚙️ Settings', handleSettings);
 
   bot.hears('❓ Aide', handleHelp);
 
@@ -176,11 +347,32 @@ async function startBot() {
       return;
     }
 
-    // If it's a command we don't know
+    // If it's a command we don't know (in a group it may be for another bot)
     if (text.startsWith('/')) {
+      if (isGroupChat(ctx.chat)) return;
       return handleUnknown(ctx);
     }
 
+    // Typed value for a settings field
+    if (await handleSettingsText(ctx)) {
+      return;
+    }
+
+    // What to change in the image (pending "✍️ Réessayer avec une consigne")
+    if (await handleVariationHint(ctx)) {
+      return;
+    }
+
+    // Reply to a result photo (or pending "✍️ Instruction libre")
+    if (await handleCaptionInstruction(ctx)) {
+      return;
+    }
+
+    // Staff chatting in a group isn't talking to the bot
+    if (isGroupChat(ctx.chat)) {
+      return;
+    }
+
     // Regular text message - prompt for photo
     await ctx.reply(
       '📸 Envoie-moi une photo de ton plat pour créer ton post!\n\n' +
@@ -250,11 +442,23 @@ async function startBot() {
   // Update bot status for health endpoint
   botStatus = { state: 'running', username: botInfo.username };
 
+  // Record user actions and API calls for /stats, /metrics and the weekly digest
+  startAnalytics(bot.telegram);
+
   logger.info(`Bot started successfully!`, {
     username: botInfo.username,
     id: botInfo.id,
   });
 
+  // Publish (or remind about) scheduled posts from inside this process
+  await startScheduler(bot.telegram);
+
+  // Accept pipeline results posted back by n8n
+  startJobs(bot.telegram);
+
+  // Retry content log sinks that failed or were interrupted by a restart
+  startContentLog();
+
   console.log(`\n✅ Bot is running: @${botInfo.username}\n`);
   console.log(`📱 Open Telegram and search for @${botInfo.username}`);
   console.log(`   or click: https://t.me/${botInfo.username}\n`);
@@ -262,12 +466,22 @@ async function startBot() {
   // Graceful shutdown
   process.once('SIGINT', () => {
     logger.info('Received SIGINT, stopping bot...');
+    stopScheduler();
+    stopJobs();
+    stopContentLog();
+    stopAnalytics();
     bot.stop('SIGINT');
+    closeStores().catch(err => logger.warn('Store close failed', { error: err.message }));
   });
 
   process.once('SIGTERM', () => {
     logger.info('Received SIGTERM, stopping bot...');
+    stopScheduler();
+    stopJobs();
+    stopContentLog();
+    stopAnalytics();
     bot.stop('SIGTERM');
+    closeStores().catch(err => logger.warn('Store close failed', { error: err.message }));
   });
 }
 
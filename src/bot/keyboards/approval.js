@@ -4,7 +4,7 @@
  */
 
 const { Markup } = require('telegraf');
-const { getAllThemes } = require('../../prompts/themes');
+const { getAllThemes, getAllAngles } = require('../../prompts/themes');
 
 /**
  * Decor upload prompt keyboard - shown after food photo
@@ -36,18 +36,20 @@ function decorDoneKeyboard(contentId) {
 /**
  * Theme selection keyboard shown after decor step
  * @param {string} contentId - Unique ID for the photo session
+ * @param {string} [defaultTheme] - Restaurant's default theme, marked with ⭐
  */
-function themeKeyboard(contentId) {
+function themeKeyboard(contentId, defaultTheme = null) {
   const themes = getAllThemes();
+  const label = (t) => `${t.key === defaultTheme ? '⭐ ' : ''}${t.emoji} ${t.label}`;
 
   // First row: Brunch, Lunch, Dinner
   const row1 = themes.slice(0, 3).map(t =>
-    Markup.button.callback(`${t.emoji} ${t.label}`, `theme:${contentId}:${t.key}`)
+    Markup.button.callback(label(t), `theme:${contentId}:${t.key}`)
   );
 
   // Second row: Event, Royal Thai
   const row2 = themes.slice(3).map(t =>
-    Markup.button.callback(`${t.emoji} ${t.label}`, `theme:${contentId}:${t.key}`)
+    Markup.button.callback(label(t), `theme:${contentId}:${t.key}`)
   );
 
   return Markup.inlineKeyboard([row1, row2]);
@@ -56,16 +58,19 @@ function themeKeyboard(contentId) {
 /**
  * Camera angle selection keyboard
  * @param {string} contentId - Unique ID for the photo session
+ * @param {string} [defaultAngle] - Restaurant's default angle, marked with ⭐
  */
-function angleKeyboard(contentId) {
+function angleKeyboard(contentId, defaultAngle = null) {
+  const star = (key) => (key === defaultAngle ? '⭐ ' : '');
+
   return Markup.inlineKeyboard([
     [
-      Markup.button.callback('📐 45° Classique', `angle:${contentId}:45deg`),
-      Markup.button.callback('🔝 Vue du haut', `angle:${contentId}:overhead`),
+      Markup.button.callback(`${star('45deg')}📐 45° Classique`, `angle:${contentId}:45deg`),
+      Markup.button.callback(`${star('overhead')}🔝 Vue du haut`, `angle:${contentId}:overhead`),
     ],
     [
-      Markup.button.callback('👁️ Niveau des yeux', `angle:${contentId}:eyelevel`),
-      Markup.button.callback('🎯 3/4 Angle', `angle:${contentId}:threequarter`),
+      Markup.button.callback(`${star('eyelevel')}👁️ Niveau des yeux`, `angle:${contentId}:eyelevel`),
+      Markup.button.callback(`${star('threequarter')}🎯 3/4 Angle`, `angle:${contentId}:threequarter`),
     ],
   ]);
 }
@@ -73,8 +78,9 @@ function angleKeyboard(contentId) {
 /**
  * Approval keyboard shown after content generation
  * @param {string} contentId - Unique ID for the content
+ * @param {Object} [nav] - Version navigation { index, total }
  */
-function approvalKeyboard(contentId) {
+function approvalKeyboard(contentId, nav = null) {
   return Markup.inlineKeyboard([
     [
       Markup.button.callback('✅ Approuver', `approve:${contentId}`),
@@ -83,9 +89,29 @@ function approvalKeyboard(contentId) {
     [
       Markup.button.callback('❌ Refuser', `reject:${contentId}`),
     ],
+    ...versionNavRows(contentId, nav),
   ]);
 }
 
+/**
+ * Previous/next version row, empty when the session has a single version
+ * @param {string} contentId - Unique ID for the content
+ * @param {Object} [nav] - { index, total } from versionNav()
+ */
+function versionNavRows(contentId, nav) {
+  if (!nav) return [];
+
+  const row = [];
+  if (nav.index > 0) {
+    row.push(Markup.button.callback('⬅️ Précédent', `hist:${contentId}:${nav.index - 1}`));
+  }
+  if (nav.index < nav.total - 1) {
+    row.push(Markup.button.callback('Suivant ➡️', `hist:${contentId}:${nav.index + 1}`));
+  }
+
+  return row.length > 0 ? [row] : [];
+}
+
 /**
  * Platform selection keyboard
  * @param {string} contentId - Unique ID for the content
@@ -100,6 +126,9 @@ function platformKeyboard(contentId) {
       Markup.button.callback('📘 Facebook', `platform:${contentId}:facebook`),
       Markup.button.callback('📲 Toutes', `platform:${contentId}:all`),
     ],
+    [
+      Markup.button.callback('↩️ Retour', `platform:${contentId}:cancel`),
+    ],
   ]);
 }
 
@@ -118,6 +147,7 @@ function styleKeyboard(contentId) {
       Markup.button.callback('📖 Plus détaillé', `style:${contentId}:detailed`),
     ],
     [
+      Markup.button.callback('✍️ Instruction libre', `style:${contentId}:custom`),
       Markup.button.callback('↩️ Garder original', `style:${contentId}:original`),
     ],
   ]);
@@ -145,8 +175,9 @@ function feedbackKeyboard(contentId) {
  * Allows user to approve the image or request a variation
  * @param {string} contentId - Unique ID for the content
  * @param {number} attempt - Current attempt number (for display)
+ * @param {Object} [nav] - Version navigation { index, total }
  */
-function imageFeedbackKeyboard(contentId, attempt = 1) {
+function imageFeedbackKeyboard(contentId, attempt = 1, nav = null) {
   return Markup.inlineKeyboard([
     [
       Markup.button.callback('✅ C\'est bon!', `imgok:${contentId}`),
@@ -154,10 +185,93 @@ function imageFeedbackKeyboard(contentId, attempt = 1) {
     [
       Markup.button.callback('🔄 Réessayer (variation)', `imgretry:${contentId}:variation`),
     ],
+    [
+      Markup.button.callback('✍️ Réessayer avec une consigne', `imgretry:${contentId}:hint`),
+    ],
     [
       Markup.button.callback('🎨 Changer le style', `imgretry:${contentId}:style`),
       Markup.button.callback('📐 Changer l\'angle', `imgretry:${contentId}:angle`),
     ],
+    [
+      Markup.button.callback('🎲 Plusieurs variantes', `imgretry:${contentId}:multi`),
+    ],
+    ...versionNavRows(contentId, nav),
+  ]);
+}
+
+/**
+ * Multi-variant options - how the variants should differ
+ * @param {string} contentId - Unique ID for the content
+ */
+function variantOptionsKeyboard(contentId) {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback('🎲 2 variations', `multi:${contentId}:seed:2`),
+      Markup.button.callback('🎲 4 variations', `multi:${contentId}:seed:4`),
+    ],
+    [
+      Markup.button.callback('📐 4 angles', `multi:${contentId}:angle:4`),
+      Markup.button.callback('🎨 3 thèmes', `multi:${contentId}:theme:3`),
+    ],
+    [
+      Markup.button.callback('↩️ Retour', `multi:${contentId}:back`),
+    ],
+  ]);
+}
+
+/**
+ * Numbered picker shown under a media group of variants
+ * @param {string} contentId - Unique ID for the content
+ * @param {number} count - Number of variants
+ * @param {number} [selected] - Index of the currently chosen variant
+ */
+function variantPickerKeyboard(contentId, count, selected = null) {
+  const buttons = Array.from({ length: count }, (_, i) =>
+    Markup.button.callback(`${i === selected ? '✅' : ''}${i + 1}`, `variant:${contentId}:${i}`)
+  );
+
+  return Markup.inlineKeyboard([buttons]);
+}
+
+/**
+ * /history keyboard - reopen any version of a session
+ * @param {string} contentId - Unique ID for the content
+ * @param {number} total - Number of versions
+ * @param {number} [current] - Index of the version currently shown
+ */
+function historyKeyboard(contentId, total, current = null) {
+  const rows = [];
+
+  for (let i = 0; i < total; i += 4) {
+    rows.push(
+      Array.from({ length: Math.min(4, total - i) }, (_, j) =>
+        Markup.button.callback(`${i + j === current ? '✅' : ''}v${i + j + 1}`, `histopen:${contentId}:${i + j}`)
+      )
+    );
+  }
+
+  return Markup.inlineKeyboard(rows);
+}
+
+/**
+ * /historique keyboard - reuse a past post, page through the others
+ * @param {string} contentId - Post shown on this page
+ * @param {number} page - Index of the post in the list
+ * @param {number} total - Number of posts
+ */
+function archiveKeyboard(contentId, page, total) {
+  const nav = [];
+  if (page > 0) nav.push(Markup.button.callback('⬅️', `archpage:${page - 1}`));
+  nav.push(Markup.button.callback(`${page + 1}/${total}`, `archpage:${page}`));
+  if (page < total - 1) nav.push(Markup.button.callback('➡️', `archpage:${page + 1}`));
+
+  return Markup.inlineKeyboard([
+    [Markup.button.callback('📋 Renvoyer la caption', `arch:${contentId}:caption`)],
+    [
+      Markup.button.callback('🎨 Nouveau thème', `arch:${contentId}:theme`),
+      Markup.button.callback('📱 Autre plateforme', `arch:${contentId}:platform`),
+    ],
+    nav,
   ]);
 }
 
@@ -189,6 +303,301 @@ function confirmPostKeyboard(contentId) {
       Markup.button.callback('🚀 Confirmer & Poster', `confirm:${contentId}`),
       Markup.button.callback('↩️ Retour', `back:${contentId}`),
     ],
+    [
+      Markup.button.callback('🗓️ Programmer', `schedule:${contentId}`),
+      Markup.button.callback('📦 Pack plateformes', `platform:${contentId}:pick`),
+    ],
+  ]);
+}
+
+/**
+ * Schedule-only keyboard (no linked account: the scheduler sends a reminder)
+ * @param {string} contentId - Unique ID for the content
+ */
+function scheduleReminderKeyboard(contentId) {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback('🗓️ Programmer un rappel', `schedule:${contentId}`),
+    ],
+    [
+      Markup.button.callback('📦 Pack plateformes', `platform:${contentId}:pick`),
+    ],
+  ]);
+}
+
+/**
+ * Suggested posting slots
+ * @param {string} prefix - Callback prefix: "sched" for a new post, "q" for a queue item
+ * @param {string} targetId - Content ID or queue item ID
+ * @param {Array} slots - [{ label, value }] where value is a unix timestamp (seconds)
+ */
+function slotPickerKeyboard(prefix, targetId, slots) {
+  const rows = slots.map(slot => [
+    Markup.button.callback(`⭐ ${slot.label}`, `${prefix}at:${targetId}:${slot.value}`),
+  ]);
+
+  rows.push([Markup.button.callback('📅 Autre date', `${prefix}day:${targetId}`)]);
+  return Markup.inlineKeyboard(rows);
+}
+
+/**
+ * Day picker for scheduling
+ * @param {string} prefix - Callback prefix ("sched" or "q")
+ * @param {string} targetId - Content ID or queue item ID
+ * @param {Array} days - [{ label, value }] where value is a day offset from today
+ */
+function dayPickerKeyboard(prefix, targetId, days) {
+  const buttons = days.map(day =>
+    Markup.button.callback(day.label, `${prefix}day:${targetId}:${day.value}`)
+  );
+
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 3) {
+    rows.push(buttons.slice(i, i + 3));
+  }
+  return Markup.inlineKeyboard(rows);
+}
+
+/**
+ * Time picker for one day
+ * @param {string} prefix - Callback prefix ("sched" or "q")
+ * @param {string} targetId - Content ID or queue item ID
+ * @param {Array} times - [{ label, value }] where value is a unix timestamp (seconds)
+ */
+function timePickerKeyboard(prefix, targetId, times) {
+  const buttons = times.map(time =>
+    Markup.button.callback(time.label, `${prefix}at:${targetId}:${time.value}`)
+  );
+
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 4) {
+    rows.push(buttons.slice(i, i + 4));
+  }
+  rows.push([Markup.button.callback('↩️ Autre jour', `${prefix}day:${targetId}`)]);
+  return Markup.inlineKeyboard(rows);
+}
+
+/**
+ * Actions for one /queue item
+ * @param {string} itemId - Queue item ID
+ */
+function queueItemKeyboard(itemId) {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback('🕐 Déplacer', `queue:${itemId}:move`),
+      Markup.button.callback('🗑️ Annuler', `queue:${itemId}:cancel`),
+    ],
+  ]);
+}
+
+/**
+ * Restaurant profile settings keyboard
+ */
+function settingsKeyboard() {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback('🏪 Nom', 'settings:edit:name'),
+      Markup.button.callback('📍 Ville', 'settings:edit:city'),
+      Markup.button.callback('🍽️ Cuisine', 'settings:edit:cuisine'),
+    ],
+    [
+      Markup.button.callback('🎨 Thème par défaut', 'settings:edit:defaultTheme'),
+      Markup.button.callback('📐 Angle par défaut', 'settings:edit:defaultAngle'),
+    ],
+    [
+      Markup.button.callback('#️⃣ Hashtags', 'settings:edit:hashtags'),
+      Markup.button.callback('🚫 Mots interdits', 'settings:edit:bannedWords'),
+    ],
+    [
+      Markup.button.callback('🗣️ Voix de marque', 'settings:edit:brandVoice'),
+      Markup.button.callback('🔗 Site web', 'settings:edit:website'),
+    ],
+    [
+      Markup.button.callback('🖼️ Habillage photo', 'settings:overlay'),
+    ],
+  ]);
+}
+
+/**
+ * Default theme picker for the settings flow
+ */
+function settingsThemeKeyboard() {
+  const buttons = getAllThemes().map(t =>
+    Markup.button.callback(`${t.emoji} ${t.label}`, `settings:theme:${t.key}`)
+  );
+
+  return Markup.inlineKeyboard([
+    buttons.slice(0, 3),
+    buttons.slice(3),
+    [Markup.button.callback('↩️ Retour', 'settings:back')],
+  ]);
+}
+
+/**
+ * Default angle picker for the settings flow
+ */
+function settingsAngleKeyboard() {
+  const buttons = getAllAngles().map(a =>
+    Markup.button.callback(a.label, `settings:angle:${a.key}`)
+  );
+
+  return Markup.inlineKeyboard([
+    buttons.slice(0, 2),
+    buttons.slice(2),
+    [Markup.button.callback('↩️ Retour', 'settings:back')],
+  ]);
+}
+
+/**
+ * Shown while waiting for a typed settings value
+ * @param {string} field - Profile field being edited
+ * @param {string} [backAction] - Callback for the cancel button
+ */
+function settingsInputKeyboard(field, backAction = 'settings:back') {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback('🗑️ Effacer', `settings:clear:${field}`),
+      Markup.button.callback('↩️ Annuler', backAction),
+    ],
+  ]);
+}
+
+/**
+ * Photo overlay settings (logo, watermark, banner, corner, crop)
+ * @param {Object} overlay - Current overlay settings
+ */
+function overlaySettingsKeyboard(overlay) {
+  const mark = (selected) => (selected ? '✅' : '');
+  const corners = [
+    ['top-left', '↖️'],
+    ['top-right', '↗️'],
+    ['bottom-left', '↙️'],
+    ['bottom-right', '↘️'],
+  ];
+  const ratios = [
+    ['none', 'Original'],
+    ['4x5', '4:5'],
+    ['1x1', '1:1'],
+  ];
+
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback(
+        overlay.enabled ? '✅ Activé (désactiver)' : '⏸️ Désactivé (activer)',
+        'settings:overlay:toggle'
+      ),
+    ],
+    [
+      Markup.button.callback('🏷️ Logo', 'settings:edit:logo'),
+      Markup.button.callback('💧 Filigrane', 'settings:edit:watermark'),
+      Markup.button.callback('🎗️ Bannière', 'settings:edit:banner'),
+    ],
+    corners.map(([key, emoji]) =>
+      Markup.button.callback(`${mark(overlay.corner === key)}${emoji}`, `settings:corner:${key}`)
+    ),
+    ratios.map(([key, label]) =>
+      Markup.button.callback(`${mark((overlay.ratio || 'none') === key)}📐 ${label}`, `settings:ratio:${key}`)
+    ),
+    [Markup.button.callback('↩️ Retour', 'settings:back')],
+  ]);
+}
+
+/**
+ * Offer to create a team (user on their own)
+ */
+function teamCreateKeyboard() {
+  return Markup.inlineKeyboard([
+    [Markup.button.callback('➕ Créer mon équipe', 'team:create')],
+  ]);
+}
+
+/**
+ * Team management: invites and member roles for admins, leave for the others
+ * @param {Object} team - Team from services/teams
+ * @param {string} viewerId - Member looking at the team
+ * @param {boolean} canManage - Whether the viewer is a team admin
+ */
+function teamKeyboard(team, viewerId, canManage) {
+  const rows = [];
+
+  if (canManage) {
+    rows.push([Markup.button.callback('🔗 Inviter un contributeur', 'team:invite:contributor')]);
+    rows.push([Markup.button.callback('🔗 Inviter un approbateur', 'team:invite:approver')]);
+
+    for (const [memberId, member] of Object.entries(team.members)) {
+      if (memberId === team.ownerId) continue;
+      rows.push([
+        Markup.button.callback(`🔁 ${member.name}`, `team:role:${memberId}`),
+        Markup.button.callback('❌ Retirer', `team:remove:${memberId}`),
+      ]);
+    }
+  }
+
+  if (viewerId !== team.ownerId) {
+    rows.push([Markup.button.callback('🚪 Quitter l\'équipe', 'team:leave')]);
+  }
+
+  return Markup.inlineKeyboard(rows);
+}
+
+/**
+ * Admin broadcast confirmation
+ * @param {string} broadcastId - Pending broadcast ID
+ */
+function adminBroadcastKeyboard(broadcastId) {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback('✅ Envoyer', `admin:${broadcastId}:send`),
+      Markup.button.callback('❌ Annuler', `admin:${broadcastId}:cancel`),
+    ],
+  ]);
+}
+
+/**
+ * Admin session list, one kill button per session
+ * @param {Array} sessions - [{ contentId, content }]
+ */
+function adminSessionsKeyboard(sessions) {
+  return Markup.inlineKeyboard(
+    sessions.map(({ contentId }) => [
+      Markup.button.callback(`🗑️ Fermer ${contentId}`, `admin:${contentId}:kill`),
+    ])
+  );
+}
+
+/**
+ * Group settings toggles
+ * @param {Object} settings - Group settings from services/groups
+ */
+function groupSettingsKeyboard(settings) {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback(
+        settings.processAllPhotos ? '📸 Toutes les photos ✅' : '📸 Seulement si on me mentionne',
+        'group:photos'
+      ),
+    ],
+    [
+      Markup.button.callback(
+        settings.announceApproved ? '📣 Annoncer les posts approuvés ✅' : '📣 Annoncer les posts approuvés ⏸️',
+        'group:announce'
+      ),
+    ],
+  ]);
+}
+
+/**
+ * /stats keyboard - weekly digest switch
+ * @param {boolean} digestEnabled - Whether this chat receives the digest
+ */
+function statsKeyboard(digestEnabled) {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback(
+        digestEnabled ? '📬 Résumé hebdo ✅' : '📬 Recevoir le résumé hebdo',
+        'stats:digest'
+      ),
+    ],
   ]);
 }
 
@@ -219,8 +628,28 @@ module.exports = {
   styleKeyboard,
   feedbackKeyboard,
   imageFeedbackKeyboard,
+  variantOptionsKeyboard,
+  variantPickerKeyboard,
+  historyKeyboard,
+  archiveKeyboard,
   demoKeyboard,
   confirmPostKeyboard,
+  scheduleReminderKeyboard,
+  slotPickerKeyboard,
+  dayPickerKeyboard,
+  timePickerKeyboard,
+  queueItemKeyboard,
+  settingsKeyboard,
+  settingsThemeKeyboard,
+  settingsAngleKeyboard,
+  settingsInputKeyboard,
+  overlaySettingsKeyboard,
+  teamCreateKeyboard,
+  teamKeyboard,
+  adminBroadcastKeyboard,
+  adminSessionsKeyboard,
+  groupSettingsKeyboard,
+  statsKeyboard,
   mainMenuKeyboard,
   removeKeyboard,
 };
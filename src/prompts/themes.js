@@ -85,9 +85,14 @@ function getAngle(angleKey) {
  * @param {string} angleKey - Camera angle identifier
  * @param {string} dishDescription - Description of the dish from vision analysis
  * @param {boolean} hasDecorReference - Whether user provided decor photos
+ * @param {object} [options] - Retry options
+ * @param {boolean} [options.variation] - Ask for a different take than the previous attempts
+ * @param {number} [options.attemptNumber] - Attempt number (1 = first generation)
+ * @param {string} [options.changeHint] - What the user wants changed, in their own words
  * @returns {string} Complete prompt for Nano Banana Pro
  */
-function generateEnhancementPrompt(themeKey, angleKey, dishDescription, hasDecorReference = false) {
+function generateEnhancementPrompt(themeKey, angleKey, dishDescription, hasDecorReference = false, options = {}) {
+  const { variation = false, attemptNumber = 1, changeHint = null } = options;
   const theme = getTheme(themeKey);
   const angle = getAngle(angleKey);
 
@@ -102,6 +107,17 @@ Environment: ${theme.environment}`;
 Style matching the provided restaurant interior reference photos.`;
   }
 
+  // Retries: push the model away from repeating the previous image
+  if (variation) {
+    prompt += `
+Variation ${attemptNumber}: noticeably different setting from previous attempts (props, background arrangement, light direction).`;
+  }
+
+  if (changeHint) {
+    prompt += `
+Requested change (may be written in French): "${changeHint}". Apply it to the setting, lighting or framing only.`;
+  }
+
   prompt += `
 Keep the dish completely unmodified and 100% authentic - no changes to the food itself.
 Subtle, realistic enhancement only. No over-dramatic effects, no excessive shadows or highlights.
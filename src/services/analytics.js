@@ -0,0 +1,352 @@
+/**
+ * Analytics Service
+ * Turns the structured events of logUserAction / logApiCall into daily counters
+ * per restaurant: images generated, approvals, rejections by feedback type,
+ * retries, processing time, theme and angle popularity (and API calls, overall).
+ * /stats, the weekly digest and GET /metrics read the same figures.
+ */
+
+const { getStore } = require('./store');
+const { createSerializer } = require('./store/serialize');
+const { getWorkspaceId } = require('./teams');
+const { addDays, atLocalTime } = require('./scheduler');
+const { THEMES, ANGLES } = require('../prompts/themes');
+const { logger, logEvents } = require('../utils/logger');
+
+// Keys: <workspaceId>:<YYYY-MM-DD> and all:<YYYY-MM-DD> (every restaurant, plus API calls)
+const analytics = getStore('analytics');
+
+// Key: chatId. { chatId, workspaceId, userId, lastSentDay } for chats that opted in
+const digests = getStore('digests');
+
+const BUCKET_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+const ALL_KEY = 'all';
+
+// Weekly digest: Monday morning, local time
+const DIGEST_WEEKDAY = 1;
+const DIGEST_TIME = '09:00';
+const DIGEST_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+// Updates of one bucket run one at a time
+const { serialize } = createSerializer();
+
+let digestTimer = null;
+
+/**
+ * Local day key (e.g. "2026-10-12") `offset` days from today
+ */
+function dayKey(offset = 0) {
+  const { year, month, day } = addDays(offset);
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Empty daily counters
+ */
+function emptyBucket() {
+  return {
+    images: 0,
+    sessions: 0,
+    retries: 0,
+    approvals: 0,
+    rejections: {},
+    processingTimeMs: 0,
+    timedImages: 0,
+    themes: {},
+    angles: {},
+    api: {},
+  };
+}
+
+/**
+ * Apply an update to today's bucket of a workspace
+ */
+function bumpBucket(workspaceId, apply) {
+  const key = `${workspaceId}:${dayKey()}`;
+
+  return serialize(key, async () => {
+    const bucket = (await analytics.get(key)) || emptyBucket();
+    apply(bucket);
+    await analytics.set(key, bucket, BUCKET_TTL_MS);
+  });
+}
+
+/**
+ * Counters changed by a user action (nothing for actions that aren't measured)
+ */
+function actionUpdate(action, details) {
+  switch (action) {
+    case 'image_generated':
+      return (bucket) => {
+        bucket.images += 1;
+        if (details.attempt === 1) bucket.sessions += 1;
+        if (details.processingTimeMs) {
+          bucket.processingTimeMs += details.processingTimeMs;
+          bucket.timedImages += 1;
+        }
+        if (details.theme) bucket.themes[details.theme] = (bucket.themes[details.theme] || 0) + 1;
+        if (details.angle) bucket.angles[details.angle] = (bucket.angles[details.angle] || 0) + 1;
+      };
+    case 'image_retry':
+      return (bucket) => { bucket.retries += 1; };
+    case 'post_approved':
+      return (bucket) => { bucket.approvals += 1; };
+    case 'feedback': {
+      const type = details.feedbackType || 'other';
+      return (bucket) => { bucket.rejections[type] = (bucket.rejections[type] || 0) + 1; };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Record a user action in the restaurant's and the overall counters
+ * @param {Object} event - { userId, action, details } as emitted by logUserAction
+ */
+async function recordUserAction({ userId, action, details = {} }) {
+  const apply = actionUpdate(action, details);
+  if (!apply) return;
+
+  // Approvals count for the author's restaurant, whoever approved
+  const workspaceId = await getWorkspaceId(details.authorId || userId);
+
+  await Promise.all([
+    bumpBucket(workspaceId, apply),
+    bumpBucket(ALL_KEY, apply),
+  ]);
+}
+
+/**
+ * Record an external API call in the overall counters
+ * @param {Object} event - { service, durationMs, success } as emitted by logApiCall
+ */
+async function recordApiCall({ service, durationMs, success }) {
+  await bumpBucket(ALL_KEY, (bucket) => {
+    const api = bucket.api[service] || { calls: 0, failures: 0, durationMs: 0 };
+    api.calls += 1;
+    if (!success) api.failures += 1;
+    api.durationMs += durationMs || 0;
+    bucket.api[service] = api;
+  });
+}
+
+/**
+ * Add counters into a total
+ */
+function addCounts(total, counts) {
+  for (const [key, value] of Object.entries(counts)) {
+    total[key] = (total[key] || 0) + value;
+  }
+}
+
+/**
+ * Counters sorted by popularity
+ */
+function ranking(counts) {
+  return Object.entries(counts)
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Figures for a restaurant over the last days
+ * @param {string|null} workspaceId - Restaurant (team owner's user ID), or null for every restaurant
+ * @param {number} [days] - Period length in days
+ * @param {number} [endOffset] - Last day of the period (0: today, -1: yesterday)
+ * @returns {Promise<Object>} { from, to, days, images, sessions, approvals, rejections, retries,
+ *   retriesPerSession, avgProcessingTimeMs, themes, angles, api? }
+ */
+async function getStats(workspaceId, days = 7, endOffset = 0) {
+  const total = emptyBucket();
+  const firstOffset = endOffset - days + 1;
+
+  for (let offset = firstOffset; offset <= endOffset; offset++) {
+    const bucket = await analytics.get(`${workspaceId || ALL_KEY}:${dayKey(offset)}`);
+    if (!bucket) continue;
+
+    for (const field of ['images', 'sessions', 'retries', 'approvals', 'processingTimeMs', 'timedImages']) {
+      total[field] += bucket[field];
+    }
+    addCounts(total.rejections, bucket.rejections);
+    addCounts(total.themes, bucket.themes);
+    addCounts(total.angles, bucket.angles);
+
+    for (const [service, api] of Object.entries(bucket.api)) {
+      total.api[service] = total.api[service] || { calls: 0, failures: 0, durationMs: 0 };
+      addCounts(total.api[service], api);
+    }
+  }
+
+  const stats = {
+    from: dayKey(firstOffset),
+    to: dayKey(endOffset),
+    days,
+    images: total.images,
+    sessions: total.sessions,
+    approvals: total.approvals,
+    rejections: {
+      total: Object.values(total.rejections).reduce((sum, n) => sum + n, 0),
+      byType: total.rejections,
+    },
+    retries: total.retries,
+    retriesPerSession: total.sessions ? Math.round(total.retries / total.sessions * 10) / 10 : 0,
+    avgProcessingTimeMs: total.timedImages ? Math.round(total.processingTimeMs / total.timedImages) : null,
+    themes: ranking(total.themes).map(({ key, count }) => ({ theme: key, count })),
+    angles: ranking(total.angles).map(({ key, count }) => ({ angle: key, count })),
+  };
+
+  if (!workspaceId) {
+    stats.api = Object.fromEntries(Object.entries(total.api).map(([service, api]) => [service, {
+      calls: api.calls,
+      failures: api.failures,
+      avgDurationMs: Math.round(api.durationMs / api.calls),
+    }]));
+  }
+
+  return stats;
+}
+
+/**
+ * Telegram summary of a period's figures (Markdown)
+ * @param {Object} stats - From getStats
+ * @param {string} title - First line, e.g. "Tes 7 derniers jours"
+ */
+function formatStats(stats, title) {
+  if (stats.images === 0 && stats.approvals === 0 && stats.rejections.total === 0) {
+    return `📊 *${title}*\n\n_Aucune photo traitée sur cette période._`;
+  }
+
+  const lines = [
+    `📊 *${title}*`,
+    '',
+    `📸 Images générées: ${stats.images} (${stats.sessions} photo(s))`,
+    `✅ Posts approuvés: ${stats.approvals}`,
+    `❌ Posts refusés: ${stats.rejections.total}`,
+    `🔄 Nouvelles tentatives: ${stats.retries} (${stats.retriesPerSession} par photo)`,
+  ];
+
+  if (stats.avgProcessingTimeMs != null) {
+    lines.push(`⏱️ Temps moyen: ${Math.round(stats.avgProcessingTimeMs / 1000)}s`);
+  }
+
+  const topThemes = stats.themes.slice(0, 3)
+    .map(({ theme, count }) => `${THEMES[theme]?.emoji || '🎨'} ${THEMES[theme]?.label || theme} (${count})`);
+  if (topThemes.length > 0) lines.push('', `🎨 Thèmes: ${topThemes.join(', ')}`);
+
+  const topAngles = stats.angles.slice(0, 3)
+    .map(({ angle, count }) => `${ANGLES[angle]?.label || angle} (${count})`);
+  if (topAngles.length > 0) lines.push(`📐 Angles: ${topAngles.join(', ')}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Whether a chat receives the weekly digest
+ */
+async function isDigestEnabled(chatId) {
+  return !!(await digests.get(String(chatId)));
+}
+
+/**
+ * Turn the weekly digest on or off for a chat
+ * @param {number|string} chatId - Chat the digest is sent to
+ * @param {number|string} userId - User who asked (their restaurant is summarized)
+ * @returns {Promise<boolean>} Whether the digest is now on
+ */
+async function toggleDigest(chatId, userId) {
+  if (await isDigestEnabled(chatId)) {
+    await digests.delete(String(chatId));
+    return false;
+  }
+
+  await digests.set(String(chatId), {
+    chatId,
+    userId: String(userId),
+    workspaceId: await getWorkspaceId(userId),
+    lastSentDay: dayKey(),
+  });
+  return true;
+}
+
+/**
+ * Send the weekly digests that are due (Monday from DIGEST_TIME, once per week)
+ * @param {Object} telegram - Telegraf telegram client
+ */
+async function sendDueDigests(telegram) {
+  const today = addDays(0);
+  if (today.weekday !== DIGEST_WEEKDAY || Date.now() < atLocalTime(today, DIGEST_TIME).getTime()) return;
+
+  const todayKey = dayKey();
+
+  for (const [chatId, digest] of await digests.entries()) {
+    if (digest.lastSentDay === todayKey) continue;
+
+    // Marked first: a failing chat isn't retried every check until next week
+    await digests.set(chatId, { ...digest, lastSentDay: todayKey });
+
+    // The week that just ended, not today; quiet weeks aren't sent
+    const stats = await getStats(digest.workspaceId, 7, -1);
+    if (stats.images === 0 && stats.approvals === 0) continue;
+
+    await telegram.sendMessage(
+      digest.chatId,
+      `${formatStats(stats, 'Ton résumé de la semaine')}\n\n_Désactive ce résumé avec /stats._`,
+      { parse_mode: 'Markdown' }
+    ).catch(err => logger.warn('Weekly digest failed', { chatId, error: err.message }));
+  }
+}
+
+/**
+ * Event listeners (never throw into the code that logged)
+ */
+function onUserAction(event) {
+  recordUserAction(event)
+    .catch(err => logger.warn('Analytics event not recorded', { action: event.action, error: err.message }));
+}
+
+function onApiCall(event) {
+  recordApiCall(event)
+    .catch(err => logger.warn('Analytics event not recorded', { service: event.service, error: err.message }));
+}
+
+/**
+ * Start recording events and sending weekly digests
+ * @param {Object} telegram - Telegraf telegram client
+ */
+function startAnalytics(telegram) {
+  if (digestTimer) return;
+
+  logEvents.on('user_action', onUserAction);
+  logEvents.on('api_call', onApiCall);
+
+  const tick = () => sendDueDigests(telegram)
+    .catch(err => logger.error('Weekly digest check failed', { error: err.message }));
+
+  digestTimer = setInterval(tick, DIGEST_CHECK_INTERVAL_MS);
+  tick();
+
+  logger.info('Analytics started', { digestCheckIntervalMs: DIGEST_CHECK_INTERVAL_MS });
+}
+
+/**
+ * Stop recording events and the digest loop
+ */
+function stopAnalytics() {
+  logEvents.off('user_action', onUserAction);
+  logEvents.off('api_call', onApiCall);
+
+  if (digestTimer) {
+    clearInterval(digestTimer);
+    digestTimer = null;
+  }
+}
+
+module.exports = {
+  getStats,
+  formatStats,
+  isDigestEnabled,
+  toggleDigest,
+  startAnalytics,
+  stopAnalytics,
+};
@@ -0,0 +1,150 @@
+/**
+ * Multi-Platform Bundle Service
+ * Turns one approved post into per-platform crops, captions and hashtags
+ */
+
+const { rewriteCaption } = require('./captions');
+const { renderSizes } = require('./images');
+const { recordCosts } = require('./usage');
+const { logger } = require('../utils/logger');
+
+// Per-platform rendering and caption rules
+const PLATFORM_SPECS = {
+  instagram: {
+    label: '📸 Instagram',
+    renders: [
+      { key: 'ig_feed', label: 'Feed 4:5', width: 1080, height: 1350 },
+      { key: 'ig_story', label: 'Story 9:16', width: 1080, height: 1920 },
+    ],
+    style: null, // The approved caption as is
+    maxHashtags: 10,
+    withLink: false,
+  },
+  tiktok: {
+    label: '🎵 TikTok',
+    renders: [
+      { key: 'tiktok_cover', label: 'Cover 9:16', width: 1080, height: 1920 },
+    ],
+    style: 'tiktok',
+    maxHashtags: 5,
+    withLink: false,
+  },
+  facebook: {
+    label: '📘 Facebook',
+    renders: [
+      { key: 'fb_feed', label: 'Feed 1:1', width: 1080, height: 1080 },
+    ],
+    style: 'facebook',
+    maxHashtags: 3,
+    withLink: true,
+  },
+};
+
+const ALL_PLATFORMS = Object.keys(PLATFORM_SPECS);
+
+/**
+ * Pick hashtags for a platform: the profile's signature tags first,
+ * then the generated ones, without duplicates
+ */
+function pickHashtags(hashtags, signature, max) {
+  const seen = new Set();
+
+  return [...(signature || []), ...(hashtags || [])]
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, max);
+}
+
+/**
+ * Build the caption for one platform
+ */
+async function buildPlatformCaption(spec, content, profile) {
+  let caption = content.caption;
+  let source = 'approved';
+
+  if (spec.style) {
+    const result = await rewriteCaption({
+      caption: content.caption,
+      style: spec.style,
+      analysis: content.analysis,
+      theme: content.theme,
+      restaurantName: content.restaurantName,
+      profile,
+    });
+    caption = result.caption;
+    source = result.source;
+
+    recordCosts(content.userId, { caption: result.calls })
+      .catch(err => logger.warn('Failed to record caption costs', { error: err.message }));
+  }
+
+  if (spec.withLink && profile?.website) {
+    caption += `\n\n👉 ${profile.website}`;
+  }
+
+  return { caption, source };
+}
+
+/**
+ * Build the bundle for an approved post
+ * @param {Object} params
+ * @param {Object} params.content - Approved session (enhancedUrl, caption, hashtags...)
+ * @param {Array} params.platforms - instagram, tiktok and/or facebook
+ * @param {Object} [params.profile] - Restaurant profile (signature hashtags, website)
+ * @param {Object} [params.branding] - Overlays from images.loadBranding(), applied to every crop
+ * @returns {Promise<Object>} { success, items: [{ platform, label, caption, hashtags, renders }], error? }
+ *   Each render is { key, label, source: Buffer } or { key, label, url } when cropping failed.
+ */
+async function buildBundle({ content, platforms, profile = null, branding = null }) {
+  const specs = platforms
+    .filter(platform => PLATFORM_SPECS[platform])
+    .map(platform => ({ platform, ...PLATFORM_SPECS[platform] }));
+
+  if (specs.length === 0) {
+    return { success: false, items: [], error: 'No supported platform' };
+  }
+
+  const sizes = specs.flatMap(spec => spec.renders);
+  const rendered = await renderSizes(content.enhancedUrl, sizes, branding);
+
+  if (!rendered.success) {
+    logger.warn('Bundle crops unavailable, sending the original image', { error: rendered.error });
+  }
+
+  const items = [];
+
+  for (const spec of specs) {
+    const { caption, source } = await buildPlatformCaption(spec, content, profile);
+
+    items.push({
+      platform: spec.platform,
+      label: spec.label,
+      caption,
+      captionSource: source,
+      hashtags: pickHashtags(content.hashtags, profile?.hashtags, spec.maxHashtags),
+      renders: spec.renders.map(({ key, label }) => (
+        rendered.renders[key]
+          ? { key, label, source: rendered.renders[key] }
+          : { key, label, url: content.enhancedUrl }
+      )),
+    });
+  }
+
+  logger.info('Bundle built', {
+    platforms: items.map(item => item.platform),
+    cropped: rendered.success,
+  });
+
+  return { success: true, items, cropped: rendered.success };
+}
+
+module.exports = {
+  PLATFORM_SPECS,
+  ALL_PLATFORMS,
+  pickHashtags,
+  buildBundle,
+};
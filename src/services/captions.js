@@ -0,0 +1,498 @@
+/**
+ * Caption Rewrite Service
+ * Restyles a generated caption with Claude (or an n8n sub-workflow),
+ * falling back to local string transforms when neither is reachable
+ */
+
+const axios = require('axios');
+const { config } = require('../utils/config');
+const { logger, logApiCall } = require('../utils/logger');
+const { getCaptionContext } = require('../prompts/themes');
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Instagram caption hard limit
+const MAX_CAPTION_LENGTH = 2200;
+
+// Style instructions sent to the model
+const STYLE_INSTRUCTIONS = {
+  punchy: {
+    instruction: 'Rends la caption plus punchy: phrases courtes, verbes d\'action, énergie. Maximum 2 emojis. Pas de majuscules partout.',
+    maxLength: 300,
+  },
+  chill: {
+    instruction: 'Rends la caption plus chill: ton détendu et complice, comme un ami qui recommande une place. Maximum 2 emojis.',
+    maxLength: 400,
+  },
+  short: {
+    instruction: 'Réduis la caption à une seule phrase accrocheuse.',
+    maxLength: 120,
+  },
+  detailed: {
+    instruction: 'Rends la caption plus détaillée: 3 ou 4 phrases, décris les ingrédients, textures et saveurs, termine par une invitation à réserver.',
+    maxLength: 700,
+  },
+  // Platform versions used by the multi-platform bundle
+  tiktok: {
+    instruction: 'Version TikTok: commence par un hook qui arrête le scroll (question ou affirmation surprenante), puis une phrase courte. Maximum 2 emojis.',
+    maxLength: 150,
+  },
+  facebook: {
+    instruction: 'Version Facebook: 3 à 5 phrases, ton conversationnel, raconte le plat et l\'ambiance, termine par une invitation à venir nous voir. Pas de lien (il est ajouté automatiquement).',
+    maxLength: 1200,
+  },
+};
+
+// Common words used to check the rewrite stayed in French
+const FRENCH_MARKERS = ['le', 'la', 'les', 'de', 'des', 'du', 'un', 'une', 'et', 'est', 'pour', 'avec', 'notre', 'nos', 'on', 'ce', 'ton', 'ta', 'qui', 'en', 'au', 'à'];
+const ENGLISH_MARKERS = ['the', 'and', 'with', 'our', 'for', 'this', 'is', 'you', 'your', 'of', 'to', 'in'];
+
+/**
+ * Build the system prompt for a rewrite
+ * @param {Object} [profile] - Restaurant profile
+ * @param {boolean} [editsHashtags] - Whether the model also returns the hashtag list
+ */
+function buildSystemPrompt(profile, editsHashtags = false) {
+  let prompt = `Tu es un expert en social media pour restaurants au Québec.
+
+RÈGLES ABSOLUES:
+- Français québécois naturel (pas de France), même si on te parle autrement
+- Ton: authentique, chaleureux, appétissant
+- Jamais: ton corporate, clichés, MAJUSCULES partout
+- Ne change pas les faits: même plat, mêmes ingrédients
+- ${editsHashtags
+    ? 'Les hashtags vont dans la liste "hashtags", jamais dans la caption'
+    : 'Ne mets PAS de hashtags dans la caption (ils sont gérés à part)'}`;
+
+  if (profile?.brandVoice) {
+    prompt += `\n\nVOIX DE MARQUE DU RESTO:\n${profile.brandVoice}`;
+  }
+
+  if (profile?.bannedWords?.length) {
+    prompt += `\n\nMOTS INTERDITS (ne jamais les utiliser): ${profile.bannedWords.join(', ')}`;
+  }
+
+  if (!editsHashtags) {
+    prompt += `\n\nRetourne UNIQUEMENT un JSON: { "caption": "la nouvelle caption" }`;
+  }
+  return prompt;
+}
+
+/**
+ * Build the user message for a rewrite
+ */
+function buildUserPrompt({ caption, analysis, theme, style, restaurantName }) {
+  const styleText = STYLE_INSTRUCTIONS[style].instruction;
+  const analysisText = typeof analysis === 'string' ? analysis : JSON.stringify(analysis || {});
+
+  return `Restaurant: ${restaurantName || 'Restaurant'}
+Ambiance: ${getCaptionContext(theme)}
+
+Analyse du plat:
+${analysisText}
+
+Caption originale:
+${caption}
+
+Consigne: ${styleText}`;
+}
+
+/**
+ * Build the user message for a free-form edit instruction
+ */
+function buildInstructionPrompt({ caption, hashtags, analysis, theme, instruction, restaurantName }) {
+  const analysisText = typeof analysis === 'string' ? analysis : JSON.stringify(analysis || {});
+
+  return `Restaurant: ${restaurantName || 'Restaurant'}
+Ambiance: ${getCaptionContext(theme)}
+
+Analyse du plat:
+${analysisText}
+
+Caption actuelle:
+${caption}
+
+Hashtags actuels (dans l'ordre):
+${(hashtags || []).join(' ')}
+
+Instruction du restaurateur: ${instruction}
+
+Applique l'instruction et seulement elle. Garde le reste intact.
+Retourne UNIQUEMENT un JSON: { "caption": "la caption", "hashtags": ["#tag1", "#tag2"] }`;
+}
+
+/**
+ * Build the user message for a first caption (local pipeline)
+ * Same rules as the "Generate Caption" node of the n8n workflow
+ */
+function buildGenerationPrompt({ analysis, theme, restaurantName }) {
+  const analysisText = typeof analysis === 'string' ? analysis : JSON.stringify(analysis || {});
+
+  return `Restaurant: ${restaurantName || 'Restaurant'}
+Ambiance: ${getCaptionContext(theme)}
+
+Analyse du plat:
+${analysisText}
+
+Génère une caption Instagram pour ce plat: maximum 3 phrases, donne envie, urgence douce.
+Hashtags: 2 génériques (#foodiemontreal #restosmtl), 2 spécifiques au plat, 1 branded (#wwithai).
+Retourne UNIQUEMENT un JSON: { "caption": "la caption", "hashtags": ["#tag1", "#tag2"] }`;
+}
+
+/**
+ * Parse the model's reply, tolerating text around the JSON
+ * @returns {Object|null} { caption, hashtags? }
+ */
+function parseModelReply(text) {
+  const match = (text || '').match(/\{[\s\S]*\}/);
+  if (!match) return null;
+
+  try {
+    const parsed = JSON.parse(match[0]);
+    if (typeof parsed.caption !== 'string') return null;
+
+    return {
+      caption: parsed.caption.trim(),
+      hashtags: Array.isArray(parsed.hashtags) ? parsed.hashtags : undefined,
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Count how many marker words appear in a text
+ */
+function countMarkers(words, markers) {
+  return words.filter(w => markers.includes(w)).length;
+}
+
+/**
+ * Validate a rewritten caption
+ * @param {string} caption - Rewritten caption
+ * @param {Object} options
+ * @param {number} options.maxLength - Maximum length for the style
+ * @param {Array} [options.bannedWords] - Words that must not appear
+ * @returns {string|null} Reason it was rejected, or null if valid
+ */
+function validateCaption(caption, { maxLength, bannedWords = [] }) {
+  if (!caption) return 'empty';
+  if (caption.length > Math.min(maxLength, MAX_CAPTION_LENGTH)) return 'too_long';
+
+  const letters = caption.replace(/[^a-zA-ZÀ-ÿ]/g, '');
+  if (letters.length > 20 && letters === letters.toUpperCase()) return 'all_caps';
+
+  const words = caption.toLowerCase().split(/[^a-zà-ÿ']+/).filter(Boolean);
+  if (words.length >= 5 && countMarkers(words, ENGLISH_MARKERS) > countMarkers(words, FRENCH_MARKERS)) {
+    return 'not_french';
+  }
+
+  const lower = caption.toLowerCase();
+  const banned = bannedWords.find(word => lower.includes(word.toLowerCase()));
+  if (banned) return 'banned_word';
+
+  if (/#\w/.test(caption)) return 'hashtags';
+
+  return null;
+}
+
+/**
+ * Call Claude directly
+ */
+async function callClaude(system, user) {
+  const response = await axios.post(
+    ANTHROPIC_API_URL,
+    {
+      model: config.CLAUDE_MODEL,
+      max_tokens: 600,
+      temperature: 0.8,
+      system,
+      messages: [{ role: 'user', content: user }],
+    },
+    {
+      headers: {
+        'x-api-key': config.ANTHROPIC_API_KEY,
+        'anthropic-version': ANTHROPIC_VERSION,
+        'Content-Type': 'application/json',
+      },
+      timeout: 30000,
+    }
+  );
+
+  return response.data?.content?.[0]?.text;
+}
+
+/**
+ * Call the n8n caption-rewrite sub-workflow
+ * It receives the prompts and returns { caption, hashtags? } (or the raw model text).
+ */
+async function callN8n(system, user, payload) {
+  const response = await axios.post(
+    `${config.N8N_URL}${config.N8N_CAPTION_WEBHOOK_PATH}`,
+    { system, prompt: user, ...payload },
+    {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'WWITHai-Content-Engine/1.0',
+      },
+      timeout: 30000,
+    }
+  );
+
+  const data = response.data || {};
+  return typeof data.caption === 'string' ? JSON.stringify(data) : data.text;
+}
+
+/**
+ * Ask the configured backend for a caption and validate the answer
+ * Retries once when the reply is unusable or the server errors.
+ * @param {Function} validate - (reply) => rejection reason or null
+ * @param {string} [backend] - claude or n8n (default: CAPTION_REWRITE_BACKEND)
+ * @returns {Promise<Object>} { reply, source, calls } on success, { error, calls } otherwise
+ *   (calls: model replies received, for the usage ledger)
+ */
+async function requestCaption(system, user, payload, validate, backend = config.CAPTION_REWRITE_BACKEND) {
+  if (backend === 'claude' && !config.ANTHROPIC_API_KEY) {
+    logger.debug('Caption rewrite skipped (ANTHROPIC_API_KEY not configured)');
+    return { error: 'not_configured', calls: 0 };
+  }
+
+  let lastError = null;
+  let calls = 0;
+
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const startTime = Date.now();
+
+    try {
+      const text = backend === 'n8n'
+        ? await callN8n(system, user, payload)
+        : await callClaude(system, user);
+
+      logApiCall(backend, 'caption-rewrite', Date.now() - startTime, true);
+      calls++;
+
+      const reply = parseModelReply(text);
+      const rejection = reply ? validate(reply) : 'unparseable';
+
+      if (!rejection) {
+        return { reply, source: backend, calls };
+      }
+
+      lastError = `invalid_${rejection}`;
+      logger.warn('Caption rewrite rejected', { ...payload, attempt, reason: rejection });
+    } catch (error) {
+      logApiCall(backend, 'caption-rewrite', Date.now() - startTime, false);
+      lastError = error.message;
+      logger.warn('Caption rewrite failed', {
+        ...payload,
+        attempt,
+        error: error.message,
+        status: error.response?.status,
+      });
+
+      // Network/auth problems won't fix themselves on an immediate retry
+      if (!error.response || error.response.status < 500) break;
+    }
+  }
+
+  return { error: lastError, calls };
+}
+
+/**
+ * Rewrite a caption in a given style
+ * @param {Object} params - Rewrite parameters
+ * @param {string} params.caption - Original caption (not a previous rewrite)
+ * @param {string} params.style - punchy, chill, short, detailed (or tiktok, facebook)
+ * @param {Object} [params.analysis] - Vision analysis of the dish
+ * @param {string} [params.theme] - Theme key
+ * @param {string} [params.restaurantName] - Restaurant name
+ * @param {Object} [params.profile] - Restaurant profile (brand voice, banned words)
+ * @returns {Promise<Object>} { success, caption, source: 'claude'|'n8n'|'fallback', calls, error? }
+ */
+async function rewriteCaption({
+  caption,
+  style,
+  analysis = {},
+  theme = 'dinner',
+  restaurantName = 'Restaurant',
+  profile = null,
+}) {
+  const spec = STYLE_INSTRUCTIONS[style];
+
+  if (!spec) {
+    return { success: false, caption, source: 'none', calls: 0, error: `Unknown style: ${style}` };
+  }
+
+  const bannedWords = profile?.bannedWords || [];
+  const result = await requestCaption(
+    buildSystemPrompt(profile),
+    buildUserPrompt({ caption, analysis, theme, style, restaurantName }),
+    { style, theme, restaurantName },
+    (reply) => validateCaption(reply.caption, { maxLength: spec.maxLength, bannedWords })
+  );
+
+  if (result.reply) {
+    return { success: true, caption: result.reply.caption, source: result.source, calls: result.calls };
+  }
+
+  return { ...applyFallback(caption, style, result.error), calls: result.calls };
+}
+
+/**
+ * Apply a free-form instruction to a caption and its hashtags
+ * ("mentionne notre terrasse", "enlève le 2e hashtag"). No offline fallback.
+ * @param {Object} params - Edit parameters
+ * @param {string} params.caption - Current caption
+ * @param {Array} params.hashtags - Current hashtags
+ * @param {string} params.instruction - What the user typed
+ * @param {Object} [params.analysis] - Vision analysis of the dish
+ * @param {string} [params.theme] - Theme key
+ * @param {string} [params.restaurantName] - Restaurant name
+ * @param {Object} [params.profile] - Restaurant profile (brand voice, banned words)
+ * @returns {Promise<Object>} { success, caption, hashtags, source, calls, error? }
+ */
+async function applyInstruction({
+  caption,
+  hashtags = [],
+  instruction,
+  analysis = {},
+  theme = 'dinner',
+  restaurantName = 'Restaurant',
+  profile = null,
+}) {
+  const bannedWords = profile?.bannedWords || [];
+  const result = await requestCaption(
+    buildSystemPrompt(profile, true),
+    buildInstructionPrompt({ caption, hashtags, analysis, theme, instruction, restaurantName }),
+    { style: 'instruction', theme, restaurantName },
+    (reply) => validateCaption(reply.caption, { maxLength: MAX_CAPTION_LENGTH, bannedWords }) ||
+      validateHashtags(reply.hashtags)
+  );
+
+  if (!result.reply) {
+    return { success: false, caption, hashtags, source: 'none', calls: result.calls, error: result.error };
+  }
+
+  return {
+    success: true,
+    caption: result.reply.caption,
+    hashtags: result.reply.hashtags.map(tag => `#${tag.replace(/^#+/, '')}`),
+    source: result.source,
+    calls: result.calls,
+  };
+}
+
+/**
+ * Generate the first caption and hashtags for a dish
+ * Used by the local pipeline, so it always calls Claude directly (n8n may be down).
+ * @param {Object} params - Generation parameters
+ * @param {Object} [params.analysis] - Vision analysis of the dish
+ * @param {string} [params.theme] - Theme key
+ * @param {string} [params.restaurantName] - Restaurant name
+ * @param {Object} [params.profile] - Restaurant profile (brand voice, banned words)
+ * @returns {Promise<Object>} { success, caption, hashtags, source, error? }
+ */
+async function generateCaption({
+  analysis = {},
+  theme = 'dinner',
+  restaurantName = 'Restaurant',
+  profile = null,
+}) {
+  const bannedWords = profile?.bannedWords || [];
+  const result = await requestCaption(
+    buildSystemPrompt(profile, true),
+    buildGenerationPrompt({ analysis, theme, restaurantName }),
+    { style: 'generate', theme, restaurantName },
+    (reply) => validateCaption(reply.caption, { maxLength: MAX_CAPTION_LENGTH, bannedWords }) ||
+      validateHashtags(reply.hashtags),
+    'claude'
+  );
+
+  if (!result.reply) {
+    return { success: false, caption: null, hashtags: [], source: 'none', error: result.error };
+  }
+
+  return {
+    success: true,
+    caption: result.reply.caption,
+    hashtags: result.reply.hashtags.map(tag => `#${tag.replace(/^#+/, '')}`),
+    source: result.source,
+  };
+}
+
+/**
+ * Validate a hashtag list returned by the model
+ * @returns {string|null} Reason it was rejected, or null if valid
+ */
+function validateHashtags(hashtags) {
+  if (!Array.isArray(hashtags)) return 'hashtags_missing';
+  if (hashtags.length > 30) return 'too_many_hashtags';
+  if (hashtags.some(tag => typeof tag !== 'string' || !/^#?[\p{L}\p{N}_]+$/u.test(tag))) {
+    return 'invalid_hashtag';
+  }
+  return null;
+}
+
+/**
+ * Offline fallback using local string transforms
+ */
+function applyFallback(caption, style, error) {
+  const transforms = {
+    punchy: makePunchy,
+    chill: makeChill,
+    short: makeShort,
+    detailed: makeDetailed,
+    tiktok: makeTiktok,
+    facebook: makeFacebook,
+  };
+
+  const transform = transforms[style];
+  return {
+    success: !!transform,
+    caption: transform ? transform(caption) : caption,
+    source: 'fallback',
+    error,
+  };
+}
+
+// Caption transformation helpers (offline fallback only)
+function makePunchy(caption) {
+  return caption
+    .replace(/\./g, '!')
+    .replace(/,/g, ' 🔥')
+    .toUpperCase()
+    .substring(0, 150) + '...';
+}
+
+function makeChill(caption) {
+  return caption
+    .toLowerCase()
+    .replace(/!/g, '.')
+    .replace(/🔥/g, '✨');
+}
+
+function makeShort(caption) {
+  const sentences = caption.split(/[.!?]/);
+  return sentences[0] + '.';
+}
+
+function makeDetailed(caption) {
+  return caption + '\n\n📍 Réservations ouvertes. Lien en bio.';
+}
+
+function makeTiktok(caption) {
+  return `POV: t'as faim 👀 ${makeShort(caption)}`.substring(0, 150);
+}
+
+function makeFacebook(caption) {
+  return caption + '\n\nOn vous attend! Passez nous voir ou réservez votre table.';
+}
+
+module.exports = {
+  STYLE_INSTRUCTIONS,
+  rewriteCaption,
+  applyInstruction,
+  generateCaption,
+  validateCaption,
+};
@@ -0,0 +1,87 @@
+/**
+ * Airtable Content Log Sink
+ * One row per session in AIRTABLE_TABLE. The table needs the columns of
+ * fields.js (Content ID, Date, Restaurant...); images go to attachment columns.
+ */
+
+const axios = require('axios');
+const { config } = require('../../utils/config');
+const { logger, logApiCall } = require('../../utils/logger');
+const { COLUMNS, cellValue } = require('./fields');
+
+const AIRTABLE_API_BASE = 'https://api.airtable.com/v0';
+
+/**
+ * Airtable fields for the record fields that are set
+ */
+function toAirtableFields(fields) {
+  const row = {};
+
+  for (const { field, label } of COLUMNS) {
+    if (fields[field] == null) continue;
+
+    const value = cellValue(field, fields[field]);
+    if (field === 'originalUrl' || field === 'enhancedUrl') {
+      if (value) row[label] = [{ url: value }];
+      continue;
+    }
+    row[label] = value;
+  }
+
+  return row;
+}
+
+/**
+ * Create or update a row
+ * @param {string} method - post | patch
+ * @param {string} [recordId] - Airtable record ID (patch)
+ */
+async function request(method, fields, recordId = null) {
+  const startTime = Date.now();
+  const table = encodeURIComponent(config.AIRTABLE_TABLE);
+  const url = `${AIRTABLE_API_BASE}/${config.AIRTABLE_BASE_ID}/${table}${recordId ? `/${recordId}` : ''}`;
+
+  try {
+    const response = await axios({
+      method,
+      url,
+      // typecast: new select values are created instead of rejected
+      data: { fields: toAirtableFields(fields), typecast: true },
+      headers: {
+        'Authorization': `Bearer ${config.AIRTABLE_API_KEY}`,
+        'Content-Type': 'application/json',
+      },
+      timeout: 10000,
+    });
+
+    logApiCall('airtable', recordId ? 'update_record' : 'create_record', Date.now() - startTime, true);
+    return { success: true, remoteId: response.data.id };
+  } catch (error) {
+    logApiCall('airtable', recordId ? 'update_record' : 'create_record', Date.now() - startTime, false);
+    logger.error('Airtable write failed', {
+      error: error.message,
+      status: error.response?.status,
+      details: error.response?.data,
+    });
+    return { success: false, error: error.response?.data?.error?.message || error.message };
+  }
+}
+
+module.exports = {
+  name: 'airtable',
+
+  isConfigured: () => !!(config.AIRTABLE_API_KEY && config.AIRTABLE_BASE_ID),
+
+  create(fields) {
+    return request('post', fields);
+  },
+
+  update(recordId, changes) {
+    return request('patch', changes, recordId);
+  },
+
+  // No page body: the Variations column is rewritten with every image so far
+  addVariation(recordId, variation, fields) {
+    return request('patch', { variations: fields.variations }, recordId);
+  },
+};
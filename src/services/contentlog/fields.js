@@ -0,0 +1,74 @@
+/**
+ * Content Log Fields
+ * Columns shared by the table-like sinks (Airtable, Google Sheets), and how
+ * a record's values are written to them
+ */
+
+// Record field -> column name, in spreadsheet order
+const COLUMNS = [
+  { field: 'contentId', label: 'Content ID' },
+  { field: 'date', label: 'Date' },
+  { field: 'restaurantName', label: 'Restaurant' },
+  { field: 'userId', label: 'User ID' },
+  { field: 'status', label: 'Status' },
+  { field: 'theme', label: 'Theme' },
+  { field: 'angle', label: 'Angle' },
+  { field: 'dish', label: 'Dish' },
+  { field: 'cuisine', label: 'Cuisine' },
+  { field: 'caption', label: 'Caption' },
+  { field: 'originalUrl', label: 'Original Image' },
+  { field: 'enhancedUrl', label: 'Enhanced Image' },
+  { field: 'hasDecorReference', label: 'Decor Reference' },
+  { field: 'processingTimeMs', label: 'Processing Time' },
+  { field: 'attempts', label: 'Attempts' },
+  { field: 'styleEdits', label: 'Style Edits' },
+  { field: 'approvedBy', label: 'Approved By' },
+  { field: 'feedback', label: 'Feedback' },
+  { field: 'permalink', label: 'Permalink' },
+  { field: 'platforms', label: 'Platform' },
+  { field: 'variations', label: 'Variations' },
+];
+
+/**
+ * Image URL that may leave the bot, or null
+ * Telegram file links carry the bot token (and expire after an hour).
+ */
+function publicImageUrl(url) {
+  if (!url || url.includes('api.telegram.org/file/')) return null;
+  return url;
+}
+
+/**
+ * One line describing a regenerated image
+ * @param {Object} variation - { attempt, theme, angle, seed, changeHint, caption, processingTimeMs }
+ */
+function describeVariation(variation) {
+  const summary = [
+    `Variation ${variation.attempt || '?'}`,
+    variation.theme,
+    variation.angle,
+    variation.seed != null ? `seed ${variation.seed}` : null,
+    variation.changeHint ? `consigne: ${variation.changeHint}` : null,
+    variation.processingTimeMs ? `${Math.round(variation.processingTimeMs / 1000)}s` : null,
+  ].filter(Boolean).join(' · ');
+
+  return `${summary}${variation.caption ? `\n${variation.caption}` : ''}`;
+}
+
+/**
+ * Plain cell value of a field (strings, numbers and booleans; '' when unset)
+ */
+function cellValue(field, value) {
+  if (value == null) return '';
+  if (field === 'originalUrl' || field === 'enhancedUrl') return publicImageUrl(value) || '';
+  if (field === 'platforms') return value.join(', ');
+  if (field === 'variations') return value.map(describeVariation).join('\n\n');
+  return value;
+}
+
+module.exports = {
+  COLUMNS,
+  publicImageUrl,
+  describeVariation,
+  cellValue,
+};
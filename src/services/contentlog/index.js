@@ -0,0 +1,366 @@
+/**
+ * Content Log Service
+ * One record per session, always kept in the local store, and fanned out to
+ * the remote sinks listed in CONTENT_LOG_SINKS (jsonl, notion, airtable, sheets).
+ *
+ * Each sink has its own outbox on the record: the remote ID once created, the
+ * updates and variations it hasn't received yet, and its retry state. A sink
+ * that fails is retried in the background, until it goes through, without
+ * holding back the others.
+ *
+ * A sink is { name, isConfigured(), create(fields) -> { success, remoteId },
+ * update(remoteId, changes, fields), addVariation(remoteId, variation, fields) }.
+ */
+
+const { getStore } = require('../store');
+const { createSerializer } = require('../store/serialize');
+const { config } = require('../../utils/config');
+const { logger } = require('../../utils/logger');
+
+const SINKS = {
+  jsonl: require('./jsonl'),
+  notion: require('./notion'),
+  airtable: require('./airtable'),
+  sheets: require('./sheets'),
+};
+
+// Names for the local record itself, accepted in CONTENT_LOG_SINKS but always on
+const LOCAL_SINK_NAMES = ['local', 'sqlite', 'store'];
+
+// Key: contentId. { contentId, userId, fields, outbox: { <sink>: { remoteId, pending, variations, ... } } }
+const records = getStore('records');
+
+// Key: contentId. Records a sink is still waiting on, so retries don't scan every record
+const waiting = getStore('outbox');
+
+// Records outlive sessions: they are the bot's own history of posts
+const RECORD_TTL_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Failed sink writes are retried after 30s, 1min, 2min... then every 30min until they go through
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 30 * 60 * 1000;
+
+// Failures in a row after which a sink is reported as down
+const ALERT_ATTEMPTS = 6;
+const RETRY_SWEEP_INTERVAL_MS = 30 * 1000;
+
+// Operations on one record run one at a time
+const { serialize, isBusy } = createSerializer();
+
+let retryTimer = null;
+
+/**
+ * Remote sinks to write to, in configured order
+ */
+function activeSinks() {
+  return config.CONTENT_LOG_SINKS
+    .filter(name => !LOCAL_SINK_NAMES.includes(name))
+    .map(name => SINKS[name])
+    .filter(sink => sink && sink.isConfigured());
+}
+
+/**
+ * Save a record (and whether a sink is still waiting on it)
+ */
+async function saveRecord(record) {
+  await records.set(record.contentId, { ...record, updatedAt: new Date().toISOString() }, RECORD_TTL_MS);
+
+  if (Object.values(record.outbox).some(hasWork)) {
+    await waiting.set(record.contentId, true, RECORD_TTL_MS);
+  } else {
+    await waiting.delete(record.contentId);
+  }
+}
+
+/**
+ * Get a session's content record
+ * @param {string} contentId - Session ID
+ * @returns {Promise<Object|null>} Record with its latest fields and per-sink outbox
+ */
+async function getRecord(contentId) {
+  return (await records.get(contentId)) || null;
+}
+
+/**
+ * Records of some users, newest first
+ * @param {string[]} userIds - Authors (a user, or every member of their team)
+ * @param {string[]} [statuses] - Only records in one of these statuses
+ * @returns {Promise<Array>}
+ */
+async function listRecords(userIds, statuses = null) {
+  return (await records.entries())
+    .map(([, record]) => record)
+    .filter(record => userIds.includes(String(record.userId)))
+    .filter(record => !statuses || statuses.includes(record.fields.status))
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+/**
+ * Whether a sink still has something to receive
+ */
+function hasWork(entry) {
+  return !entry.remoteId || Object.keys(entry.pending).length > 0 || entry.variations.length > 0;
+}
+
+/**
+ * Whether a sink's outbox can be sent now (not waiting out a backoff)
+ */
+function isDue(entry, now = Date.now()) {
+  if (!hasWork(entry)) return false;
+  return !entry.nextAttemptAt || new Date(entry.nextAttemptAt).getTime() <= now;
+}
+
+/**
+ * Send one sink what it is waiting for: the entry first, then queued updates and variations
+ * A failure stops this sink and schedules its retry; the rest stays queued.
+ * @returns {Promise<boolean>} false when the sink turned out not to be configured
+ */
+async function flushSink(sink, record) {
+  const entry = record.outbox[sink.name];
+  let result = { success: true };
+
+  if (!entry.remoteId) {
+    result = await sink.create(record.fields);
+
+    if (result.reason === 'not_configured') return false;
+    if (result.success) {
+      entry.remoteId = result.remoteId;
+      entry.url = result.url || null;
+      // The entry was created from the latest fields
+      entry.pending = {};
+      entry.variations = [];
+    }
+  }
+
+  if (result.success && Object.keys(entry.pending).length > 0) {
+    result = await sink.update(entry.remoteId, entry.pending, record.fields);
+    if (result.success) entry.pending = {};
+  }
+
+  while (result.success && entry.variations.length > 0) {
+    result = await sink.addVariation(entry.remoteId, entry.variations[0], record.fields);
+    if (result.success) entry.variations.shift();
+  }
+
+  if (result.success) {
+    entry.attempts = 0;
+    entry.nextAttemptAt = null;
+    entry.lastError = null;
+    return true;
+  }
+
+  entry.attempts += 1;
+  entry.lastError = result.error || result.reason || 'unknown';
+
+  const delayMs = Math.min(RETRY_BASE_MS * 2 ** (entry.attempts - 1), RETRY_MAX_DELAY_MS);
+  entry.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+
+  const details = { contentId: record.contentId, sink: sink.name, attempts: entry.attempts, delayMs };
+  if (entry.attempts === ALERT_ATTEMPTS) {
+    logger.error('Content log sink still failing, will keep retrying', { ...details, error: entry.lastError });
+  } else {
+    logger.warn('Content log sink failed, will retry', details);
+  }
+
+  return true;
+}
+
+/**
+ * Flush every sink of a record that is due, in configured order
+ */
+async function flushRecord(contentId) {
+  const record = await getRecord(contentId);
+  if (!record) return;
+
+  let changed = false;
+
+  for (const name of Object.keys(record.outbox)) {
+    const sink = SINKS[name];
+
+    // Sink removed from the config (or its credentials): stop queueing for it
+    if (!sink || !activeSinks().includes(sink)) {
+      delete record.outbox[name];
+      changed = true;
+      continue;
+    }
+    if (!isDue(record.outbox[name])) continue;
+
+    if (!(await flushSink(sink, record))) delete record.outbox[name];
+    changed = true;
+  }
+
+  if (changed) await saveRecord(record);
+}
+
+/**
+ * Flush a record without making the caller wait for the remote sinks
+ */
+function flushInBackground(contentId) {
+  serialize(contentId, () => flushRecord(contentId))
+    .catch(err => logger.error('Content log flush failed', { contentId, error: err.message }));
+}
+
+/**
+ * Empty outbox entry for a sink
+ */
+function newOutboxEntry() {
+  return {
+    remoteId: null,
+    pending: {},
+    variations: [],
+    attempts: 0,
+    nextAttemptAt: null,
+    lastError: null,
+  };
+}
+
+/**
+ * Apply changes to a record and queue them for every sink
+ */
+function applyChanges(record, changes, variation = null) {
+  record.fields = { ...record.fields, ...changes };
+  if (variation) record.fields.variations = [...(record.fields.variations || []), variation];
+
+  for (const entry of Object.values(record.outbox)) {
+    entry.pending = { ...entry.pending, ...changes };
+    if (variation) entry.variations.push(variation);
+  }
+}
+
+/**
+ * Record a generated image: creates the session's record the first time,
+ * later images update it and are added as variations
+ * @param {string} contentId - Session ID
+ * @param {Object} generation - userId, restaurantName, caption, theme, angle, dish, cuisine,
+ *   originalUrl, enhancedUrl, processingTimeMs, platforms, hasDecorReference, attempt, seed, changeHint
+ */
+async function recordGeneration(contentId, generation) {
+  await serialize(contentId, async () => {
+    const record = await getRecord(contentId);
+
+    if (!record) {
+      await saveRecord({
+        contentId,
+        userId: generation.userId,
+        fields: {
+          contentId,
+          status: 'pending',
+          date: new Date().toISOString(),
+          ...generation,
+          attempts: generation.attempt,
+          variations: [],
+        },
+        outbox: Object.fromEntries(activeSinks().map(sink => [sink.name, newOutboxEntry()])),
+        createdAt: new Date().toISOString(),
+      });
+      return;
+    }
+
+    // The record shows the latest image; every image is kept as a variation
+    applyChanges(record, {
+      caption: generation.caption,
+      processingTimeMs: generation.processingTimeMs,
+      theme: generation.theme,
+      angle: generation.angle,
+      enhancedUrl: generation.enhancedUrl,
+      attempts: generation.attempt,
+    }, {
+      attempt: generation.attempt,
+      theme: generation.theme,
+      angle: generation.angle,
+      seed: generation.seed,
+      changeHint: generation.changeHint,
+      caption: generation.caption,
+      processingTimeMs: generation.processingTimeMs,
+      at: new Date().toISOString(),
+    });
+    await saveRecord(record);
+  });
+
+  flushInBackground(contentId);
+}
+
+/**
+ * Update a session's record (status, feedback, permalink, platforms...)
+ * Queued for the sinks that haven't created their entry yet or are failing.
+ * @param {string} contentId - Session ID
+ * @param {Object} updates - Record fields (see contentlog/fields.js)
+ */
+async function updateRecord(contentId, updates) {
+  const found = await serialize(contentId, async () => {
+    const record = await getRecord(contentId);
+    if (!record) return false;
+
+    applyChanges(record, updates);
+    await saveRecord(record);
+    return true;
+  });
+
+  if (!found) {
+    logger.debug('No content record to update', { contentId });
+    return;
+  }
+
+  flushInBackground(contentId);
+}
+
+/**
+ * Retry records with a sink whose backoff has elapsed (and entries left uncreated by a restart)
+ */
+async function retryDueRecords() {
+  const now = Date.now();
+
+  for (const [contentId] of await waiting.entries()) {
+    if (isBusy(contentId)) continue;
+
+    const record = await getRecord(contentId);
+    if (!record) {
+      await waiting.delete(contentId);
+      continue;
+    }
+    if (!Object.values(record.outbox).some(entry => isDue(entry, now))) continue;
+
+    flushInBackground(contentId);
+  }
+}
+
+/**
+ * Start the background retry loop
+ */
+function startContentLog() {
+  for (const name of config.CONTENT_LOG_SINKS) {
+    if (LOCAL_SINK_NAMES.includes(name)) continue;
+    if (!SINKS[name]) logger.warn('Unknown content log sink, ignored', { sink: name });
+    else if (!SINKS[name].isConfigured()) logger.warn('Content log sink not configured, skipped', { sink: name });
+  }
+
+  const sinks = activeSinks().map(sink => sink.name);
+  if (retryTimer || sinks.length === 0) return;
+
+  const tick = () => retryDueRecords()
+    .catch(err => logger.error('Content log retry failed', { error: err.message }));
+
+  retryTimer = setInterval(tick, RETRY_SWEEP_INTERVAL_MS);
+  tick();
+
+  logger.info('Content log started', { sinks, intervalMs: RETRY_SWEEP_INTERVAL_MS });
+}
+
+/**
+ * Stop the retry loop
+ */
+function stopContentLog() {
+  if (retryTimer) {
+    clearInterval(retryTimer);
+    retryTimer = null;
+  }
+}
+
+module.exports = {
+  getRecord,
+  listRecords,
+  recordGeneration,
+  updateRecord,
+  startContentLog,
+  stopContentLog,
+};
@@ -0,0 +1,56 @@
+/**
+ * JSONL Content Log Sink
+ * Appends every event (create, update, variation) as one JSON line to
+ * CONTENT_LOG_JSONL_PATH: a plain file history that survives the store
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../../utils/config');
+const { publicImageUrl } = require('./fields');
+
+/**
+ * Fields as written to the file (Telegram file links carry the bot token)
+ */
+function withoutPrivateUrls(fields) {
+  const safe = { ...fields };
+  for (const field of ['originalUrl', 'enhancedUrl']) {
+    if (field in safe) safe[field] = publicImageUrl(safe[field]);
+  }
+  return safe;
+}
+
+/**
+ * Append one event line
+ */
+async function append(event) {
+  try {
+    await fs.promises.mkdir(path.dirname(config.CONTENT_LOG_JSONL_PATH), { recursive: true });
+    await fs.promises.appendFile(
+      config.CONTENT_LOG_JSONL_PATH,
+      JSON.stringify({ at: new Date().toISOString(), ...event }) + '\n'
+    );
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  name: 'jsonl',
+
+  isConfigured: () => !!config.CONTENT_LOG_JSONL_PATH,
+
+  async create(fields) {
+    const result = await append({ type: 'create', contentId: fields.contentId, fields: withoutPrivateUrls(fields) });
+    return { ...result, remoteId: fields.contentId };
+  },
+
+  update(contentId, changes) {
+    return append({ type: 'update', contentId, changes: withoutPrivateUrls(changes) });
+  },
+
+  addVariation(contentId, variation) {
+    return append({ type: 'variation', contentId, variation });
+  },
+};
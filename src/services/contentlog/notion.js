@@ -0,0 +1,31 @@
+/**
+ * Notion Content Log Sink
+ * One page per session in the NOTION_DATABASE_ID database (see services/notion.js)
+ */
+
+const {
+  isNotionConfigured,
+  logContentEntry,
+  updateContentEntry,
+  appendVariation,
+} = require('../notion');
+
+module.exports = {
+  name: 'notion',
+
+  isConfigured: isNotionConfigured,
+
+  async create(fields) {
+    const result = await logContentEntry(fields);
+    return { ...result, remoteId: result.pageId };
+  },
+
+  update(pageId, changes) {
+    return updateContentEntry(pageId, changes);
+  },
+
+  // Appended to the page body; the Caption/Theme/Angle columns follow through update()
+  addVariation(pageId, variation) {
+    return appendVariation(pageId, variation);
+  },
+};
@@ -0,0 +1,147 @@
+/**
+ * Google Sheets Content Log Sink
+ * One row per session in the GOOGLE_SHEETS_TAB tab, columns in fields.js order.
+ * Rows are found again by their Content ID (column A), so the sheet can be sorted.
+ * Authenticates as a service account (GOOGLE_SERVICE_ACCOUNT_EMAIL / GOOGLE_PRIVATE_KEY).
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { config } = require('../../utils/config');
+const { logger, logApiCall } = require('../../utils/logger');
+const { COLUMNS, cellValue } = require('./fields');
+
+const SHEETS_API_BASE = 'https://sheets.googleapis.com/v4/spreadsheets';
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const SCOPE = 'https://www.googleapis.com/auth/spreadsheets';
+
+// Access token, reused until shortly before it expires
+let accessToken = null;
+let accessTokenExpiresAt = 0;
+
+/**
+ * Base64url encoding for the JWT
+ */
+function base64url(value) {
+  return Buffer.from(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Get an access token for the service account (JWT bearer grant)
+ */
+async function getAccessToken() {
+  if (accessToken && Date.now() < accessTokenExpiresAt) return accessToken;
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+  const claims = base64url(JSON.stringify({
+    iss: config.GOOGLE_SERVICE_ACCOUNT_EMAIL,
+    scope: SCOPE,
+    aud: TOKEN_URL,
+    iat: now,
+    exp: now + 3600,
+  }));
+  const signature = base64url(
+    crypto.createSign('RSA-SHA256').update(`${header}.${claims}`).sign(config.GOOGLE_PRIVATE_KEY)
+  );
+
+  const response = await axios.post(
+    TOKEN_URL,
+    new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion: `${header}.${claims}.${signature}`,
+    }).toString(),
+    { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: 10000 }
+  );
+
+  accessToken = response.data.access_token;
+  accessTokenExpiresAt = Date.now() + (response.data.expires_in - 60) * 1000;
+  return accessToken;
+}
+
+/**
+ * Call the Sheets API on the configured spreadsheet
+ */
+async function sheetsRequest(method, pathAndQuery, data) {
+  const token = await getAccessToken();
+  const response = await axios({
+    method,
+    url: `${SHEETS_API_BASE}/${config.GOOGLE_SHEETS_ID}/values/${pathAndQuery}`,
+    data,
+    headers: { 'Authorization': `Bearer ${token}` },
+    timeout: 10000,
+  });
+  return response.data;
+}
+
+/**
+ * A1 range in the log tab
+ */
+function range(a1) {
+  return encodeURIComponent(`'${config.GOOGLE_SHEETS_TAB}'!${a1}`);
+}
+
+/**
+ * Full row for a record
+ */
+function toRow(fields) {
+  return COLUMNS.map(({ field }) => cellValue(field, fields[field]));
+}
+
+/**
+ * Run a Sheets write, logging the call like the other services
+ */
+async function write(endpoint, fn) {
+  const startTime = Date.now();
+
+  try {
+    await fn();
+    logApiCall('sheets', endpoint, Date.now() - startTime, true);
+    return { success: true };
+  } catch (error) {
+    logApiCall('sheets', endpoint, Date.now() - startTime, false);
+    logger.error('Google Sheets write failed', {
+      error: error.message,
+      status: error.response?.status,
+      details: error.response?.data,
+    });
+    return { success: false, error: error.response?.data?.error?.message || error.message };
+  }
+}
+
+/**
+ * Rewrite a session's row with its current fields
+ */
+function rewriteRow(contentId, fields) {
+  return write('update_row', async () => {
+    const { values = [] } = await sheetsRequest('get', range('A:A'));
+    const index = values.findIndex(([cell]) => cell === contentId);
+    if (index === -1) throw new Error(`Row ${contentId} not found`);
+
+    await sheetsRequest('put', `${range(`A${index + 1}`)}?valueInputOption=RAW`, { values: [toRow(fields)] });
+  });
+}
+
+module.exports = {
+  name: 'sheets',
+
+  isConfigured: () => !!(config.GOOGLE_SHEETS_ID && config.GOOGLE_SERVICE_ACCOUNT_EMAIL && config.GOOGLE_PRIVATE_KEY),
+
+  async create(fields) {
+    const result = await write('append_row', () => sheetsRequest(
+      'post',
+      `${range('A1')}:append?valueInputOption=RAW&insertDataOption=INSERT_ROWS`,
+      { values: [toRow(fields)] }
+    ));
+    return { ...result, remoteId: fields.contentId };
+  },
+
+  // A row is always written whole, from the record's current fields
+  update(contentId, changes, fields) {
+    return rewriteRow(contentId, fields);
+  },
+
+  addVariation(contentId, variation, fields) {
+    return rewriteRow(contentId, fields);
+  },
+};
@@ -15,6 +15,7 @@ const MODELS = {
   upscale: 'fal-ai/clarity-upscaler',
   creative: 'fal-ai/creative-upscaler',
   realvis: 'fal-ai/aura-sr', // Fast lightweight upscaler
+  edit: 'fal-ai/nano-banana/edit', // Prompted edit, same model as the n8n workflow
 };
 
 /**
@@ -33,9 +34,21 @@ function getHeaders() {
  * @param {string} params.imageUrl - URL of the image to enhance
  * @param {string} [params.model] - Model to use (upscale, creative, realvis)
  * @param {number} [params.scale] - Upscale factor (default: 2)
+ * @param {string} [params.prompt] - Edit prompt (edit model only)
+ * @param {Array} [params.referenceUrls] - Extra reference images, e.g. decor photos (edit model only)
+ * @param {number} [params.seed] - Seed, to reproduce an image (edit model only)
+ * @param {Function} [params.onProgress] - Called on each poll with { status, queuePosition, elapsedMs }
  * @returns {Promise<Object>} Enhanced image result
  */
-async function enhanceImage({ imageUrl, model = 'upscale', scale = 2 }) {
+async function enhanceImage({
+  imageUrl,
+  model = 'upscale',
+  scale = 2,
+  prompt = null,
+  referenceUrls = [],
+  seed = null,
+  onProgress = null,
+}) {
   if (!config.FAL_API_KEY) {
     logger.warn('FAL_API_KEY not configured, returning original image');
     return {
@@ -54,7 +67,13 @@ async function enhanceImage({ imageUrl, model = 'upscale', scale = 2 }) {
     // Submit job to queue
     const queueResponse = await axios.post(
       `${FAL_QUEUE_BASE}/${modelPath}`,
-      {
+      model === 'edit' ? {
+        prompt,
+        image_urls: [imageUrl, ...referenceUrls],
+        num_images: 1,
+        output_format: 'jpeg',
+        ...(seed !== null ? { seed } : {}),
+      } : {
         image_url: imageUrl,
         upscale_factor: scale,
         // Model-specific parameters
@@ -73,7 +92,7 @@ async function enhanceImage({ imageUrl, model = 'upscale', scale = 2 }) {
     logger.info('Enhancement job submitted', { requestId });
 
     // Poll for completion
-    const result = await pollForResult(modelPath, requestId);
+    const result = await pollForResult(modelPath, queueResponse.data, 60000, onProgress);
     const durationMs = Date.now() - startTime;
 
     logApiCall('fal.ai', modelPath, durationMs, true);
@@ -82,6 +101,7 @@ async function enhanceImage({ imageUrl, model = 'upscale', scale = 2 }) {
       success: true,
       enhancedUrl: result.image?.url || result.images?.[0]?.url,
       originalUrl: imageUrl,
+      seed: result.seed ?? seed,
       model: modelPath,
       processingTimeMs: durationMs,
     };
@@ -107,17 +127,23 @@ async function enhanceImage({ imageUrl, model = 'upscale', scale = 2 }) {
 /**
  * Poll for job completion
  * @param {string} modelPath - Model path
- * @param {string} requestId - Request ID to poll
+ * @param {Object} job - Queue response ({ request_id, status_url?, response_url? })
  * @param {number} maxWaitMs - Maximum wait time (default: 60s)
+ * @param {Function} [onProgress] - Called with { status, queuePosition, elapsedMs } while not done
  */
-async function pollForResult(modelPath, requestId, maxWaitMs = 60000) {
+async function pollForResult(modelPath, job, maxWaitMs = 60000, onProgress = null) {
   const startTime = Date.now();
   const pollInterval = 2000; // 2 seconds
 
+  // The queue returns its own URLs; sub-path models (e.g. .../edit) don't poll under the full path
+  const requestUrl = `${FAL_QUEUE_BASE}/${modelPath}/requests/${job.request_id}`;
+  const statusUrl = job.status_url || `${requestUrl}/status`;
+  const responseUrl = job.response_url || requestUrl;
+
   while (Date.now() - startTime < maxWaitMs) {
     try {
       const response = await axios.get(
-        `${FAL_QUEUE_BASE}/${modelPath}/requests/${requestId}/status`,
+        statusUrl,
         { headers: getHeaders(), timeout: 10000 }
       );
 
@@ -126,7 +152,7 @@ async function pollForResult(modelPath, requestId, maxWaitMs = 60000) {
       if (status === 'COMPLETED') {
         // Fetch the result
         const resultResponse = await axios.get(
-          `${FAL_QUEUE_BASE}/${modelPath}/requests/${requestId}`,
+          responseUrl,
           { headers: getHeaders(), timeout: 10000 }
         );
         return resultResponse.data;
@@ -138,6 +164,13 @@ async function pollForResult(modelPath, requestId, maxWaitMs = 60000) {
 
       // Still processing, wait and poll again
       logger.debug(`Enhancement status: ${status}`);
+      if (onProgress) {
+        onProgress({
+          status,
+          queuePosition: response.data.queue_position ?? null,
+          elapsedMs: Date.now() - startTime,
+        });
+      }
       await new Promise(resolve => setTimeout(resolve, pollInterval));
     } catch (error) {
       if (error.response?.status === 404) {
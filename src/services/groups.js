@@ -0,0 +1,59 @@
+/**
+ * Groups Service
+ * Settings of the Telegram groups the bot works in (restaurant staff channels)
+ */
+
+const { getStore } = require('./store');
+const { logger } = require('../utils/logger');
+
+const groups = getStore('groups');
+
+const DEFAULT_GROUP_SETTINGS = {
+  processAllPhotos: false, // Otherwise only photos that mention the bot or reply to it
+  announceApproved: true, // Post approved photos back to the group
+};
+
+/**
+ * Whether a chat is a group (the bot then shares it with other people)
+ * @param {Object|string} chat - ctx.chat, or its type
+ */
+function isGroupChat(chat) {
+  const type = typeof chat === 'string' ? chat : chat?.type;
+  return type === 'group' || type === 'supergroup';
+}
+
+/**
+ * Get a group's settings
+ * @param {number} chatId - Telegram chat ID
+ * @returns {Promise<Object>} Stored settings over the defaults
+ */
+async function getGroupSettings(chatId) {
+  const stored = await groups.get(String(chatId));
+  return { ...DEFAULT_GROUP_SETTINGS, ...(stored || {}) };
+}
+
+/**
+ * Merge updates into a group's settings
+ * @param {number} chatId - Telegram chat ID
+ * @param {Object} updates - Settings to change
+ * @returns {Promise<Object>} Updated settings
+ */
+async function updateGroupSettings(chatId, updates) {
+  const settings = {
+    ...(await getGroupSettings(chatId)),
+    ...updates,
+    updatedAt: new Date().toISOString(),
+  };
+
+  await groups.set(String(chatId), settings);
+  logger.info('Group settings updated', { chatId, fields: Object.keys(updates) });
+
+  return settings;
+}
+
+module.exports = {
+  DEFAULT_GROUP_SETTINGS,
+  isGroupChat,
+  getGroupSettings,
+  updateGroupSettings,
+};
@@ -0,0 +1,305 @@
+/**
+ * Local Image Service
+ * Downloads generated images and renders crops, logo/watermark overlays,
+ * text banners and compression with sharp
+ */
+
+const axios = require('axios');
+const sharp = require('sharp');
+const { logger } = require('../utils/logger');
+
+const JPEG_QUALITY = 85;
+
+// Instagram rejects photos over 8 MB (Telegram allows 10 MB) and keeps 1440px max
+const MAX_BYTES = 8 * 1024 * 1024;
+const MAX_SIDE = 1440;
+
+// Instagram-friendly ratios (width / height), keyed as used in callback data
+const RATIOS = {
+  '4x5': 4 / 5,
+  '1x1': 1,
+  '9x16': 9 / 16,
+  '191x100': 1.91,
+};
+
+const CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// Overlay sizes relative to the image width
+const LOGO_WIDTH = 0.18;
+const MARGIN = 0.03;
+const WATERMARK_SIZE = 0.035;
+const BANNER_HEIGHT = 0.09;
+
+/**
+ * Download an image into a buffer
+ * @param {string} url - Image URL
+ * @returns {Promise<Buffer>}
+ */
+async function fetchImage(url) {
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: 30000,
+  });
+  return Buffer.from(response.data);
+}
+
+/**
+ * Crop an image to an exact size, keeping the most interesting region
+ * @param {Buffer} input - Source image
+ * @param {Object} size - { width, height }
+ * @returns {Promise<Buffer>} JPEG buffer
+ */
+async function cropTo(input, { width, height }) {
+  return sharp(input)
+    .rotate() // Respect EXIF orientation
+    .resize(width, height, { fit: 'cover', position: sharp.strategy.attention })
+    .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+    .toBuffer();
+}
+
+/**
+ * Crop to a ratio at the largest size the source allows (no upscaling)
+ * @param {Buffer} input - Source image, already rotated
+ * @param {string} ratio - Key of RATIOS
+ */
+async function smartCrop(input, ratio) {
+  const target = RATIOS[ratio];
+  if (!target) return input;
+
+  const { width, height } = await sharp(input).metadata();
+  let cropWidth = width;
+  let cropHeight = Math.round(width / target);
+
+  if (cropHeight > height) {
+    cropHeight = height;
+    cropWidth = Math.round(height * target);
+  }
+
+  return cropTo(input, { width: cropWidth, height: cropHeight });
+}
+
+/**
+ * Escape text for an SVG overlay
+ */
+function escapeXml(text) {
+  return String(text).replace(/[<>&'"]/g, c => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;',
+  }[c]));
+}
+
+/**
+ * Top/left offset for an overlay of a given size in a corner
+ */
+function cornerOffset(corner, image, overlay, margin) {
+  const left = corner.endsWith('left') ? margin : image.width - overlay.width - margin;
+  const top = corner.startsWith('top') ? margin : image.height - overlay.height - margin;
+  return { left: Math.max(0, Math.round(left)), top: Math.max(0, Math.round(top)) };
+}
+
+/**
+ * Place a logo in a corner
+ * @param {Buffer} input - Image
+ * @param {Buffer} logo - Logo (PNG with transparency works best)
+ * @param {string} corner - One of CORNERS
+ */
+async function addLogo(input, logo, corner = 'bottom-right') {
+  const image = await sharp(input).metadata();
+  const size = Math.round(image.width * LOGO_WIDTH);
+
+  const resized = await sharp(logo)
+    .resize(size, size, { fit: 'inside' })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  return sharp(input)
+    .composite([{
+      input: resized.data,
+      ...cornerOffset(corner, image, resized.info, image.width * MARGIN),
+    }])
+    .toBuffer();
+}
+
+/**
+ * Write a semi-transparent text watermark in a corner
+ * @param {Buffer} input - Image
+ * @param {string} text - e.g. "@chezmichel"
+ * @param {string} corner - One of CORNERS
+ */
+async function addWatermark(input, text, corner = 'bottom-right') {
+  const { width, height } = await sharp(input).metadata();
+  const fontSize = Math.round(width * WATERMARK_SIZE);
+  const margin = Math.round(width * MARGIN);
+  const x = corner.endsWith('left') ? margin : width - margin;
+  const y = corner.startsWith('top') ? margin + fontSize : height - margin;
+  const anchor = corner.endsWith('left') ? 'start' : 'end';
+
+  const svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+    <text x="${x}" y="${y}" text-anchor="${anchor}" font-family="sans-serif" font-weight="bold"
+      font-size="${fontSize}" fill="white" fill-opacity="0.8"
+      stroke="black" stroke-opacity="0.35" stroke-width="${Math.max(1, Math.round(fontSize / 16))}">${escapeXml(text)}</text>
+  </svg>`;
+
+  return sharp(input).composite([{ input: Buffer.from(svg), top: 0, left: 0 }]).toBuffer();
+}
+
+/**
+ * Add a full-width text banner ("Nouveau!", "14,95 $")
+ * @param {Buffer} input - Image
+ * @param {string} text - Banner text
+ * @param {string} position - top or bottom
+ */
+async function addBanner(input, text, position = 'top') {
+  const { width, height } = await sharp(input).metadata();
+  const bannerHeight = Math.round(width * BANNER_HEIGHT);
+  const fontSize = Math.round(bannerHeight * 0.5);
+
+  const svg = `<svg width="${width}" height="${bannerHeight}" xmlns="http://www.w3.org/2000/svg">
+    <rect width="100%" height="100%" fill="black" fill-opacity="0.55"/>
+    <text x="50%" y="${Math.round(bannerHeight / 2 + fontSize * 0.35)}" text-anchor="middle" font-family="sans-serif"
+      font-weight="bold" font-size="${fontSize}" fill="white">${escapeXml(text)}</text>
+  </svg>`;
+
+  return sharp(input)
+    .composite([{
+      input: Buffer.from(svg),
+      top: position === 'bottom' ? height - bannerHeight : 0,
+      left: 0,
+    }])
+    .toBuffer();
+}
+
+/**
+ * Resize and re-encode until the image fits the size limit
+ * @param {Buffer} input - Image
+ * @param {Object} [options] - { maxBytes, maxSide }
+ * @returns {Promise<Buffer>} JPEG buffer
+ */
+async function compress(input, { maxBytes = MAX_BYTES, maxSide = MAX_SIDE } = {}) {
+  const resized = await sharp(input)
+    .resize(maxSide, maxSide, { fit: 'inside', withoutEnlargement: true })
+    .toBuffer();
+
+  let output;
+  for (const quality of [JPEG_QUALITY, 75, 65, 55]) {
+    output = await sharp(resized).jpeg({ quality, mozjpeg: true }).toBuffer();
+    if (output.length <= maxBytes) break;
+  }
+
+  return output;
+}
+
+/**
+ * Apply a restaurant's branding to an image
+ * @param {Buffer} input - Source image
+ * @param {Object} branding - { ratio, logo: Buffer|null, watermark, banner, corner } from loadBranding()
+ * @param {Object} [options] - compress() options
+ * @returns {Promise<Buffer>} JPEG buffer
+ */
+async function applyOverlays(input, branding, options = {}) {
+  const corner = CORNERS.includes(branding.corner) ? branding.corner : 'bottom-right';
+  let image = await sharp(input).rotate().toBuffer();
+
+  if (branding.ratio) {
+    image = await smartCrop(image, branding.ratio);
+  }
+
+  if (branding.logo) {
+    image = await addLogo(image, branding.logo, corner);
+  } else if (branding.watermark) {
+    image = await addWatermark(image, branding.watermark, corner);
+  }
+
+  if (branding.banner) {
+    // Keep the banner away from the logo
+    image = await addBanner(image, branding.banner, corner.startsWith('top') ? 'bottom' : 'top');
+  }
+
+  return compress(image, options);
+}
+
+/**
+ * Resolve a profile's overlay settings into ready-to-apply branding
+ * @param {Object} profile - Restaurant profile
+ * @param {Object} telegram - Telegraf telegram instance (to download the logo)
+ * @returns {Promise<Object|null>} Branding, or null when overlays are off
+ */
+async function loadBranding(profile, telegram) {
+  const overlay = profile?.overlay;
+  if (!overlay?.enabled) return null;
+
+  let logo = null;
+  if (overlay.logoFileId) {
+    try {
+      const link = await telegram.getFileLink(overlay.logoFileId);
+      logo = await fetchImage(link.href);
+    } catch (error) {
+      logger.warn('Logo download failed, using the watermark instead', { error: error.message });
+    }
+  }
+
+  return {
+    ratio: overlay.ratio,
+    corner: overlay.corner,
+    watermark: overlay.watermark,
+    banner: overlay.banner,
+    logo,
+  };
+}
+
+/**
+ * Download an image and apply branding
+ * @param {string} url - Image URL
+ * @param {Object} branding - From loadBranding()
+ * @returns {Promise<Object>} { success, buffer, error? }
+ */
+async function renderBranded(url, branding) {
+  try {
+    const buffer = await applyOverlays(await fetchImage(url), branding);
+    return { success: true, buffer };
+  } catch (error) {
+    logger.error('Branding failed', { error: error.message, url: url.substring(0, 50) });
+    return { success: false, buffer: null, error: error.message };
+  }
+}
+
+/**
+ * Render several sizes from one source image
+ * @param {string} url - Source image URL
+ * @param {Array} sizes - [{ key, width, height }]
+ * @param {Object} [branding] - Overlays to apply on each size (the ratio setting is ignored)
+ * @returns {Promise<Object>} { success, renders: { [key]: Buffer }, error? }
+ */
+async function renderSizes(url, sizes, branding = null) {
+  try {
+    const source = await fetchImage(url);
+    const renders = {};
+
+    for (const size of sizes) {
+      const cropped = await cropTo(source, size);
+      renders[size.key] = branding
+        ? await applyOverlays(cropped, { ...branding, ratio: null }, { maxSide: Math.max(size.width, size.height) })
+        : cropped;
+    }
+
+    return { success: true, renders };
+  } catch (error) {
+    logger.error('Image rendering failed', { error: error.message, url: url.substring(0, 50) });
+    return { success: false, renders: {}, error: error.message };
+  }
+}
+
+module.exports = {
+  RATIOS,
+  CORNERS,
+  fetchImage,
+  cropTo,
+  smartCrop,
+  addLogo,
+  addWatermark,
+  addBanner,
+  compress,
+  applyOverlays,
+  loadBranding,
+  renderBranded,
+  renderSizes,
+};
@@ -0,0 +1,545 @@
+/**
+ * Pipeline Jobs Service
+ * Image generation runs as a job: the bot submits it with a jobId and an
+ * idempotency key, n8n acknowledges right away and posts the result back to
+ * /jobs/:id/result (stage reports to /jobs/:id/progress). The handler
+ * registered for the job's kind then updates the session and notifies the user.
+ *
+ * Jobs wait in a queue until a slot frees up: MAX_CONCURRENT_JOBS run at once,
+ * at most MAX_JOBS_PER_USER per user, and users take turns.
+ *
+ * A job counts against the user's monthly plan when it is submitted; the
+ * allowance is given back if it fails or is cancelled.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getStore } = require('./store');
+const n8n = require('./n8n');
+const { getPipelineStatus, runLocalPipeline } = require('./pipeline');
+const { applyStage, recordDuration } = require('./progress');
+const { consumeQuota, refundQuota, estimateJobCalls, recordCosts } = require('./usage');
+const { config } = require('../utils/config');
+const { logger } = require('../utils/logger');
+
+const jobs = getStore('jobs');
+
+// Finished jobs are kept a day so late duplicate callbacks are recognized
+const DONE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const JOB_STATES = {
+  QUEUED: 'queued', // Waiting for a slot
+  PENDING: 'pending', // Running, waiting for its result
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+// Percent-only progress edits are spaced out (Telegram rate-limits message edits)
+const PROGRESS_EDIT_INTERVAL_MS = 3000;
+
+// kind -> { onResult(telegram, job, data), onError(telegram, job, error), onProgress?(telegram, job, progress), onCancel?(telegram, job) }
+const handlers = new Map();
+
+// jobId -> { progress, notifiedAt }, only for queued and pending jobs of this process
+const progressByJob = new Map();
+
+// userId -> when their last job started, so users take turns
+const lastStartedAt = new Map();
+
+let dispatching = false;
+let dispatchAgain = false;
+
+let telegramClient = null;
+let sweepTimer = null;
+
+/**
+ * Register what happens when a job of a given kind finishes
+ * @param {string} kind - generate, variation, variants...
+ * @param {Object} handler - { onResult(telegram, job, data), onError(telegram, job, error),
+ *   onProgress?(telegram, job, progress), onCancel?(telegram, job) }
+ */
+function registerJobHandler(kind, handler) {
+  handlers.set(kind, handler);
+}
+
+/**
+ * URL n8n posts the result (or progress) to, null when the bot isn't reachable from outside
+ */
+function getCallbackUrl(jobId, type = 'result') {
+  return config.PUBLIC_URL ? `${config.PUBLIC_URL.replace(/\/$/, '')}/jobs/${jobId}/${type}` : null;
+}
+
+/**
+ * Find a queued or running job with the same idempotency key (double tap, repeated hint)
+ */
+async function findActiveJob(idempotencyKey) {
+  for (const [, job] of await jobs.entries()) {
+    if (job.idempotencyKey === idempotencyKey &&
+        (job.status === JOB_STATES.QUEUED || job.status === JOB_STATES.PENDING)) {
+      return job;
+    }
+  }
+  return null;
+}
+
+/**
+ * Submit a pipeline job
+ * The job is queued, then started as soon as the concurrency limits allow.
+ * Failures after this point reach the kind's onError handler, not the caller.
+ * @param {Object} params
+ * @param {string} params.kind - Registered job kind
+ * @param {string} params.contentId - Session ID
+ * @param {number} params.userId - Telegram user ID
+ * @param {number} params.chatId - Telegram chat ID
+ * @param {Object} params.request - n8n.processImage() parameters
+ * @param {Object} [params.meta] - Anything the handler needs later (progress message, seed...)
+ *   progressMessageId, progressTitle and etaMs are used for progress updates
+ * @param {Object} [params.usage] - { posts, retries } counted against the user's plan
+ * @returns {Promise<Object>} { success, job, duplicate?, error?, quota? }
+ *   error is 'quota_exceeded' (with the checkQuota() result in quota) when the plan is used up
+ */
+async function submitJob({ kind, contentId, userId, chatId, request, meta = {}, usage = null }) {
+  const idempotencyKey = `${contentId}:${kind}:${request.attemptNumber || 1}`;
+
+  const existing = await findActiveJob(idempotencyKey);
+  if (existing) {
+    logger.info('Job already queued or running, not submitting again', { jobId: existing.id, idempotencyKey });
+    return { success: true, job: existing, duplicate: true };
+  }
+
+  let counted = null;
+  if (usage) {
+    const quota = await consumeQuota(userId, usage);
+    if (!quota.allowed) {
+      return { success: false, error: 'quota_exceeded', quota };
+    }
+    counted = { ...usage, month: quota.month };
+  }
+
+  const job = {
+    id: uuidv4(),
+    kind,
+    contentId,
+    userId,
+    chatId,
+    idempotencyKey,
+    callbackToken: crypto.randomBytes(24).toString('hex'),
+    pipeline: null, // Picked when the job starts, n8n may be down by then
+    status: JOB_STATES.QUEUED,
+    request,
+    meta,
+    usage: counted,
+    createdAt: new Date().toISOString(),
+  };
+  await jobs.set(job.id, job, DONE_TTL_MS);
+
+  logger.info('Job queued', { jobId: job.id, kind, contentId, userId });
+
+  await dispatchJobs();
+  return { success: true, job: (await jobs.get(job.id)) || job };
+}
+
+/**
+ * Start a queued job on the pipeline that is available right now
+ * Without a public URL (local dev) or in local mode, the pipeline runs in the
+ * background and completes the job exactly like a callback would.
+ */
+async function startJob(queued) {
+  const { mode, fallback } = await getPipelineStatus();
+  if (fallback) {
+    logger.warn('n8n unavailable, running the local pipeline', { userId: queued.userId, contentId: queued.contentId });
+  }
+  const canCallBack = mode === 'n8n' && !!config.PUBLIC_URL;
+
+  const job = {
+    ...queued,
+    pipeline: canCallBack ? 'n8n' : (mode === 'local' ? 'local' : 'n8n-sync'),
+    status: JOB_STATES.PENDING,
+    startedAt: new Date().toISOString(),
+  };
+  await jobs.set(job.id, job, DONE_TTL_MS);
+  lastStartedAt.set(job.userId, Date.now());
+
+  logger.info('Job started', {
+    jobId: job.id,
+    kind: job.kind,
+    pipeline: job.pipeline,
+    waitedMs: Date.now() - new Date(job.createdAt).getTime(),
+  });
+
+  const fail = error => completeJob(job.id, { success: false, error })
+    .catch(err => logger.error('Failed to fail job', { jobId: job.id, error: err.message }));
+
+  reportProgress(job.id, { stage: 'started' })
+    .catch(err => logger.warn('Progress update failed', { jobId: job.id, error: err.message }));
+
+  if (job.pipeline === 'n8n') {
+    n8n.submitJob(job.request, {
+      jobId: job.id,
+      callbackUrl: getCallbackUrl(job.id),
+      progressUrl: getCallbackUrl(job.id, 'progress'),
+      callbackToken: job.callbackToken,
+    })
+      .then(ack => { if (!ack.success) fail(ack.error); })
+      .catch(error => fail(error.message));
+    return;
+  }
+
+  // No callback possible: run here and hand the result to completeJob()
+  const onProgress = update => reportProgress(job.id, update)
+    .catch(err => logger.warn('Progress update failed', { jobId: job.id, error: err.message }));
+  const run = job.pipeline === 'local'
+    ? runLocalPipeline({ ...job.request, onProgress })
+    : n8n.processImage(job.request);
+  run
+    .then(result => completeJob(job.id, result.success ? result.data : { success: false, error: result.error }))
+    .catch(error => fail(error.message));
+}
+
+/**
+ * Order queued jobs fairly: one job per user per round, users who waited
+ * longest since their last start go first, each user's jobs oldest first
+ * @param {Array} queued - Queued jobs
+ * @returns {Array} Jobs in the order they will start
+ */
+function fairOrder(queued) {
+  const byUser = new Map();
+  for (const job of [...queued].sort((a, b) => a.createdAt.localeCompare(b.createdAt))) {
+    if (!byUser.has(job.userId)) byUser.set(job.userId, []);
+    byUser.get(job.userId).push(job);
+  }
+
+  const users = [...byUser.keys()].sort((a, b) => (lastStartedAt.get(a) || 0) - (lastStartedAt.get(b) || 0));
+  const order = [];
+
+  for (let round = 0; order.length < queued.length; round++) {
+    for (const userId of users) {
+      const job = byUser.get(userId)[round];
+      if (job) order.push(job);
+    }
+  }
+
+  return order;
+}
+
+/**
+ * Start whatever the limits allow, then tell the others their queue position
+ */
+async function dispatchJobs() {
+  if (dispatching) {
+    dispatchAgain = true;
+    return;
+  }
+  dispatching = true;
+
+  try {
+    do {
+      dispatchAgain = false;
+
+      const all = [...(await jobs.entries())].map(([, job]) => job);
+      const running = all.filter(job => job.status === JOB_STATES.PENDING);
+      const runningByUser = new Map();
+      for (const job of running) {
+        runningByUser.set(job.userId, (runningByUser.get(job.userId) || 0) + 1);
+      }
+
+      let freeSlots = config.MAX_CONCURRENT_JOBS - running.length;
+      const waiting = [];
+
+      for (const job of fairOrder(all.filter(j => j.status === JOB_STATES.QUEUED))) {
+        const userRunning = runningByUser.get(job.userId) || 0;
+
+        if (freeSlots > 0 && userRunning < config.MAX_JOBS_PER_USER) {
+          freeSlots--;
+          runningByUser.set(job.userId, userRunning + 1);
+          await startJob(job);
+        } else {
+          waiting.push(job);
+        }
+      }
+
+      for (const [index, job] of waiting.entries()) {
+        reportProgress(job.id, { stage: 'queued', position: index + 1 })
+          .catch(err => logger.warn('Progress update failed', { jobId: job.id, error: err.message }));
+      }
+    } while (dispatchAgain);
+  } finally {
+    dispatching = false;
+  }
+}
+
+/**
+ * Cancel a user's jobs that haven't started yet
+ * Running jobs can't be stopped, fal.ai is already working on them.
+ * @param {number} userId - Telegram user ID
+ * @returns {Promise<Object>} { cancelled, running }
+ */
+async function cancelQueuedJobs(userId) {
+  let cancelled = 0;
+  let running = 0;
+
+  for (const [id, job] of await jobs.entries()) {
+    if (job.userId !== userId) continue;
+
+    if (job.status === JOB_STATES.PENDING) {
+      running++;
+      continue;
+    }
+    if (job.status !== JOB_STATES.QUEUED) continue;
+
+    const cancelledJob = { ...job, status: JOB_STATES.CANCELLED, completedAt: new Date().toISOString() };
+    await jobs.set(id, cancelledJob, DONE_TTL_MS);
+    progressByJob.delete(id);
+    cancelled++;
+
+    logger.info('Job cancelled', { jobId: id, kind: job.kind, userId });
+    await refundJobUsage(job);
+
+    const handler = handlers.get(job.kind);
+    if (handler?.onCancel && telegramClient) {
+      await handler.onCancel(telegramClient, cancelledJob)
+        .catch(err => logger.error('Job cancel handler failed', { jobId: id, error: err.message }));
+    }
+  }
+
+  if (cancelled > 0) {
+    await dispatchJobs();
+  }
+
+  return { cancelled, running };
+}
+
+/**
+ * Give back the plan allowance a job used
+ */
+async function refundJobUsage(job) {
+  if (!job.usage) return;
+
+  await refundQuota(job.userId, job.usage)
+    .catch(err => logger.warn('Failed to refund job usage', { jobId: job.id, error: err.message }));
+}
+
+/**
+ * Record a job's result and hand it to its kind's handler
+ * Results for a job that already finished are ignored, so n8n can safely retry.
+ * @param {string} jobId - Job ID
+ * @param {Object} data - Webhook-shaped result ({ success, enhancedUrl, caption... })
+ * @returns {Promise<Object>} { found, duplicate }
+ */
+async function completeJob(jobId, data) {
+  const job = await jobs.get(jobId);
+
+  if (!job) {
+    logger.warn('Result for an unknown job', { jobId });
+    return { found: false, duplicate: false };
+  }
+
+  if (job.status !== JOB_STATES.PENDING) {
+    logger.info('Duplicate job result ignored', { jobId, status: job.status });
+    return { found: true, duplicate: true };
+  }
+
+  progressByJob.delete(jobId);
+
+  const failed = !data || data.success === false;
+  const durationMs = Date.now() - new Date(job.startedAt || job.createdAt).getTime();
+  const finished = {
+    ...job,
+    status: failed ? JOB_STATES.FAILED : JOB_STATES.COMPLETED,
+    error: failed ? (data?.error || 'Processing failed') : null,
+    completedAt: new Date().toISOString(),
+  };
+  await jobs.set(jobId, finished, DONE_TTL_MS);
+
+  logger.info('Job finished', {
+    jobId,
+    kind: job.kind,
+    status: finished.status,
+    durationMs,
+  });
+
+  // Failed runs are refunded to the user but their provider calls were still paid
+  recordCosts(job.userId, estimateJobCalls(job, data), job.usage?.month)
+    .catch(err => logger.warn('Failed to record job costs', { jobId, error: err.message }));
+
+  if (!failed) {
+    recordDuration(job.kind, durationMs)
+      .catch(err => logger.warn('Failed to record job duration', { error: err.message }));
+  } else {
+    await refundJobUsage(job);
+  }
+
+  const handler = handlers.get(job.kind);
+  if (!handler) {
+    logger.error('No handler registered for job kind', { jobId, kind: job.kind });
+    dispatchJobs().catch(err => logger.error('Job dispatch failed', { error: err.message }));
+    return { found: true, duplicate: false };
+  }
+
+  try {
+    if (failed) {
+      await handler.onError(telegramClient, finished, finished.error);
+    } else {
+      await handler.onResult(telegramClient, finished, data);
+    }
+  } catch (error) {
+    logger.error('Job handler failed', { jobId, kind: job.kind, error: error.message });
+  }
+
+  // A slot just freed up
+  dispatchJobs().catch(err => logger.error('Job dispatch failed', { error: err.message }));
+
+  return { found: true, duplicate: false };
+}
+
+/**
+ * Record a stage report for a queued or running job and pass it to its kind's handler
+ * @param {string} jobId - Job ID
+ * @param {Object} update - { stage, percent?, queuePosition?, position? } (see progress.applyStage)
+ * @returns {Promise<boolean>} False when the job is unknown or already finished
+ */
+async function reportProgress(jobId, update) {
+  const job = await jobs.get(jobId);
+  if (!job || (job.status !== JOB_STATES.PENDING && job.status !== JOB_STATES.QUEUED)) return false;
+
+  const entry = progressByJob.get(jobId) || { progress: {}, notifiedAt: 0 };
+  const progress = applyStage(entry.progress, update);
+
+  if (JSON.stringify(progress) === JSON.stringify(entry.progress)) return true;
+
+  const percentOnly = update.stage === 'enhancing' && entry.progress.image === 'running';
+  const notify = !percentOnly || Date.now() - entry.notifiedAt >= PROGRESS_EDIT_INTERVAL_MS;
+
+  progressByJob.set(jobId, { progress, notifiedAt: notify ? Date.now() : entry.notifiedAt });
+
+  const handler = handlers.get(job.kind);
+  if (notify && handler?.onProgress && telegramClient) {
+    await handler.onProgress(telegramClient, job, progress);
+  }
+
+  return true;
+}
+
+/**
+ * All stored jobs, for the admin stats (finished ones are kept a day)
+ * @returns {Promise<Array>}
+ */
+async function listJobs() {
+  return (await jobs.entries()).map(([, job]) => job);
+}
+
+/**
+ * Check an n8n request against the job's callback token
+ * @returns {Promise<Object>} { job } or { error: { status, body } }
+ */
+async function authorizeCallback(jobId, token) {
+  if (!telegramClient) {
+    return { error: { status: 503, body: { error: 'Bot not ready' } } };
+  }
+
+  const job = await jobs.get(jobId);
+  if (!job) {
+    return { error: { status: 404, body: { error: 'Unknown job' } } };
+  }
+
+  const expected = Buffer.from(job.callbackToken);
+  const received = Buffer.from(String(token || ''));
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    logger.warn('Job callback with a bad token', { jobId });
+    return { error: { status: 401, body: { error: 'Invalid token' } } };
+  }
+
+  return { job };
+}
+
+/**
+ * Handle POST /jobs/:id/result
+ * @param {string} jobId - From the URL
+ * @param {string} token - X-Callback-Token header
+ * @param {Object} body - Result posted by n8n
+ * @returns {Promise<Object>} { status, body } for the HTTP response
+ */
+async function handleJobCallback(jobId, token, body) {
+  const { error } = await authorizeCallback(jobId, token);
+  if (error) return error;
+
+  const { duplicate } = await completeJob(jobId, body);
+  return { status: 200, body: { ok: true, duplicate } };
+}
+
+/**
+ * Handle POST /jobs/:id/progress
+ * @param {string} jobId - From the URL
+ * @param {string} token - X-Callback-Token header
+ * @param {Object} body - { stage, percent?, queuePosition? }
+ * @returns {Promise<Object>} { status, body } for the HTTP response
+ */
+async function handleJobProgress(jobId, token, body) {
+  const { error } = await authorizeCallback(jobId, token);
+  if (error) return error;
+
+  const pending = await reportProgress(jobId, body || {});
+  return { status: 200, body: { ok: true, pending } };
+}
+
+/**
+ * Fail jobs that never got a result (n8n lost it, or the bot restarted mid-run)
+ * Time spent in the queue doesn't count.
+ */
+async function sweepExpiredJobs() {
+  const cutoff = Date.now() - config.JOB_TIMEOUT_MS;
+
+  for (const [id, job] of await jobs.entries()) {
+    if (job.status === JOB_STATES.PENDING && new Date(job.startedAt || job.createdAt).getTime() < cutoff) {
+      logger.warn('Job timed out', { jobId: id, kind: job.kind, pipeline: job.pipeline });
+      await completeJob(id, { success: false, error: 'timeout' });
+    }
+  }
+}
+
+/**
+ * Start accepting results, the timeout sweep, and jobs queued before a restart
+ * @param {Object} telegram - Telegraf telegram client
+ */
+function startJobs(telegram) {
+  telegramClient = telegram;
+  if (sweepTimer) return;
+
+  dispatchJobs().catch(err => logger.error('Job dispatch failed', { error: err.message }));
+
+  sweepTimer = setInterval(() => {
+    sweepExpiredJobs().catch(err => logger.error('Job sweep failed', { error: err.message }));
+  }, config.JOB_SWEEP_INTERVAL_MS);
+
+  logger.info('Job callbacks enabled', {
+    callbackUrl: getCallbackUrl(':id') || 'none (results handled in-process)',
+    timeoutMs: config.JOB_TIMEOUT_MS,
+    maxConcurrent: config.MAX_CONCURRENT_JOBS,
+    maxPerUser: config.MAX_JOBS_PER_USER,
+  });
+}
+
+/**
+ * Stop the timeout sweep
+ */
+function stopJobs() {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
+
+module.exports = {
+  JOB_STATES,
+  registerJobHandler,
+  submitJob,
+  cancelQueuedJobs,
+  completeJob,
+  reportProgress,
+  listJobs,
+  handleJobCallback,
+  handleJobProgress,
+  startJobs,
+  stopJobs,
+};
@@ -0,0 +1,81 @@
+/**
+ * Published Media Service
+ * Keeps an approved image exactly as approved (crop, logo or watermark, banner)
+ * and serves it at PUBLIC_URL/media/<id>.jpg: the Graph API fetches images by URL,
+ * and scheduled posts go out after the session is gone.
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('./store');
+const { renderBranded } = require('./images');
+const { config } = require('../utils/config');
+const { logger } = require('../utils/logger');
+
+// Key: media ID. Base64 JPEG
+const media = getStore('media');
+
+// Covers the scheduling window and reposts of recent posts
+const MEDIA_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// GET /media/<id>.jpg on the bot's HTTP server
+const MEDIA_PATH = /^\/media\/([a-f0-9]+)\.jpg$/;
+
+/**
+ * Keep an image and return the public URL it is served at
+ * @param {Buffer} buffer - JPEG
+ * @returns {Promise<string|null>} null without PUBLIC_URL (nothing outside can fetch it)
+ */
+async function storeMedia(buffer) {
+  if (!config.PUBLIC_URL) return null;
+
+  const id = crypto.randomBytes(12).toString('hex');
+  await media.set(id, buffer.toString('base64'), MEDIA_TTL_MS);
+
+  return `${config.PUBLIC_URL.replace(/\/$/, '')}/media/${id}.jpg`;
+}
+
+/**
+ * Get a kept image
+ * @param {string} id - Media ID
+ * @returns {Promise<Buffer|null>}
+ */
+async function getMedia(id) {
+  const data = await media.get(id);
+  return data ? Buffer.from(data, 'base64') : null;
+}
+
+/**
+ * URL to publish for an approved image
+ * Without branding the generated image is published from where it is; with
+ * branding it is rendered once and kept, so every publish sends the same image.
+ * @param {string} url - Generated image URL
+ * @param {Object|null} branding - From images.loadBranding()
+ * @returns {Promise<string|null>} null when the branded image can't be served
+ */
+async function publishableImageUrl(url, branding) {
+  if (!branding) return url;
+
+  if (!config.PUBLIC_URL) {
+    logger.warn('Branded image not publishable without PUBLIC_URL');
+    return null;
+  }
+
+  const rendered = await renderBranded(url, branding);
+  return rendered.success ? storeMedia(rendered.buffer) : null;
+}
+
+/**
+ * URL an approved session publishes (sessions approved before it was kept: the generated image)
+ * @returns {string|null}
+ */
+function approvedImageUrl(content) {
+  return 'approvedImageUrl' in content ? content.approvedImageUrl : content.enhancedUrl;
+}
+
+module.exports = {
+  MEDIA_PATH,
+  storeMedia,
+  getMedia,
+  publishableImageUrl,
+  approvedImageUrl,
+};
@@ -0,0 +1,205 @@
+/**
+ * Meta Graph API Publishing Service
+ * Publishes approved posts to an Instagram Business account and/or a Facebook Page
+ */
+
+const axios = require('axios');
+const { config } = require('../utils/config');
+const { logger, logApiCall } = require('../utils/logger');
+
+// Platforms this service can publish to
+const PUBLISHABLE_PLATFORMS = ['instagram', 'facebook'];
+
+// Instagram media containers are processed asynchronously
+const CONTAINER_POLL_INTERVAL_MS = 2000;
+const CONTAINER_MAX_WAIT_MS = 60000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Resolve the account to publish with
+ * Only the restaurant's own linked account, except for META_WORKSPACE_ID which
+ * publishes with the global env account.
+ * @param {Object} [profile] - Restaurant profile
+ * @returns {Object|null} { igUserId, pageId, accessToken } or null if nothing is linked
+ */
+function getPublishingAccount(profile = null) {
+  const linked = profile?.meta;
+  if (linked?.accessToken && (linked.igUserId || linked.pageId)) {
+    return linked;
+  }
+
+  const ownsGlobalAccount = config.META_WORKSPACE_ID && String(profile?.userId) === config.META_WORKSPACE_ID;
+
+  if (ownsGlobalAccount && config.META_ACCESS_TOKEN && (config.META_IG_USER_ID || config.META_PAGE_ID)) {
+    return {
+      igUserId: config.META_IG_USER_ID,
+      pageId: config.META_PAGE_ID,
+      accessToken: config.META_ACCESS_TOKEN,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a platform can be published to with an account
+ */
+function canPublish(account, platform) {
+  if (!account) return false;
+  if (platform === 'instagram') return !!account.igUserId;
+  if (platform === 'facebook') return !!account.pageId;
+  return false;
+}
+
+/**
+ * Graph API call helper
+ */
+async function graphRequest(method, path, params, accessToken) {
+  const url = `${config.META_GRAPH_URL}/${path}`;
+  const response = await axios({
+    method,
+    url,
+    params: { ...(method === 'get' ? params : {}), access_token: accessToken },
+    data: method === 'post' ? params : undefined,
+    timeout: 30000,
+  });
+  return response.data;
+}
+
+/**
+ * Extract a readable message from a Graph API error
+ */
+function graphError(error) {
+  return error.response?.data?.error?.message || error.message;
+}
+
+/**
+ * Wait until an Instagram media container is ready to publish
+ */
+async function waitForContainer(containerId, accessToken) {
+  const startTime = Date.now();
+
+  while (Date.now() - startTime < CONTAINER_MAX_WAIT_MS) {
+    const { status_code: status } = await graphRequest(
+      'get', containerId, { fields: 'status_code' }, accessToken
+    );
+
+    if (status === 'FINISHED') return;
+    if (status === 'ERROR' || status === 'EXPIRED') {
+      throw new Error(`Instagram container ${status.toLowerCase()}`);
+    }
+
+    await sleep(CONTAINER_POLL_INTERVAL_MS);
+  }
+
+  throw new Error('Instagram container timeout');
+}
+
+/**
+ * Publish a photo to Instagram (create container → wait → publish)
+ * @returns {Promise<Object>} { mediaId, permalink }
+ */
+async function publishToInstagram({ imageUrl, caption }, account) {
+  const container = await graphRequest(
+    'post', `${account.igUserId}/media`, { image_url: imageUrl, caption }, account.accessToken
+  );
+
+  await waitForContainer(container.id, account.accessToken);
+
+  const published = await graphRequest(
+    'post', `${account.igUserId}/media_publish`, { creation_id: container.id }, account.accessToken
+  );
+
+  const { permalink } = await graphRequest(
+    'get', published.id, { fields: 'permalink' }, account.accessToken
+  );
+
+  return { mediaId: published.id, permalink };
+}
+
+/**
+ * Publish a photo to a Facebook Page
+ * @returns {Promise<Object>} { mediaId, permalink }
+ */
+async function publishToFacebook({ imageUrl, caption }, account) {
+  const published = await graphRequest(
+    'post', `${account.pageId}/photos`, { url: imageUrl, caption }, account.accessToken
+  );
+
+  const postId = published.post_id || published.id;
+  const { permalink_url: permalink } = await graphRequest(
+    'get', postId, { fields: 'permalink_url' }, account.accessToken
+  );
+
+  return { mediaId: postId, permalink };
+}
+
+/**
+ * Publish an approved post to every requested platform
+ * @param {Object} params - Publishing parameters
+ * @param {string} params.imageUrl - Public URL of the approved image
+ * @param {string} params.caption - Full caption including hashtags
+ * @param {Array} [params.platforms] - Target platforms (instagram/facebook)
+ * @param {Object} [params.profile] - Restaurant profile (for a linked account)
+ * @returns {Promise<Object>} { success, results: [{ platform, success, permalink, error }] }
+ */
+async function publishPost({ imageUrl, caption, platforms = ['instagram'], profile = null }) {
+  const account = getPublishingAccount(profile);
+
+  if (!account) {
+    logger.debug('Publishing skipped (not configured)');
+    return { success: false, reason: 'not_configured', results: [] };
+  }
+
+  const targets = platforms.filter(p => PUBLISHABLE_PLATFORMS.includes(p));
+  const results = [];
+
+  // Branded images are served by the bot: without PUBLIC_URL there is no URL to give the Graph API
+  if (!imageUrl) {
+    return {
+      success: false,
+      reason: 'no_image_url',
+      results: targets.map(platform => ({ platform, success: false, error: 'Image non publiable (PUBLIC_URL non configuré)' })),
+    };
+  }
+
+  for (const platform of targets) {
+    if (!canPublish(account, platform)) {
+      results.push({ platform, success: false, error: 'Compte non lié' });
+      continue;
+    }
+
+    const startTime = Date.now();
+
+    try {
+      const publish = platform === 'instagram' ? publishToInstagram : publishToFacebook;
+      const { mediaId, permalink } = await publish({ imageUrl, caption }, account);
+
+      logApiCall('meta', platform, Date.now() - startTime, true);
+      logger.info('Post published', { platform, mediaId, permalink });
+
+      results.push({ platform, success: true, mediaId, permalink });
+    } catch (error) {
+      logApiCall('meta', platform, Date.now() - startTime, false);
+      logger.error('Publishing failed', {
+        platform,
+        error: graphError(error),
+        status: error.response?.status,
+      });
+
+      results.push({ platform, success: false, error: graphError(error) });
+    }
+  }
+
+  return {
+    success: results.length > 0 && results.every(r => r.success),
+    results,
+  };
+}
+
+module.exports = {
+  PUBLISHABLE_PLATFORMS,
+  getPublishingAccount,
+  publishPost,
+};
@@ -16,6 +16,46 @@ const RETRY_DELAY_MS = 2000;
  */
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+/**
+ * Webhook request body
+ * Shared by the blocking call and job submission so both send the same fields.
+ */
+function buildPayload({
+  imageUrl,
+  userId,
+  chatId,
+  restaurantName = 'Restaurant',
+  theme = 'dinner',
+  angle = '45deg',
+  decorPhotos = [],
+  hasDecorReference = false,
+  profile = null,
+  variants = [],
+  variation = false,
+  attemptNumber = 1,
+  seed = null,
+  changeHint = null
+}) {
+  return {
+    imageUrl,
+    userId,
+    chatId,
+    restaurantName,
+    theme,
+    angle,
+    decorPhotos,
+    hasDecorReference,
+    profile,
+    variants,
+    variantCount: variants.length,
+    variation,
+    attemptNumber,
+    seed,
+    changeHint,
+    timestamp: new Date().toISOString(),
+  };
+}
+
 /**
  * Process an image through the n8n workflow
  * @param {Object} params - Processing parameters
@@ -27,28 +67,30 @@ const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
  * @param {string} [params.angle] - Camera angle (45deg/overhead/eyelevel/threequarter)
  * @param {Array} [params.decorPhotos] - Array of decor photo URLs for reference
  * @param {boolean} [params.hasDecorReference] - Whether decor photos were provided
+ * @param {Object} [params.profile] - Restaurant profile (city, cuisine, hashtags, banned words, brand voice)
+ * @param {Array} [params.variants] - Variant specs [{ seed, theme, angle }] to generate in one call (2-4)
+ * @param {boolean} [params.variation] - Retry: ask for a different take on the same settings
+ * @param {number} [params.attemptNumber] - Attempt number for this session (1 = first generation)
+ * @param {number} [params.seed] - Image model seed, stored with the attempt to reproduce it
+ * @param {string} [params.changeHint] - What the user wants changed in the image
  * @returns {Promise<Object>} Processing result
  */
-async function processImage({
-  imageUrl,
-  userId,
-  chatId,
-  restaurantName = 'Restaurant',
-  theme = 'dinner',
-  angle = '45deg',
-  decorPhotos = [],
-  hasDecorReference = false
-}) {
+async function processImage(params) {
   const webhookUrl = getWebhookUrl();
   const startTime = Date.now();
+  const payload = buildPayload(params);
 
-  logger.info(`Processing image for user ${userId}`, {
+  logger.info(`Processing image for user ${payload.userId}`, {
     webhookUrl,
-    theme,
-    angle,
-    hasDecorReference,
-    decorCount: decorPhotos.length,
-    imageUrl: imageUrl.substring(0, 50) + '...'
+    theme: payload.theme,
+    angle: payload.angle,
+    hasDecorReference: payload.hasDecorReference,
+    decorCount: payload.decorPhotos.length,
+    variation: payload.variation,
+    attemptNumber: payload.attemptNumber,
+    seed: payload.seed,
+    hasChangeHint: !!payload.changeHint,
+    imageUrl: payload.imageUrl.substring(0, 50) + '...'
   });
 
   let lastError;
@@ -57,17 +99,7 @@ async function processImage({
     try {
       const response = await axios.post(
         webhookUrl,
-        {
-          imageUrl,
-          userId,
-          chatId,
-          restaurantName,
-          theme,
-          angle,
-          decorPhotos,
-          hasDecorReference,
-          timestamp: new Date().toISOString(),
-        },
+        payload,
         {
           timeout: config.WEBHOOK_TIMEOUT,
           headers: {
@@ -84,6 +116,7 @@ async function processImage({
         status: response.status,
         durationMs,
         hasEnhancedImage: !!response.data?.enhancedUrl,
+        variantCount: response.data?.variants?.length || 0,
         hasCaption: !!response.data?.caption,
       });
 
@@ -133,6 +166,76 @@ async function processImage({
   };
 }
 
+/**
+ * Submit an image job to the n8n workflow
+ * n8n only acknowledges here and posts the result to callbackUrl later. The
+ * jobId doubles as idempotency key, so retries are safe: n8n drops a job it
+ * has already accepted.
+ * @param {Object} params - Same parameters as processImage()
+ * @param {Object} job - { jobId, callbackUrl, progressUrl, callbackToken }
+ * @returns {Promise<Object>} { success, duplicate?, error?, errorCode? }
+ */
+async function submitJob(params, { jobId, callbackUrl, progressUrl, callbackToken }) {
+  const webhookUrl = getWebhookUrl();
+  const startTime = Date.now();
+
+  logger.info(`Submitting job ${jobId} for user ${params.userId}`, {
+    webhookUrl,
+    attemptNumber: params.attemptNumber,
+  });
+
+  let lastError;
+
+  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+    try {
+      const response = await axios.post(
+        webhookUrl,
+        { ...buildPayload(params), jobId, callbackUrl, progressUrl, callbackToken },
+        {
+          timeout: config.JOB_SUBMIT_TIMEOUT,
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'WWITHai-Content-Engine/1.0',
+            'Idempotency-Key': jobId,
+          },
+        }
+      );
+
+      logApiCall('n8n', 'submit-job', Date.now() - startTime, true);
+
+      return {
+        success: true,
+        duplicate: !!response.data?.duplicate,
+      };
+    } catch (error) {
+      lastError = error;
+
+      logger.warn(`Attempt ${attempt}/${MAX_RETRIES}: Job submission failed`, {
+        jobId,
+        status: error.response?.status,
+        message: error.message,
+      });
+
+      // Don't retry on client errors (4xx)
+      if (error.response && error.response.status >= 400 && error.response.status < 500) {
+        break;
+      }
+
+      if (attempt < MAX_RETRIES) {
+        await sleep(RETRY_DELAY_MS * Math.pow(2, attempt - 1));
+      }
+    }
+  }
+
+  logApiCall('n8n', 'submit-job', Date.now() - startTime, false);
+
+  return {
+    success: false,
+    error: lastError?.message || 'Unknown error',
+    errorCode: lastError?.response?.status || 'NETWORK_ERROR',
+  };
+}
+
 /**
  * Check n8n workflow health
  * @returns {Promise<boolean>}
@@ -183,6 +286,7 @@ async function getWorkflowStatus(workflowId) {
 
 module.exports = {
   processImage,
+  submitJob,
   checkHealth,
   getWorkflowStatus,
 };
@@ -4,6 +4,8 @@
  */
 
 const axios = require('axios');
+const { getAllThemes, getAllAngles } = require('../prompts/themes');
+const { publicImageUrl, describeVariation } = require('./contentlog/fields');
 const { config } = require('../utils/config');
 const { logger, logApiCall } = require('../utils/logger');
 
@@ -13,6 +15,54 @@ const NOTION_VERSION = '2022-06-28';
 // Database ID (will be set after creation)
 let databaseId = config.NOTION_DATABASE_ID;
 
+// Content log columns: createDatabase creates them, migrateDatabase adds the missing ones
+const DATABASE_PROPERTIES = {
+  'Restaurant': { title: {} },
+  'Date': { date: {} },
+  'Status': {
+    select: {
+      options: [
+        { name: 'pending', color: 'yellow' },
+        { name: 'approved', color: 'green' },
+        { name: 'rejected', color: 'red' },
+        { name: 'posted', color: 'blue' },
+      ],
+    },
+  },
+  'User ID': { rich_text: {} },
+  'Caption': { rich_text: {} },
+  'Processing Time': { number: { format: 'number' } },
+  'Feedback': { rich_text: {} },
+  'Permalink': { url: {} },
+  'Platform': {
+    multi_select: {
+      options: [
+        { name: 'instagram', color: 'pink' },
+        { name: 'tiktok', color: 'purple' },
+        { name: 'facebook', color: 'blue' },
+      ],
+    },
+  },
+  'Theme': { select: { options: getAllThemes().map(t => ({ name: t.key })) } },
+  'Angle': { select: { options: getAllAngles().map(a => ({ name: a.key })) } },
+  'Dish': { rich_text: {} },
+  'Cuisine': { select: {} },
+  'Decor Reference': { checkbox: {} },
+  'Original Image': { files: {} },
+  'Enhanced Image': { files: {} },
+  'Attempts': { number: { format: 'number' } },
+  'Style Edits': { number: { format: 'number' } },
+  'Approved By': { rich_text: {} },
+};
+
+// Columns created under another name by older versions of scripts/setup-notion.js
+// (the photo ones were url columns: they are kept for their links, not renamed)
+const RENAMED_PROPERTIES = {
+  'Processing Time (ms)': 'Processing Time',
+  'Original Photo': 'Original Image',
+  'Enhanced Photo': 'Enhanced Image',
+};
+
 /**
  * Create Notion API request headers
  */
@@ -24,9 +74,80 @@ function getHeaders() {
   };
 }
 
+/**
+ * Whether Notion logging is set up (API key and database)
+ */
+function isNotionConfigured() {
+  return !!(config.NOTION_API_KEY && databaseId);
+}
+
+/**
+ * Text property value (Notion caps rich text at 2000 characters)
+ */
+function richText(value) {
+  return { rich_text: [{ text: { content: String(value).substring(0, 2000) } }] };
+}
+
+/**
+ * Image property value, or null for URLs that must not leave the bot
+ */
+function imageFile(url, name) {
+  const publicUrl = publicImageUrl(url);
+  return publicUrl ? { files: [{ name, type: 'external', external: { url: publicUrl } }] } : null;
+}
+
+/**
+ * Select option name (Notion rejects commas in option names)
+ */
+function selectOption(value) {
+  return { select: { name: String(value).replace(/,/g, ' /').substring(0, 100) } };
+}
+
+/**
+ * Notion page properties for the content fields that are set
+ * @param {Object} fields - restaurantName, date, status, userId, caption, processingTimeMs,
+ *   feedback, permalink, platforms, theme, angle, dish, cuisine, hasDecorReference,
+ *   originalUrl, enhancedUrl, attempts, styleEdits, approvedBy
+ */
+function toProperties(fields) {
+  const properties = {};
+
+  if (fields.restaurantName) {
+    properties['Restaurant'] = { title: [{ text: { content: fields.restaurantName } }] };
+  }
+  if (fields.date) properties['Date'] = { date: { start: fields.date } };
+  if (fields.status) properties['Status'] = { select: { name: fields.status } };
+  if (fields.userId) properties['User ID'] = richText(fields.userId);
+  if (fields.caption) properties['Caption'] = richText(fields.caption);
+  if (fields.processingTimeMs != null) properties['Processing Time'] = { number: fields.processingTimeMs };
+  if (fields.feedback) properties['Feedback'] = richText(fields.feedback);
+  if (fields.permalink) properties['Permalink'] = { url: fields.permalink };
+  if (fields.platforms) {
+    properties['Platform'] = { multi_select: fields.platforms.map(p => ({ name: p })) };
+  }
+  if (fields.theme) properties['Theme'] = selectOption(fields.theme);
+  if (fields.angle) properties['Angle'] = selectOption(fields.angle);
+  if (fields.dish) properties['Dish'] = richText(fields.dish);
+  if (fields.cuisine) properties['Cuisine'] = selectOption(fields.cuisine);
+  if (typeof fields.hasDecorReference === 'boolean') {
+    properties['Decor Reference'] = { checkbox: fields.hasDecorReference };
+  }
+
+  const original = imageFile(fields.originalUrl, 'original.jpg');
+  if (original) properties['Original Image'] = original;
+  const enhanced = imageFile(fields.enhancedUrl, 'enhanced.jpg');
+  if (enhanced) properties['Enhanced Image'] = enhanced;
+
+  if (fields.attempts != null) properties['Attempts'] = { number: fields.attempts };
+  if (fields.styleEdits != null) properties['Style Edits'] = { number: fields.styleEdits };
+  if (fields.approvedBy) properties['Approved By'] = richText(fields.approvedBy);
+
+  return properties;
+}
+
 /**
  * Log a content creation entry to Notion
- * @param {Object} entry - Log entry data
+ * @param {Object} entry - Log entry data (fields of toProperties)
  */
 async function logContentEntry(entry) {
   if (!config.NOTION_API_KEY || !databaseId) {
@@ -37,36 +158,15 @@ async function logContentEntry(entry) {
   const startTime = Date.now();
 
   try {
-    const properties = {
-      'Restaurant': {
-        title: [{ text: { content: entry.restaurantName || 'Unknown' } }],
-      },
-      'Status': {
-        select: { name: entry.status || 'pending' },
-      },
-      'User ID': {
-        rich_text: [{ text: { content: String(entry.userId) } }],
-      },
-      'Processing Time': {
-        number: entry.processingTimeMs || 0,
-      },
-      'Platform': {
-        multi_select: (entry.platforms || ['instagram']).map(p => ({ name: p })),
-      },
-    };
-
-    // Add optional fields
-    if (entry.caption) {
-      properties['Caption'] = {
-        rich_text: [{ text: { content: entry.caption.substring(0, 2000) } }],
-      };
-    }
-
-    if (entry.feedback) {
-      properties['Feedback'] = {
-        rich_text: [{ text: { content: entry.feedback.substring(0, 2000) } }],
-      };
-    }
+    const properties = toProperties({
+      ...entry,
+      restaurantName: entry.restaurantName || 'Unknown',
+      date: entry.date || new Date().toISOString(),
+      status: entry.status || 'pending',
+      userId: String(entry.userId),
+      processingTimeMs: entry.processingTimeMs || 0,
+      platforms: entry.platforms || ['instagram'],
+    });
 
     const response = await axios.post(
       `${NOTION_API_BASE}/pages`,
@@ -110,40 +210,77 @@ async function logContentEntry(entry) {
 /**
  * Update an existing content entry
  * @param {string} pageId - Notion page ID
- * @param {Object} updates - Fields to update
+ * @param {Object} updates - Fields to update (fields of toProperties)
  */
 async function updateContentEntry(pageId, updates) {
   if (!config.NOTION_API_KEY) {
     return { success: false, reason: 'not_configured' };
   }
 
-  try {
-    const properties = {};
-
-    if (updates.status) {
-      properties['Status'] = { select: { name: updates.status } };
-    }
-
-    if (updates.feedback) {
-      properties['Feedback'] = {
-        rich_text: [{ text: { content: updates.feedback.substring(0, 2000) } }],
-      };
-    }
+  const startTime = Date.now();
 
+  try {
     const response = await axios.patch(
       `${NOTION_API_BASE}/pages/${pageId}`,
-      { properties },
+      { properties: toProperties(updates) },
       {
         headers: getHeaders(),
         timeout: 10000,
       }
     );
 
+    logApiCall('notion', 'update_page', Date.now() - startTime, true);
     logger.info('Content entry updated', { pageId });
     return { success: true, pageId: response.data.id };
   } catch (error) {
-    logger.error('Failed to update Notion entry', { error: error.message });
-    return { success: false, error: error.message };
+    logApiCall('notion', 'update_page', Date.now() - startTime, false);
+    logger.error('Failed to update Notion entry', {
+      error: error.message,
+      status: error.response?.status,
+      details: error.response?.data,
+    });
+    return { success: false, error: error.message, status: error.response?.status };
+  }
+}
+
+/**
+ * Add a variation to an entry's page body (one paragraph per regenerated image)
+ * @param {string} pageId - Notion page ID
+ * @param {Object} variation - { attempt, theme, angle, seed, changeHint, caption, processingTimeMs }
+ */
+async function appendVariation(pageId, variation) {
+  if (!config.NOTION_API_KEY) {
+    return { success: false, reason: 'not_configured' };
+  }
+
+  const startTime = Date.now();
+  const content = describeVariation(variation).substring(0, 2000);
+
+  try {
+    await axios.patch(
+      `${NOTION_API_BASE}/blocks/${pageId}/children`,
+      {
+        children: [{
+          object: 'block',
+          type: 'paragraph',
+          paragraph: { rich_text: [{ type: 'text', text: { content } }] },
+        }],
+      },
+      {
+        headers: getHeaders(),
+        timeout: 10000,
+      }
+    );
+
+    logApiCall('notion', 'append_block', Date.now() - startTime, true);
+    return { success: true, pageId };
+  } catch (error) {
+    logApiCall('notion', 'append_block', Date.now() - startTime, false);
+    logger.error('Failed to append Notion variation', {
+      error: error.message,
+      status: error.response?.status,
+    });
+    return { success: false, error: error.message, status: error.response?.status };
   }
 }
 
@@ -162,33 +299,7 @@ async function createDatabase(parentPageId) {
       {
         parent: { page_id: parentPageId },
         title: [{ text: { content: 'WWITHai Content Logs' } }],
-        properties: {
-          'Restaurant': { title: {} },
-          'Date': { date: {} },
-          'Status': {
-            select: {
-              options: [
-                { name: 'pending', color: 'yellow' },
-                { name: 'approved', color: 'green' },
-                { name: 'rejected', color: 'red' },
-                { name: 'posted', color: 'blue' },
-              ],
-            },
-          },
-          'User ID': { rich_text: {} },
-          'Caption': { rich_text: {} },
-          'Processing Time': { number: { format: 'number' } },
-          'Feedback': { rich_text: {} },
-          'Platform': {
-            multi_select: {
-              options: [
-                { name: 'instagram', color: 'pink' },
-                { name: 'tiktok', color: 'purple' },
-                { name: 'facebook', color: 'blue' },
-              ],
-            },
-          },
-        },
+        properties: DATABASE_PROPERTIES,
       },
       {
         headers: getHeaders(),
@@ -213,6 +324,109 @@ async function createDatabase(parentPageId) {
   }
 }
 
+/**
+ * Property type of a schema entry ({ select: {...} } -> 'select')
+ */
+function propertyType(schema) {
+  return Object.keys(schema)[0];
+}
+
+/**
+ * Bring an existing database up to DATABASE_PROPERTIES without recreating it
+ * Adds the missing columns and renames the ones older setups named differently,
+ * keeping every value. A renamed column whose type differs (the old url image
+ * columns) stays as it is, with the new column added alongside. Columns of the
+ * wrong type are only reported, unless `retype` is set: that empties them.
+ * @param {Object} [options]
+ * @param {string} [options.id] - Database ID (defaults to NOTION_DATABASE_ID)
+ * @param {boolean} [options.dryRun] - Only report what would change
+ * @param {boolean} [options.retype] - Change the type of mismatched columns
+ * @returns {Promise<Object>} { success, added, renamed: [[from, to]], retyped,
+ *   mismatched: [[name, type, expected]], error? }
+ */
+async function migrateDatabase({ id = databaseId, dryRun = false, retype = false } = {}) {
+  if (!config.NOTION_API_KEY || !id) {
+    return { success: false, reason: 'not_configured' };
+  }
+
+  const startTime = Date.now();
+
+  try {
+    const { data } = await axios.get(`${NOTION_API_BASE}/databases/${id}`, {
+      headers: getHeaders(),
+      timeout: 10000,
+    });
+
+    const existing = data.properties;
+    const changes = {};
+    const plan = { added: [], renamed: [], retyped: [], mismatched: [] };
+
+    // A database has exactly one title column: rename it rather than add another
+    const titleName = Object.keys(existing).find(name => existing[name].type === 'title');
+    if (titleName && titleName !== 'Restaurant' && !existing['Restaurant']) {
+      changes[titleName] = { name: 'Restaurant' };
+      plan.renamed.push([titleName, 'Restaurant']);
+    }
+
+    for (const [oldName, newName] of Object.entries(RENAMED_PROPERTIES)) {
+      if (!existing[oldName] || existing[newName]) continue;
+      if (existing[oldName].type !== propertyType(DATABASE_PROPERTIES[newName])) continue;
+
+      changes[oldName] = { name: newName };
+      plan.renamed.push([oldName, newName]);
+    }
+
+    const renamedTo = new Set(plan.renamed.map(([, to]) => to));
+
+    for (const [name, schema] of Object.entries(DATABASE_PROPERTIES)) {
+      if (renamedTo.has(name) || propertyType(schema) === 'title') continue;
+
+      if (!existing[name]) {
+        changes[name] = schema;
+        plan.added.push(name);
+      } else if (existing[name].type !== propertyType(schema)) {
+        if (!retype) {
+          plan.mismatched.push([name, existing[name].type, propertyType(schema)]);
+          continue;
+        }
+        changes[name] = schema;
+        plan.retyped.push(name);
+      }
+    }
+
+    if (dryRun || Object.keys(changes).length === 0) {
+      return { success: true, ...plan };
+    }
+
+    await axios.patch(
+      `${NOTION_API_BASE}/databases/${id}`,
+      { properties: changes },
+      {
+        headers: getHeaders(),
+        timeout: 15000,
+      }
+    );
+
+    logApiCall('notion', 'update_database', Date.now() - startTime, true);
+    logger.info('Notion database migrated', {
+      databaseId: id,
+      added: plan.added.length,
+      renamed: plan.renamed.length,
+      retyped: plan.retyped.length,
+    });
+
+    return { success: true, ...plan };
+  } catch (error) {
+    logApiCall('notion', 'update_database', Date.now() - startTime, false);
+    logger.error('Failed to migrate Notion database', {
+      error: error.message,
+      status: error.response?.status,
+      details: error.response?.data,
+    });
+    return { success: false, error: error.response?.data?.message || error.message };
+  }
+}
+
 /**
  * Set the database ID manually
  * @param {string} id - Database ID
@@ -223,8 +437,12 @@ function setDatabaseId(id) {
 }
 
 module.exports = {
+  DATABASE_PROPERTIES,
+  isNotionConfigured,
   logContentEntry,
   updateContentEntry,
+  appendVariation,
   createDatabase,
+  migrateDatabase,
   setDatabaseId,
 };
@@ -0,0 +1,288 @@
+/**
+ * Content Pipeline Service
+ * Picks between the n8n workflow and the in-process pipeline (vision,
+ * prompt, fal.ai enhancement, caption) used when PIPELINE_MODE=local or n8n is down
+ */
+
+const axios = require('axios');
+const { config } = require('../utils/config');
+const { logger, logApiCall } = require('../utils/logger');
+const n8n = require('./n8n');
+const { enhanceImage } = require('./fal');
+const { generateCaption } = require('./captions');
+const { generateEnhancementPrompt } = require('../prompts/themes');
+
+const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
+const VISION_MODEL = 'gpt-4o';
+
+// fal.ai gives no percentage: estimate it from a typical edit time
+const TYPICAL_EDIT_MS = 20000;
+
+// Same instructions as the "Analyze Image (Vision)" node of the n8n workflow
+const VISION_PROMPT = `Analyze this restaurant dish photo and return a JSON object with:
+{
+  "dish_name": "name of the dish",
+  "cuisine_type": "Thai, Italian, etc.",
+  "main_ingredients": ["list", "of", "ingredients"],
+  "presentation_style": "rustic, elegant, casual, etc.",
+  "mood": "cozy, festive, romantic, etc.",
+  "quality_issues": ["any issues like blur, bad lighting"],
+  "suggested_angle": "how to improve the shot"
+}
+
+Be specific and helpful. This is for creating Instagram content.`;
+
+/**
+ * Random seed for the image model
+ */
+function randomSeed() {
+  return Math.floor(Math.random() * 2147483647);
+}
+
+// Last n8n health check, cached so each photo doesn't wait on it
+const n8nHealth = { ok: null, checkedAt: 0 };
+
+/**
+ * Check n8n health, reusing a recent result
+ * @param {boolean} [force] - Ignore the cache
+ * @returns {Promise<boolean>}
+ */
+async function isN8nAvailable(force = false) {
+  if (!force && n8nHealth.ok !== null && Date.now() - n8nHealth.checkedAt < config.N8N_HEALTH_CACHE_MS) {
+    return n8nHealth.ok;
+  }
+
+  const ok = await n8n.checkHealth();
+
+  if (n8nHealth.ok !== null && ok !== n8nHealth.ok) {
+    logger.warn(ok ? 'n8n is back, using the workflow again' : 'n8n is down, switching to the local pipeline');
+  }
+
+  n8nHealth.ok = ok;
+  n8nHealth.checkedAt = Date.now();
+  return ok;
+}
+
+/**
+ * Pipeline that will handle the next request
+ * @param {boolean} [force] - Re-check n8n instead of using the cached health
+ * @returns {Promise<Object>} { mode: 'n8n'|'local', fallback }
+ */
+async function getPipelineStatus(force = false) {
+  if (config.PIPELINE_MODE === 'local') {
+    return { mode: 'local', fallback: false };
+  }
+
+  return (await isN8nAvailable(force))
+    ? { mode: 'n8n', fallback: false }
+    : { mode: 'local', fallback: true };
+}
+
+/**
+ * Describe the dish with OpenAI Vision
+ * @param {string} imageUrl - Food photo URL
+ * @returns {Promise<Object>} Analysis ({} when unavailable)
+ */
+async function analyzeDish(imageUrl) {
+  if (!config.OPENAI_API_KEY) {
+    logger.debug('Vision analysis skipped (OPENAI_API_KEY not configured)');
+    return {};
+  }
+
+  const startTime = Date.now();
+
+  try {
+    const response = await axios.post(
+      OPENAI_API_URL,
+      {
+        model: VISION_MODEL,
+        max_tokens: 1000,
+        temperature: 0.7,
+        messages: [
+          { role: 'system', content: VISION_PROMPT },
+          { role: 'user', content: [{ type: 'image_url', image_url: { url: imageUrl } }] },
+        ],
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${config.OPENAI_API_KEY}`,
+          'Content-Type': 'application/json',
+        },
+        timeout: 30000,
+      }
+    );
+
+    logApiCall('openai', 'vision', Date.now() - startTime, true);
+
+    // The model may wrap its JSON in text or a code fence
+    const text = response.data?.choices?.[0]?.message?.content || '';
+    const match = text.match(/\{[\s\S]*\}/);
+    return match ? JSON.parse(match[0]) : {};
+  } catch (error) {
+    logApiCall('openai', 'vision', Date.now() - startTime, false);
+    logger.warn('Vision analysis failed', { error: error.message, status: error.response?.status });
+    return {};
+  }
+}
+
+/**
+ * Short dish description for the image prompt
+ */
+function describeDish(analysis) {
+  if (!analysis.dish_name) return 'the dish in the photo';
+
+  const ingredients = Array.isArray(analysis.main_ingredients) && analysis.main_ingredients.length
+    ? ` with ${analysis.main_ingredients.join(', ')}`
+    : '';
+  return `${analysis.dish_name}${ingredients}`;
+}
+
+/**
+ * Turn fal.ai queue polls into progress stages
+ * @param {Function} onProgress - Stage callback of runLocalPipeline()
+ */
+function falProgress(onProgress) {
+  return ({ status, queuePosition, elapsedMs }) => {
+    if (status === 'IN_QUEUE') {
+      onProgress({ stage: 'enhancement_queued', queuePosition });
+    } else {
+      onProgress({ stage: 'enhancing', percent: Math.min(95, Math.round(elapsedMs / TYPICAL_EDIT_MS * 100)) });
+    }
+  };
+}
+
+/**
+ * Enhance the photo for one theme/angle combination
+ * @param {Object} retry - { variation, attemptNumber, changeHint }
+ * @param {Function} [onPoll] - fal.ai poll callback
+ * @returns {Promise<Object>} fal.enhanceImage() result
+ */
+function enhanceFor({ imageUrl, theme, angle, seed, decorPhotos, analysis, retry, onPoll = null }) {
+  return enhanceImage({
+    imageUrl,
+    model: 'edit',
+    prompt: generateEnhancementPrompt(theme, angle, describeDish(analysis), decorPhotos.length > 0, retry),
+    referenceUrls: decorPhotos,
+    seed,
+    onProgress: onPoll,
+  });
+}
+
+/**
+ * Run the pipeline in-process
+ * Takes the n8n.processImage() parameters and returns the same shape as the webhook response.
+ * onProgress receives { stage, percent?, queuePosition? } as each step finishes.
+ * @returns {Promise<Object>} { success, data, durationMs }
+ */
+async function runLocalPipeline({
+  imageUrl,
+  userId,
+  chatId,
+  restaurantName = 'Restaurant',
+  theme = 'dinner',
+  angle = '45deg',
+  decorPhotos = [],
+  profile = null,
+  variants = [],
+  variation = false,
+  attemptNumber = 1,
+  seed = null,
+  changeHint = null,
+  onProgress = () => {},
+}) {
+  const startTime = Date.now();
+  const retry = { variation, attemptNumber, changeHint };
+
+  logger.info(`Processing image locally for user ${userId}`, {
+    theme,
+    angle,
+    decorCount: decorPhotos.length,
+    variantCount: variants.length,
+    attemptNumber,
+    seed,
+  });
+
+  try {
+    const analysis = await analyzeDish(imageUrl);
+    onProgress({ stage: 'analyzed' });
+
+    // Images and caption only depend on the analysis, run them side by side.
+    // The first image stands in for all of them in progress reports.
+    const specs = variants.length > 0 ? variants : [{ theme, angle, seed }];
+    const [images, generated] = await Promise.all([
+      Promise.all(specs.map((spec, i) => enhanceFor({
+        imageUrl,
+        theme: spec.theme || theme,
+        angle: spec.angle || angle,
+        seed: spec.seed ?? null,
+        decorPhotos,
+        analysis,
+        retry,
+        onPoll: i === 0 ? falProgress(onProgress) : null,
+      }))).then(results => {
+        onProgress({ stage: 'enhanced' });
+        return results;
+      }),
+      generateCaption({ analysis, theme, restaurantName, profile }).then(result => {
+        onProgress({ stage: 'caption_ready' });
+        return result;
+      }),
+    ]);
+
+    const durationMs = Date.now() - startTime;
+    logApiCall('local', 'content-engine', durationMs, true);
+
+    const data = {
+      success: true,
+      originalUrl: imageUrl,
+      enhancedUrl: images[0].enhancedUrl || imageUrl,
+      // Left out when Claude is unavailable so the bot applies its own fallback caption
+      ...(generated.success ? { caption: generated.caption, hashtags: generated.hashtags } : {}),
+      analysis,
+      theme,
+      angle,
+      hasDecorReference: decorPhotos.length > 0,
+      seed: images[0].seed ?? seed,
+      processingTimeMs: durationMs,
+      userId,
+      chatId,
+      restaurantName,
+      pipeline: 'local',
+    };
+
+    if (variants.length > 0) {
+      data.variants = images.map((image, i) => ({
+        enhancedUrl: image.enhancedUrl || imageUrl,
+        seed: image.seed ?? variants[i].seed ?? null,
+        theme: variants[i].theme || theme,
+        angle: variants[i].angle || angle,
+        fallback: !!image.fallback,
+      }));
+    }
+
+    logger.info('Local pipeline completed', {
+      durationMs,
+      enhanced: images.some(image => !image.fallback),
+      captionSource: generated.source,
+    });
+
+    return { success: true, data, durationMs };
+  } catch (error) {
+    logApiCall('local', 'content-engine', Date.now() - startTime, false);
+    logger.error('Local pipeline failed', { error: error.message });
+
+    return {
+      success: false,
+      error: error.message,
+      errorCode: 'LOCAL_PIPELINE_ERROR',
+    };
+  }
+}
+
+module.exports = {
+  runLocalPipeline,
+  randomSeed,
+  isN8nAvailable,
+  getPipelineStatus,
+  analyzeDish,
+};
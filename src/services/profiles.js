@@ -0,0 +1,207 @@
+/**
+ * Restaurant Profile Service
+ * Per-Telegram-user restaurant profiles (name, city, brand voice...)
+ */
+
+const { getStore } = require('./store');
+const { getWorkspaceId } = require('./teams');
+const { THEMES, ANGLES } = require('../prompts/themes');
+const { logger } = require('../utils/logger');
+
+const profiles = getStore('profiles');
+
+// Editable profile fields, in display order
+const PROFILE_FIELDS = {
+  name: { label: 'Nom du resto', type: 'text', maxLength: 80 },
+  city: { label: 'Ville', type: 'text', maxLength: 60 },
+  cuisine: { label: 'Cuisine', type: 'text', maxLength: 60 },
+  defaultTheme: { label: 'Thème par défaut', type: 'theme' },
+  defaultAngle: { label: 'Angle par défaut', type: 'angle' },
+  hashtags: { label: 'Hashtags signature', type: 'list', maxItems: 10 },
+  bannedWords: { label: 'Mots interdits', type: 'list', maxItems: 30 },
+  brandVoice: { label: 'Voix de marque', type: 'text', maxLength: 500 },
+  website: { label: 'Site web', type: 'url', maxLength: 200 },
+};
+
+// Photo overlay fields typed by the user (stored under profile.overlay)
+const OVERLAY_FIELDS = {
+  logo: { label: 'Logo', type: 'image' },
+  watermark: { label: 'Filigrane', type: 'text', maxLength: 40 },
+  banner: { label: 'Bannière', type: 'text', maxLength: 30 },
+};
+
+// Overlays applied to generated photos, off until the user turns them on
+const DEFAULT_OVERLAY = {
+  enabled: false,
+  logoFileId: null, // Telegram file_id of the uploaded logo
+  corner: 'bottom-right',
+  watermark: null, // Text used when there is no logo, e.g. "@chezmichel"
+  banner: null, // e.g. "Nouveau!" or "14,95 $"
+  ratio: null, // Key of RATIOS in services/images, null keeps the generated ratio
+};
+
+/**
+ * Empty profile for a user who never opened the settings
+ */
+function defaultProfile(userId) {
+  return {
+    userId: String(userId),
+    name: null,
+    city: null,
+    cuisine: null,
+    defaultTheme: null,
+    defaultAngle: null,
+    hashtags: [],
+    bannedWords: [],
+    brandVoice: null,
+    website: null,
+    overlay: { ...DEFAULT_OVERLAY },
+    plan: null, // Usage plan, see services/usage (DEFAULT_PLAN when null)
+    updatedAt: null,
+  };
+}
+
+/**
+ * Get the profile for a Telegram user
+ * Team members share the owner's profile.
+ * @param {string|number} userId - Telegram user ID
+ * @returns {Promise<Object>} Stored profile, or an empty default
+ */
+async function getProfile(userId) {
+  const workspaceId = await getWorkspaceId(userId);
+  const stored = await profiles.get(workspaceId);
+  return { ...defaultProfile(workspaceId), ...(stored || {}) };
+}
+
+/**
+ * Merge updates into a user's profile
+ * @param {string|number} userId - Telegram user ID
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object>} Updated profile
+ */
+async function updateProfile(userId, updates) {
+  const profile = {
+    ...(await getProfile(userId)),
+    ...updates,
+    updatedAt: new Date().toISOString(),
+  };
+
+  await profiles.set(profile.userId, profile);
+  logger.info('Restaurant profile updated', { userId, fields: Object.keys(updates) });
+
+  return profile;
+}
+
+/**
+ * Merge updates into a user's photo overlay settings
+ * @param {string|number} userId - Telegram user ID
+ * @param {Object} updates - Overlay fields to change
+ * @returns {Promise<Object>} Updated profile
+ */
+async function updateOverlay(userId, updates) {
+  const { overlay } = await getProfile(userId);
+  return updateProfile(userId, { overlay: { ...DEFAULT_OVERLAY, ...overlay, ...updates } });
+}
+
+/**
+ * Parse and validate raw user input for a profile field
+ * @param {string} field - Key of PROFILE_FIELDS or OVERLAY_FIELDS
+ * @param {string} raw - Text typed by the user, or a theme/angle key
+ * @returns {{ value: any, error: string|null }}
+ */
+function parseFieldValue(field, raw) {
+  const spec = PROFILE_FIELDS[field] || OVERLAY_FIELDS[field];
+  const text = (raw || '').trim();
+
+  if (!spec) {
+    return { value: null, error: 'Champ inconnu' };
+  }
+
+  switch (spec.type) {
+    case 'text':
+      if (!text) return { value: null, error: 'Le texte est vide' };
+      if (text.length > spec.maxLength) {
+        return { value: null, error: `Maximum ${spec.maxLength} caractères` };
+      }
+      return { value: text, error: null };
+
+    case 'list': {
+      const items = text
+        .split(/[\s,]+/)
+        .map(item => item.trim())
+        .filter(Boolean)
+        .map(item => field === 'hashtags'
+          ? `#${item.replace(/^#+/, '')}`
+          : item.toLowerCase());
+      const unique = [...new Set(items)];
+
+      if (unique.length === 0) return { value: null, error: 'La liste est vide' };
+      if (unique.length > spec.maxItems) {
+        return { value: null, error: `Maximum ${spec.maxItems} éléments` };
+      }
+      return { value: unique, error: null };
+    }
+
+    case 'url': {
+      const url = /^https?:\/\//i.test(text) ? text : `https://${text}`;
+      if (!text || text.length > spec.maxLength || !isValidUrl(url)) {
+        return { value: null, error: 'Lien invalide (ex: chezmichel.ca)' };
+      }
+      return { value: url, error: null };
+    }
+
+    case 'theme':
+      return THEMES[text]
+        ? { value: text, error: null }
+        : { value: null, error: 'Thème inconnu' };
+
+    case 'angle':
+      return ANGLES[text]
+        ? { value: text, error: null }
+        : { value: null, error: 'Angle inconnu' };
+
+    default:
+      return { value: null, error: 'Type de champ inconnu' };
+  }
+}
+
+/**
+ * Whether a string is an http(s) URL with a dotted host
+ */
+function isValidUrl(text) {
+  try {
+    const url = new URL(text);
+    return ['http:', 'https:'].includes(url.protocol) && url.hostname.includes('.');
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Profile fields sent to the n8n workflow with each request
+ * @param {Object} profile - Full profile
+ */
+function toWebhookProfile(profile) {
+  return {
+    name: profile.name,
+    city: profile.city,
+    cuisine: profile.cuisine,
+    defaultTheme: profile.defaultTheme,
+    defaultAngle: profile.defaultAngle,
+    hashtags: profile.hashtags,
+    bannedWords: profile.bannedWords,
+    brandVoice: profile.brandVoice,
+    website: profile.website,
+  };
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  OVERLAY_FIELDS,
+  DEFAULT_OVERLAY,
+  getProfile,
+  updateProfile,
+  updateOverlay,
+  parseFieldValue,
+  toWebhookProfile,
+};
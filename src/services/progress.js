@@ -0,0 +1,204 @@
+/**
+ * Progress Service
+ * Turns pipeline stage reports into the "⏳ Transformation en cours..." message:
+ * stage checklist, progress bar and an ETA from recent processing times
+ */
+
+const { getStore } = require('./store');
+const { logger } = require('../utils/logger');
+
+const stats = getStore('job_stats');
+
+// Durations kept per job kind for the ETA
+const MAX_SAMPLES = 10;
+const STATS_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Share of the bar for each part of the pipeline
+const WEIGHTS = { analysis: 20, image: 65, caption: 15 };
+const BAR_LENGTH = 10;
+
+/**
+ * Apply a stage report to a job's progress
+ * @param {Object} progress - Current progress ({} for a new job)
+ * @param {Object} update - { stage, percent?, queuePosition?, position? }
+ *   stage: queued | started | analyzed | enhancement_queued | enhancing | enhanced | caption_ready
+ * @returns {Object} New progress
+ */
+function applyStage(progress, { stage, percent, queuePosition, position }) {
+  const next = { ...progress };
+
+  // Any pipeline stage means the job left the bot's queue
+  if (stage !== 'queued') delete next.waiting;
+
+  switch (stage) {
+    case 'queued':
+      next.waiting = Number.isInteger(position) ? position : 1;
+      break;
+    case 'started':
+      break;
+    case 'analyzed':
+      next.analyzed = true;
+      break;
+    case 'enhancement_queued':
+      next.analyzed = true;
+      next.image = next.image === 'done' ? 'done' : 'queued';
+      next.queuePosition = Number.isInteger(queuePosition) ? queuePosition : null;
+      break;
+    case 'enhancing':
+      next.analyzed = true;
+      if (next.image !== 'done') {
+        next.image = 'running';
+        next.imagePercent = Math.max(next.imagePercent || 0, Math.min(Number(percent) || 0, 99));
+      }
+      break;
+    case 'enhanced':
+      next.analyzed = true;
+      next.image = 'done';
+      break;
+    case 'caption_ready':
+      next.caption = true;
+      break;
+    default:
+      return progress;
+  }
+
+  return next;
+}
+
+/**
+ * Overall completion, 0-100
+ */
+function overallPercent(progress) {
+  const imageShare = progress.image === 'done'
+    ? 1
+    : progress.image === 'running' ? (progress.imagePercent || 0) / 100 : 0;
+
+  return Math.round(
+    (progress.analyzed ? WEIGHTS.analysis : 0) +
+    WEIGHTS.image * imageShare +
+    (progress.caption ? WEIGHTS.caption : 0)
+  );
+}
+
+/**
+ * Text bar, e.g. ▰▰▰▱▱▱▱▱▱▱ 30%
+ */
+function progressBar(percent) {
+  const filled = Math.round(percent / 100 * BAR_LENGTH);
+  return `${'▰'.repeat(filled)}${'▱'.repeat(BAR_LENGTH - filled)} ${percent}%`;
+}
+
+/**
+ * Line for the image stage
+ */
+function imageLine(progress) {
+  switch (progress.image) {
+    case 'done':
+      return '✅ Image améliorée';
+    case 'running':
+      return `⏳ Amélioration de l'image... ${progress.imagePercent || 0}%`;
+    case 'queued':
+      return progress.queuePosition
+        ? `⏳ Image en file d'attente (position ${progress.queuePosition})`
+        : '⏳ Image en file d\'attente';
+    default:
+      return '▫️ Amélioration de l\'image';
+  }
+}
+
+/**
+ * Build the progress message
+ * @param {Object} params
+ * @param {string} params.title - First lines (Markdown), e.g. "⏳ *Transformation en cours...*"
+ * @param {Object} [params.progress] - Progress from applyStage()
+ * @param {number} [params.etaMs] - Expected total duration (null when unknown)
+ * @param {number} [params.elapsedMs] - Time since the job started
+ * @returns {string}
+ */
+function formatProgress({ title, progress = {}, etaMs = null, elapsedMs = 0 }) {
+  if (progress.waiting) {
+    return [
+      title,
+      '',
+      `🕐 En file d'attente: position ${progress.waiting}`,
+      '',
+      '_/cancel pour annuler_',
+    ].join('\n');
+  }
+
+  const percent = overallPercent(progress);
+  const lines = [
+    title,
+    '',
+    progress.analyzed ? '✅ Plat analysé' : '⏳ Analyse du plat...',
+    imageLine(progress),
+    progress.caption ? '✅ Caption prête' : '▫️ Rédaction de la caption',
+    '',
+    progressBar(percent),
+  ];
+
+  if (etaMs && percent < 100) {
+    const remainingS = Math.round((etaMs - elapsedMs) / 1000);
+    lines.push(remainingS > 5 ? `⏱ Encore environ ${remainingS}s` : '⏱ Presque fini...');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Remember how long a finished job took
+ * @param {string} kind - Job kind
+ * @param {number} durationMs
+ */
+async function recordDuration(kind, durationMs) {
+  const samples = (await stats.get(`durations:${kind}`)) || [];
+  samples.push(durationMs);
+  await stats.set(`durations:${kind}`, samples.slice(-MAX_SAMPLES), STATS_TTL_MS);
+}
+
+/**
+ * Expected duration of a job, from the last completed ones
+ * @param {string} kind - Job kind
+ * @returns {Promise<number|null>} Average in ms, null without history
+ */
+async function estimateDuration(kind) {
+  const samples = (await stats.get(`durations:${kind}`)) || [];
+  if (samples.length === 0) return null;
+
+  return Math.round(samples.reduce((sum, ms) => sum + ms, 0) / samples.length);
+}
+
+/**
+ * Edit a job's progress message
+ * Jobs keep the message to edit in meta.progressMessageId and its first lines in meta.progressTitle.
+ * @param {Object} telegram - Telegraf telegram client
+ * @param {Object} job - Pending job
+ * @param {Object} progress - Progress from applyStage()
+ */
+async function showJobProgress(telegram, job, progress) {
+  const { progressMessageId, progressTitle, etaMs } = job.meta;
+  if (!progressMessageId || !progressTitle) return;
+
+  const text = formatProgress({
+    title: progressTitle,
+    progress,
+    etaMs,
+    elapsedMs: job.startedAt ? Date.now() - new Date(job.startedAt).getTime() : 0,
+  });
+
+  try {
+    await telegram.editMessageText(job.chatId, progressMessageId, undefined, text, { parse_mode: 'Markdown' });
+  } catch (error) {
+    // Message already replaced by the result, or unchanged text
+    logger.debug('Progress update skipped', { jobId: job.id, error: error.message });
+  }
+}
+
+module.exports = {
+  applyStage,
+  overallPercent,
+  formatProgress,
+  recordDuration,
+  estimateDuration,
+  showJobProgress,
+};
@@ -0,0 +1,404 @@
+/**
+ * Post Scheduling Service
+ * Durable queue of approved posts, published (or reminded) at a chosen time
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getStore } = require('./store');
+const { publishPost, getPublishingAccount } = require('./meta');
+const { getProfile } = require('./profiles');
+const { approvedImageUrl } = require('./media');
+const { updateRecord } = require('./contentlog');
+const { config } = require('../utils/config');
+const { logger, logUserAction } = require('../utils/logger');
+
+const queue = getStore('schedule');
+
+// Finished items are kept a while so /queue can show recent history
+const DONE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const ITEM_STATES = {
+  SCHEDULED: 'scheduled',
+  SENDING: 'sending',
+  PUBLISHED: 'published',
+  REMINDED: 'reminded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+// Best posting slots per theme (local time, 0 = Sunday)
+const BEST_SLOTS = {
+  brunch: { days: [6, 0], times: ['09:00', '10:00'] },
+  lunch: { days: [1, 2, 3, 4, 5], times: ['11:00', '11:30'] },
+  dinner: { days: [3, 4, 5, 6], times: ['16:30', '17:30'] },
+  event: { days: [3, 4], times: ['12:00', '18:00'] },
+  royal: { days: [5, 6], times: ['17:00', '18:00'] },
+};
+
+// Don't offer slots that are about to pass
+const MIN_LEAD_MS = 15 * 60 * 1000;
+
+let schedulerTimer = null;
+let tickRunning = false;
+
+/**
+ * Get the UTC offset (in ms) of the configured timezone at an instant
+ */
+function getZoneOffsetMs(date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: config.TIMEZONE,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }).formatToParts(date).map(p => [p.type, p.value])
+  );
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Local calendar day (in the configured timezone) of an instant
+ * @returns {{ year: number, month: number, day: number, weekday: number }}
+ */
+function getLocalDay(date) {
+  const local = new Date(date.getTime() + getZoneOffsetMs(date));
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth(),
+    day: local.getUTCDate(),
+    weekday: local.getUTCDay(),
+  };
+}
+
+/**
+ * Build the instant for a local day + "HH:MM" in the configured timezone
+ */
+function atLocalTime({ year, month, day }, time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const guess = Date.UTC(year, month, day, hours, minutes);
+  // Two passes settle DST transitions
+  const first = guess - getZoneOffsetMs(new Date(guess));
+  return new Date(guess - getZoneOffsetMs(new Date(first)));
+}
+
+/**
+ * Local day `offset` days after today
+ */
+function addDays(offset, from = new Date()) {
+  const today = getLocalDay(from);
+  const noon = atLocalTime(today, '12:00');
+  return getLocalDay(new Date(noon.getTime() + offset * 24 * 60 * 60 * 1000));
+}
+
+/**
+ * Suggest the next best posting slots for a theme
+ * @param {string} theme - Theme key
+ * @param {number} [count] - Number of slots to return
+ * @returns {Array<Date>}
+ */
+function suggestSlots(theme, count = 3, now = new Date()) {
+  const rule = BEST_SLOTS[theme] || BEST_SLOTS.dinner;
+  const slots = [];
+
+  for (let offset = 0; offset < 14 && slots.length < count; offset++) {
+    const day = addDays(offset, now);
+    if (!rule.days.includes(day.weekday)) continue;
+
+    for (const time of rule.times) {
+      const slot = atLocalTime(day, time);
+      if (slot.getTime() - now.getTime() >= MIN_LEAD_MS && slots.length < count) {
+        slots.push(slot);
+      }
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Format a date for Telegram messages (e.g. "sam. 12 oct., 09 h 00")
+ */
+function formatSlot(date) {
+  return new Intl.DateTimeFormat('fr-CA', {
+    timeZone: config.TIMEZONE,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).format(date);
+}
+
+/**
+ * Format a local day for keyboards (e.g. "sam. 12")
+ */
+function formatDay(day) {
+  return new Intl.DateTimeFormat('fr-CA', {
+    timeZone: config.TIMEZONE,
+    weekday: 'short',
+    day: 'numeric',
+  }).format(atLocalTime(day, '12:00'));
+}
+
+/**
+ * Posting times offered for a day, skipping those already past
+ * @param {number} offset - Days from today
+ * @returns {Array<Date>}
+ */
+function getDayTimes(offset) {
+  const day = addDays(offset);
+  const times = [];
+
+  for (let hour = 7; hour <= 21; hour++) {
+    const slot = atLocalTime(day, `${String(hour).padStart(2, '0')}:00`);
+    if (slot.getTime() - Date.now() >= MIN_LEAD_MS) {
+      times.push(slot);
+    }
+  }
+
+  return times;
+}
+
+/**
+ * Check a requested publish time is usable
+ */
+function isValidSlot(date) {
+  return !isNaN(date.getTime()) && date.getTime() - Date.now() >= MIN_LEAD_MS / 3;
+}
+
+/**
+ * Add an approved post to the queue
+ * The item is self-contained: the session may expire before it's due.
+ * @param {Object} content - Approved session content
+ * @param {string} contentId - Session ID
+ * @param {Date} scheduledAt - When to publish
+ * @returns {Promise<Object>} Queue item
+ */
+async function schedulePost(content, contentId, scheduledAt) {
+  const profile = await getProfile(content.userId);
+  const id = uuidv4().substring(0, 8);
+  const imageUrl = approvedImageUrl(content);
+
+  const item = {
+    id,
+    contentId,
+    userId: content.userId,
+    chatId: content.chatId,
+    imageUrl,
+    // The photo as approved, for reminders
+    imageFileId: content.approvedFileId || null,
+    caption: content.caption,
+    hashtags: content.hashtags,
+    theme: content.theme,
+    platforms: content.platforms || ['instagram'],
+    mode: getPublishingAccount(profile) && imageUrl ? 'publish' : 'remind',
+    scheduledAt: scheduledAt.toISOString(),
+    status: ITEM_STATES.SCHEDULED,
+    createdAt: new Date().toISOString(),
+  };
+
+  await queue.set(id, item);
+  logUserAction(content.userId, 'post_scheduled', { contentId, itemId: id, scheduledAt: item.scheduledAt });
+
+  return item;
+}
+
+/**
+ * List some users' queue items, soonest first
+ * @param {string[]} userIds - Authors (a user, or every member of their team)
+ * @param {boolean} [pendingOnly] - Only items still waiting to go out
+ */
+async function listQueue(userIds, pendingOnly = true) {
+  const items = (await queue.entries())
+    .map(([, item]) => item)
+    .filter(item => userIds.includes(String(item.userId)))
+    .filter(item => !pendingOnly || item.status === ITEM_STATES.SCHEDULED);
+
+  return items.sort((a, b) => a.scheduledAt.localeCompare(b.scheduledAt));
+}
+
+/**
+ * Get a queue item by ID
+ */
+async function getQueueItem(itemId) {
+  return queue.get(itemId);
+}
+
+/**
+ * Move a scheduled item to a new time
+ * @returns {Promise<Object|null>} Updated item, or null if it can't be moved
+ */
+async function reschedulePost(itemId, scheduledAt) {
+  const item = await queue.get(itemId);
+  if (!item || item.status !== ITEM_STATES.SCHEDULED) return null;
+
+  const updated = { ...item, scheduledAt: scheduledAt.toISOString() };
+  await queue.set(itemId, updated);
+  logUserAction(item.userId, 'post_rescheduled', { itemId, scheduledAt: updated.scheduledAt });
+
+  return updated;
+}
+
+/**
+ * Cancel a scheduled item
+ * @returns {Promise<boolean>} True if the item was cancelled
+ */
+async function cancelPost(itemId) {
+  const item = await queue.get(itemId);
+  if (!item || item.status !== ITEM_STATES.SCHEDULED) return false;
+
+  await queue.set(itemId, { ...item, status: ITEM_STATES.CANCELLED }, DONE_TTL_MS);
+  logUserAction(item.userId, 'post_cancelled', { itemId });
+
+  return true;
+}
+
+/**
+ * Caption followed by its hashtags, as posted
+ */
+function fullCaption(item) {
+  const hashtags = Array.isArray(item.hashtags) ? item.hashtags.join(' ') : (item.hashtags || '');
+  return `${item.caption || ''}\n\n${hashtags}`;
+}
+
+/**
+ * Publish (or remind about) one due item
+ * @param {Object} telegram - Telegraf telegram client
+ */
+async function processDueItem(telegram, dueItem) {
+  // The list of due items may be stale: only claim what is still waiting
+  const item = await queue.get(dueItem.id);
+  if (!item || item.status !== ITEM_STATES.SCHEDULED) return;
+
+  // Claim the item first so a slow publish isn't picked up twice
+  await queue.set(item.id, { ...item, status: ITEM_STATES.SENDING });
+
+  const caption = fullCaption(item);
+
+  if (item.mode === 'publish') {
+    const profile = await getProfile(item.userId);
+    const result = await publishPost({
+      imageUrl: item.imageUrl,
+      caption,
+      platforms: item.platforms,
+      profile,
+    });
+
+    const published = result.results.filter(r => r.success);
+
+    if (published.length > 0) {
+      await queue.set(item.id, {
+        ...item,
+        status: ITEM_STATES.PUBLISHED,
+        publishedAt: new Date().toISOString(),
+        permalinks: Object.fromEntries(published.map(r => [r.platform, r.permalink])),
+      }, DONE_TTL_MS);
+
+      updateRecord(item.contentId, { status: 'posted', permalink: published[0].permalink })
+        .catch(err => logger.warn('Content log update failed', { error: err.message }));
+
+      await telegram.sendMessage(
+        item.chatId,
+        '🚀 Post programmé publié!\n\n' +
+        published.map(r => `✅ ${r.platform}: ${r.permalink}`).join('\n')
+      );
+      return;
+    }
+
+    logger.warn('Scheduled publish failed, sending reminder instead', {
+      itemId: item.id,
+      errors: result.results.map(r => r.error),
+    });
+  }
+
+  // Reminder: send everything needed to post by hand
+  await telegram.sendPhoto(item.chatId, item.imageFileId || { url: item.imageUrl }, {
+    caption: `⏰ C'est l'heure de poster!\n\n${caption}`.substring(0, 1024),
+  });
+
+  await queue.set(item.id, {
+    ...item,
+    status: item.mode === 'publish' ? ITEM_STATES.FAILED : ITEM_STATES.REMINDED,
+    sentAt: new Date().toISOString(),
+  }, DONE_TTL_MS);
+}
+
+/**
+ * Check the queue once and handle every due item
+ * @param {Object} telegram - Telegraf telegram client
+ */
+async function runSchedulerTick(telegram) {
+  const now = new Date().toISOString();
+  const due = (await queue.entries())
+    .map(([, item]) => item)
+    .filter(item => item.status === ITEM_STATES.SCHEDULED && item.scheduledAt <= now);
+
+  for (const item of due) {
+    try {
+      await processDueItem(telegram, item);
+    } catch (error) {
+      logger.error('Scheduled post failed', { itemId: item.id, error: error.message });
+      await queue.set(item.id, { ...item, status: ITEM_STATES.FAILED, error: error.message }, DONE_TTL_MS);
+    }
+  }
+}
+
+/**
+ * Start the in-process scheduler loop
+ * Items left in "sending" by a crash are retried on startup.
+ * @param {Object} telegram - Telegraf telegram client
+ */
+async function startScheduler(telegram) {
+  if (schedulerTimer) return;
+
+  for (const [id, item] of await queue.entries()) {
+    if (item.status === ITEM_STATES.SENDING) {
+      await queue.set(id, { ...item, status: ITEM_STATES.SCHEDULED });
+    }
+  }
+
+  // A publish can outlast the interval: skip ticks while the previous one runs
+  const tick = () => {
+    if (tickRunning) return;
+    tickRunning = true;
+
+    runSchedulerTick(telegram)
+      .catch(err => logger.error('Scheduler tick failed', { error: err.message }))
+      .finally(() => { tickRunning = false; });
+  };
+
+  schedulerTimer = setInterval(tick, config.SCHEDULER_INTERVAL_MS);
+  tick();
+
+  logger.info('Scheduler started', { intervalMs: config.SCHEDULER_INTERVAL_MS });
+}
+
+/**
+ * Stop the scheduler loop
+ */
+function stopScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = {
+  ITEM_STATES,
+  suggestSlots,
+  addDays,
+  atLocalTime,
+  formatSlot,
+  formatDay,
+  getDayTimes,
+  isValidSlot,
+  schedulePost,
+  listQueue,
+  getQueueItem,
+  reschedulePost,
+  cancelPost,
+  startScheduler,
+  stopScheduler,
+};
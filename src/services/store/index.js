@@ -0,0 +1,67 @@
+/**
+ * Persistent Store
+ * Pluggable key-value storage with TTL expiry, selected by STORE_BACKEND
+ *
+ * Every store exposes the same async interface:
+ *   get(key), set(key, value, ttlMs?), delete(key), entries(), purgeExpired(), close()
+ */
+
+const { config } = require('../../utils/config');
+const { logger } = require('../../utils/logger');
+const { createMemoryStore } = require('./memory');
+
+const BACKENDS = {
+  memory: () => createMemoryStore,
+  sqlite: () => require('./sqlite').createSqliteStore,
+  redis: () => require('./redis').createRedisStore,
+};
+
+// namespace -> store instance
+const stores = new Map();
+
+/**
+ * Get the store for a namespace
+ * @param {string} namespace - Logical collection name (sessions, profiles, ...)
+ * @returns {Object} Store with the async interface described above
+ */
+function getStore(namespace) {
+  if (stores.has(namespace)) {
+    return stores.get(namespace);
+  }
+
+  const backend = BACKENDS[config.STORE_BACKEND] ? config.STORE_BACKEND : 'memory';
+
+  if (backend !== config.STORE_BACKEND) {
+    logger.warn(`Unknown STORE_BACKEND "${config.STORE_BACKEND}", using memory`);
+  }
+
+  let store;
+  try {
+    store = BACKENDS[backend]()(namespace);
+  } catch (error) {
+    // Never take the bot down because persistence is misconfigured
+    logger.error(`Failed to open ${backend} store, falling back to memory`, {
+      namespace,
+      error: error.message,
+    });
+    store = createMemoryStore(namespace);
+  }
+
+  stores.set(namespace, store);
+  return store;
+}
+
+/**
+ * Close all open stores (graceful shutdown)
+ */
+async function closeStores() {
+  for (const store of stores.values()) {
+    await store.close();
+  }
+  stores.clear();
+}
+
+module.exports = {
+  getStore,
+  closeStores,
+};
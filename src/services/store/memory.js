@@ -0,0 +1,86 @@
+/**
+ * In-Memory Store Backend
+ * Process-local storage, lost on restart (development and tests)
+ */
+
+// namespace -> Map(key -> { value, expiresAt })
+const namespaces = new Map();
+
+/**
+ * Get (or create) the Map backing a namespace
+ */
+function getBucket(namespace) {
+  if (!namespaces.has(namespace)) {
+    namespaces.set(namespace, new Map());
+  }
+  return namespaces.get(namespace);
+}
+
+/**
+ * Check if a stored record is past its expiry
+ */
+function isExpired(record) {
+  return record.expiresAt !== null && record.expiresAt <= Date.now();
+}
+
+/**
+ * Create a memory-backed store for a namespace
+ * Values are serialized like the persistent backends, so callers can't
+ * rely on mutating an object without saving it back.
+ * @param {string} namespace - Logical collection name
+ */
+function createMemoryStore(namespace) {
+  const bucket = getBucket(namespace);
+
+  return {
+    async get(key) {
+      const record = bucket.get(key);
+      if (!record) return null;
+      if (isExpired(record)) {
+        bucket.delete(key);
+        return null;
+      }
+      return JSON.parse(record.value);
+    },
+
+    async set(key, value, ttlMs = null) {
+      bucket.set(key, {
+        value: JSON.stringify(value),
+        expiresAt: ttlMs ? Date.now() + ttlMs : null,
+      });
+    },
+
+    async delete(key) {
+      bucket.delete(key);
+    },
+
+    async entries() {
+      const result = [];
+      for (const [key, record] of bucket.entries()) {
+        if (isExpired(record)) {
+          bucket.delete(key);
+          continue;
+        }
+        result.push([key, JSON.parse(record.value)]);
+      }
+      return result;
+    },
+
+    async purgeExpired() {
+      let purged = 0;
+      for (const [key, record] of bucket.entries()) {
+        if (isExpired(record)) {
+          bucket.delete(key);
+          purged++;
+        }
+      }
+      return purged;
+    },
+
+    async close() {},
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+};
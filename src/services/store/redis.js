@@ -0,0 +1,100 @@
+/**
+ * Redis Store Backend
+ * Works with any Redis-protocol server (Redis, KeyDB, Upstash, Railway Redis)
+ */
+
+const { config } = require('../../utils/config');
+const { logger } = require('../../utils/logger');
+
+const KEY_PREFIX = 'wwithai:';
+
+// Shared client for every namespace
+let client = null;
+
+/**
+ * Connect to the server named by REDIS_URL
+ */
+function getClient() {
+  if (client) return client;
+
+  // Loaded lazily so memory/sqlite deployments don't need the package
+  const Redis = require('ioredis');
+
+  client = new Redis(config.REDIS_URL, {
+    keyPrefix: KEY_PREFIX,
+    maxRetriesPerRequest: 3,
+  });
+
+  client.on('error', (error) => {
+    logger.error('Redis store error', { error: error.message });
+  });
+
+  logger.info('Redis store connected', { url: config.REDIS_URL.replace(/\/\/.*@/, '//***@') });
+  return client;
+}
+
+/**
+ * Create a Redis-backed store for a namespace
+ * Expiry is delegated to Redis itself (PX on SET).
+ * @param {string} namespace - Logical collection name
+ */
+function createRedisStore(namespace) {
+  const redis = getClient();
+  const toKey = (key) => `${namespace}:${key}`;
+
+  return {
+    async get(key) {
+      const value = await redis.get(toKey(key));
+      return value ? JSON.parse(value) : null;
+    },
+
+    async set(key, value, ttlMs = null) {
+      if (ttlMs) {
+        await redis.set(toKey(key), JSON.stringify(value), 'PX', ttlMs);
+      } else {
+        await redis.set(toKey(key), JSON.stringify(value));
+      }
+    },
+
+    async delete(key) {
+      await redis.del(toKey(key));
+    },
+
+    async entries() {
+      // SCAN ignores keyPrefix, so match on the full key and strip it back
+      const fullPrefix = `${KEY_PREFIX}${namespace}:`;
+      const keys = [];
+      let cursor = '0';
+
+      do {
+        const [next, batch] = await redis.scan(cursor, 'MATCH', `${fullPrefix}*`, 'COUNT', 100);
+        cursor = next;
+        keys.push(...batch.map(k => k.substring(fullPrefix.length)));
+      } while (cursor !== '0');
+
+      if (keys.length === 0) return [];
+
+      const values = await redis.mget(keys.map(toKey));
+      return keys
+        .map((key, i) => [key, values[i]])
+        .filter(([, value]) => value !== null)
+        .map(([key, value]) => [key, JSON.parse(value)]);
+    },
+
+    async purgeExpired() {
+      // Redis expires keys on its own
+      return 0;
+    },
+
+    async close() {
+      if (client) {
+        await client.quit();
+        client = null;
+      }
+    },
+  };
+}
+
+module.exports = {
+  createRedisStore,
+};
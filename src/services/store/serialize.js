@@ -0,0 +1,45 @@
+/**
+ * Per-Key Serializer
+ * Store updates are get → change → set: two of them on the same key at once
+ * would overwrite each other. Tasks queued for a key run one at a time, in order.
+ */
+
+/**
+ * Create a serializer with its own queues
+ * @returns {Object} { serialize(key, task), isBusy(key) }
+ */
+function createSerializer() {
+  // key -> tail of its chain
+  const chains = new Map();
+
+  /**
+   * Run a task after the ones already queued for a key
+   * @param {string} key - What the task updates (store key, record ID...)
+   * @param {Function} task - Async function
+   * @returns {Promise} The task's result
+   */
+  function serialize(key, task) {
+    const run = (chains.get(key) || Promise.resolve()).then(task);
+    const tail = run.catch(() => {});
+
+    chains.set(key, tail);
+    tail.then(() => {
+      if (chains.get(key) === tail) chains.delete(key);
+    });
+
+    return run;
+  }
+
+  /**
+   * Whether tasks are queued or running for a key
+   */
+  function isBusy(key) {
+    return chains.has(key);
+  }
+
+  return { serialize, isBusy };
+}
+
+module.exports = {
+  createSerializer,
+};
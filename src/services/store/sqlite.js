@@ -0,0 +1,100 @@
+/**
+ * SQLite Store Backend
+ * Persists records in a single local database file (survives restarts)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../../utils/config');
+const { logger } = require('../../utils/logger');
+
+// Shared connection for every namespace
+let db = null;
+
+/**
+ * Open the database file and create the key-value table
+ */
+function getDatabase() {
+  if (db) return db;
+
+  // Loaded lazily so memory/redis deployments don't need the native module
+  const Database = require('better-sqlite3');
+
+  fs.mkdirSync(path.dirname(config.STORE_PATH), { recursive: true });
+  db = new Database(config.STORE_PATH);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS kv (
+      namespace TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      expires_at INTEGER,
+      PRIMARY KEY (namespace, key)
+    );
+    CREATE INDEX IF NOT EXISTS kv_expires_at ON kv (expires_at);
+  `);
+
+  logger.info('SQLite store opened', { path: config.STORE_PATH });
+  return db;
+}
+
+/**
+ * Create a SQLite-backed store for a namespace
+ * @param {string} namespace - Logical collection name
+ */
+function createSqliteStore(namespace) {
+  const database = getDatabase();
+
+  const statements = {
+    get: database.prepare(
+      'SELECT value FROM kv WHERE namespace = ? AND key = ? AND (expires_at IS NULL OR expires_at > ?)'
+    ),
+    set: database.prepare(
+      'INSERT OR REPLACE INTO kv (namespace, key, value, expires_at) VALUES (?, ?, ?, ?)'
+    ),
+    delete: database.prepare('DELETE FROM kv WHERE namespace = ? AND key = ?'),
+    entries: database.prepare(
+      'SELECT key, value FROM kv WHERE namespace = ? AND (expires_at IS NULL OR expires_at > ?)'
+    ),
+    purge: database.prepare(
+      'DELETE FROM kv WHERE namespace = ? AND expires_at IS NOT NULL AND expires_at <= ?'
+    ),
+  };
+
+  return {
+    async get(key) {
+      const row = statements.get.get(namespace, key, Date.now());
+      return row ? JSON.parse(row.value) : null;
+    },
+
+    async set(key, value, ttlMs = null) {
+      const expiresAt = ttlMs ? Date.now() + ttlMs : null;
+      statements.set.run(namespace, key, JSON.stringify(value), expiresAt);
+    },
+
+    async delete(key) {
+      statements.delete.run(namespace, key);
+    },
+
+    async entries() {
+      return statements.entries
+        .all(namespace, Date.now())
+        .map(row => [row.key, JSON.parse(row.value)]);
+    },
+
+    async purgeExpired() {
+      return statements.purge.run(namespace, Date.now()).changes;
+    },
+
+    async close() {
+      if (db) {
+        db.close();
+        db = null;
+      }
+    },
+  };
+}
+
+module.exports = {
+  createSqliteStore,
+};
@@ -0,0 +1,282 @@
+/**
+ * Teams Service
+ * Restaurant workspaces shared by several Telegram users. The owner's account
+ * is the workspace: members use its restaurant profile, plan and quotas.
+ * Members join with an invite code (a /start deep link) and have a role:
+ * contributor (sends photos), approver (approves posts) or admin (also manages the team).
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getStore } = require('./store');
+const { createSerializer } = require('./store/serialize');
+const { logger } = require('../utils/logger');
+
+// Keys: team:<id>, member:<userId> (-> team ID), invite:<code>
+const teams = getStore('teams');
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Changes to one team's members run one at a time (several people joining from one invite)
+const { serialize } = createSerializer();
+
+const ROLES = {
+  contributor: { label: 'Contributeur', canApprove: false, canEditProfile: false, canManage: false },
+  approver: { label: 'Approbateur', canApprove: true, canEditProfile: true, canManage: false },
+  admin: { label: 'Admin', canApprove: true, canEditProfile: true, canManage: true },
+};
+
+/**
+ * Get a team by ID
+ */
+async function getTeam(teamId) {
+  return (await teams.get(`team:${teamId}`)) || null;
+}
+
+/**
+ * Save a team
+ */
+async function saveTeam(team) {
+  await teams.set(`team:${team.id}`, team);
+}
+
+/**
+ * A user's team and role
+ * @param {string|number} userId - Telegram user ID
+ * @returns {Promise<Object|null>} { team, role } or null for a user on their own
+ */
+async function getMembership(userId) {
+  const teamId = await teams.get(`member:${userId}`);
+  if (!teamId) return null;
+
+  const team = await getTeam(teamId);
+  const member = team?.members[String(userId)];
+  if (!member) return null;
+
+  return { team, role: member.role };
+}
+
+/**
+ * Account whose profile, plan and quotas a user works with: the team owner's, or their own
+ * @param {string|number} userId - Telegram user ID
+ * @returns {Promise<string>}
+ */
+async function getWorkspaceId(userId) {
+  const membership = await getMembership(userId);
+  return membership ? membership.team.ownerId : String(userId);
+}
+
+/**
+ * Create a team owned by a user (who becomes its admin)
+ * @param {string|number} userId - Telegram user ID
+ * @param {Object} params
+ * @param {string} params.name - Team name, usually the restaurant's
+ * @param {string} params.memberName - How the owner is shown to the others
+ * @returns {Promise<Object>} { success, team?, error? }
+ */
+async function createTeam(userId, { name, memberName }) {
+  if (await getMembership(userId)) {
+    return { success: false, error: 'already_member' };
+  }
+
+  const team = {
+    id: uuidv4().substring(0, 8),
+    name,
+    ownerId: String(userId),
+    members: {
+      [String(userId)]: { role: 'admin', name: memberName, joinedAt: new Date().toISOString() },
+    },
+    createdAt: new Date().toISOString(),
+  };
+
+  await saveTeam(team);
+  await teams.set(`member:${userId}`, team.id);
+  logger.info('Team created', { teamId: team.id, userId });
+
+  return { success: true, team };
+}
+
+/**
+ * Create an invite code for a role
+ * @param {string|number} userId - Admin creating the invite
+ * @param {string} role - Role given to whoever joins with it
+ * @returns {Promise<Object>} { success, code?, error? }
+ */
+async function createInvite(userId, role) {
+  const membership = await getMembership(userId);
+  if (!membership || !ROLES[membership.role].canManage) {
+    return { success: false, error: 'not_admin' };
+  }
+  if (!ROLES[role]) {
+    return { success: false, error: 'unknown_role' };
+  }
+
+  const code = crypto.randomBytes(8).toString('hex');
+  await teams.set(`invite:${code}`, {
+    teamId: membership.team.id,
+    role,
+    createdBy: String(userId),
+    createdAt: new Date().toISOString(),
+  }, INVITE_TTL_MS);
+
+  logger.info('Team invite created', { teamId: membership.team.id, role, userId });
+  return { success: true, code };
+}
+
+/**
+ * Join a team with an invite code
+ * @param {string|number} userId - Telegram user ID
+ * @param {string} code - Invite code from the deep link
+ * @param {string} memberName - How the new member is shown to the others
+ * @returns {Promise<Object>} { success, team?, role?, error? }
+ *   error: invalid_invite | already_member (same team) | other_team
+ */
+async function joinTeam(userId, code, memberName) {
+  const invite = await teams.get(`invite:${code}`);
+  if (!invite) {
+    return { success: false, error: 'invalid_invite' };
+  }
+
+  return serialize(invite.teamId, async () => {
+    const team = await getTeam(invite.teamId);
+    if (!team) {
+      return { success: false, error: 'invalid_invite' };
+    }
+
+    const membership = await getMembership(userId);
+    if (membership) {
+      return {
+        success: false,
+        team: membership.team,
+        role: membership.role,
+        error: membership.team.id === team.id ? 'already_member' : 'other_team',
+      };
+    }
+
+    team.members[String(userId)] = { role: invite.role, name: memberName, joinedAt: new Date().toISOString() };
+    await saveTeam(team);
+    await teams.set(`member:${userId}`, team.id);
+
+    logger.info('Team member joined', { teamId: team.id, userId, role: invite.role });
+    return { success: true, team, role: invite.role };
+  });
+}
+
+/**
+ * Change a member's role (admins only, the owner stays admin)
+ * @returns {Promise<Object>} { success, team?, error? }
+ */
+async function setRole(adminId, memberId, role) {
+  const teamId = await teams.get(`member:${adminId}`);
+  if (!teamId) {
+    return { success: false, error: 'not_admin' };
+  }
+
+  return serialize(teamId, async () => {
+    // Read inside the queue: the team may have changed while waiting
+    const membership = await getMembership(adminId);
+    if (!membership || !ROLES[membership.role].canManage) {
+      return { success: false, error: 'not_admin' };
+    }
+
+    const { team } = membership;
+    if (!team.members[String(memberId)] || !ROLES[role]) {
+      return { success: false, error: 'unknown_member' };
+    }
+    if (String(memberId) === team.ownerId) {
+      return { success: false, error: 'owner' };
+    }
+
+    team.members[String(memberId)].role = role;
+    await saveTeam(team);
+    logger.info('Team role changed', { teamId: team.id, memberId, role, by: adminId });
+
+    return { success: true, team };
+  });
+}
+
+/**
+ * Remove a member from a team: an admin removing someone, or a member leaving
+ * @param {string|number} byId - Who asks
+ * @param {string|number} memberId - Who leaves
+ * @returns {Promise<Object>} { success, team?, error? }
+ */
+async function removeMember(byId, memberId) {
+  const teamId = await teams.get(`member:${byId}`);
+  if (!teamId) {
+    return { success: false, error: 'not_member' };
+  }
+
+  return serialize(teamId, async () => {
+    const membership = await getMembership(byId);
+    if (!membership) {
+      return { success: false, error: 'not_member' };
+    }
+
+    const { team } = membership;
+    const leaving = String(byId) === String(memberId);
+    if (!leaving && !ROLES[membership.role].canManage) {
+      return { success: false, error: 'not_admin' };
+    }
+    if (!team.members[String(memberId)]) {
+      return { success: false, error: 'unknown_member' };
+    }
+    if (String(memberId) === team.ownerId) {
+      return { success: false, error: 'owner' };
+    }
+
+    delete team.members[String(memberId)];
+    await saveTeam(team);
+    await teams.delete(`member:${memberId}`);
+    logger.info(leaving ? 'Team member left' : 'Team member removed', { teamId: team.id, memberId, by: byId });
+
+    return { success: true, team };
+  });
+}
+
+/**
+ * Whether a user may approve a post made by another
+ * Posts of users without a team can only be approved by their author.
+ * @param {string|number} userId - Who taps Approve
+ * @param {string|number} authorId - Session owner
+ * @returns {Promise<boolean>}
+ */
+async function canApprove(userId, authorId) {
+  const authorTeam = await getMembership(authorId);
+  if (!authorTeam) return String(userId) === String(authorId);
+
+  const member = authorTeam.team.members[String(userId)];
+  return !!member && ROLES[member.role].canApprove;
+}
+
+/**
+ * Whether a user may change the restaurant profile (contributors can't change the team's)
+ */
+async function canEditProfile(userId) {
+  const membership = await getMembership(userId);
+  return !membership || ROLES[membership.role].canEditProfile;
+}
+
+/**
+ * Members who can approve posts, as [{ userId, role, name }]
+ */
+function getApprovers(team) {
+  return Object.entries(team.members)
+    .filter(([, member]) => ROLES[member.role].canApprove)
+    .map(([userId, member]) => ({ userId, ...member }));
+}
+
+module.exports = {
+  ROLES,
+  getTeam,
+  getMembership,
+  getWorkspaceId,
+  createTeam,
+  createInvite,
+  joinTeam,
+  setRole,
+  removeMember,
+  canApprove,
+  canEditProfile,
+  getApprovers,
+};
@@ -0,0 +1,330 @@
+/**
+ * Usage Service
+ * Monthly usage ledger per restaurant: posts and retries counted against the
+ * plan's allowances, plus the estimated cost of every provider call
+ * (vision analysis, image model, Claude captions and rewrites) for the margin report.
+ * Team members count against the owner's ledger (see services/teams).
+ */
+
+const { getStore } = require('./store');
+const { createSerializer } = require('./store/serialize');
+const { getProfile, updateProfile } = require('./profiles');
+const { getWorkspaceId } = require('./teams');
+const { config } = require('../utils/config');
+const { logger } = require('../utils/logger');
+
+const ledger = getStore('usage');
+
+// Ledgers are kept a bit over a year for the reports
+const LEDGER_TTL_MS = 400 * 24 * 60 * 60 * 1000;
+
+// Changes to one ledger run one at a time (concurrent jobs of a restaurant)
+const { serialize } = createSerializer();
+
+// Estimated cost of one provider call, in USD
+const PROVIDER_COSTS = {
+  vision: 0.01, // GPT-4o dish analysis
+  image: 0.039, // fal.ai nano-banana edit, per image
+  caption: 0.006, // Claude caption
+};
+
+// Monthly allowances: a post is a first generation, a retry is any new image after it
+const PLANS = {
+  essai: { label: 'Essai', posts: 5, retries: 15, priceUsd: 0 },
+  starter: { label: 'Starter', posts: 30, retries: 90, priceUsd: 29 },
+  pro: { label: 'Pro', posts: 120, retries: 400, priceUsd: 79 },
+};
+
+/**
+ * Month of a date in the configured timezone, e.g. "2026-10"
+ */
+function monthKey(date = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: config.TIMEZONE,
+      year: 'numeric',
+      month: '2-digit',
+    }).formatToParts(date).map(p => [p.type, p.value])
+  );
+  return `${parts.year}-${parts.month}`;
+}
+
+/**
+ * Day the allowances of a month reset, e.g. "1er novembre"
+ */
+function formatResetDate(month) {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const next = new Date(Date.UTC(year, monthIndex, 1, 12));
+  return `1er ${new Intl.DateTimeFormat('fr-CA', { timeZone: 'UTC', month: 'long' }).format(next)}`;
+}
+
+/**
+ * Empty ledger for a user and month
+ */
+function emptyLedger(userId, month) {
+  return {
+    userId: String(userId),
+    month,
+    posts: 0,
+    retries: 0,
+    calls: { vision: 0, image: 0, caption: 0 },
+    costUsd: 0,
+    updatedAt: null,
+  };
+}
+
+/**
+ * Get the ledger a user's requests count against for a month
+ */
+async function getLedger(userId, month) {
+  const workspaceId = await getWorkspaceId(userId);
+  const stored = await ledger.get(`${workspaceId}:${month}`);
+  return stored || emptyLedger(workspaceId, month);
+}
+
+/**
+ * Change the ledger a user's requests count against for a month
+ * @param {Function} apply - Changes the entry in place; its return value is passed on
+ */
+async function updateLedger(userId, month, apply) {
+  const workspaceId = await getWorkspaceId(userId);
+  const key = `${workspaceId}:${month}`;
+
+  return serialize(key, async () => {
+    const entry = (await ledger.get(key)) || emptyLedger(workspaceId, month);
+    const result = apply(entry);
+
+    await ledger.set(key, { ...entry, updatedAt: new Date().toISOString() }, LEDGER_TTL_MS);
+    return result;
+  });
+}
+
+/**
+ * Plan of a user, DEFAULT_PLAN when none was set
+ * @param {string|number} userId - Telegram user ID
+ * @returns {Promise<Object>} { id, label, posts, retries, priceUsd }
+ */
+async function getPlan(userId) {
+  const { plan } = await getProfile(userId);
+  const id = PLANS[plan] ? plan : (PLANS[config.DEFAULT_PLAN] ? config.DEFAULT_PLAN : 'essai');
+  return { id, ...PLANS[id] };
+}
+
+/**
+ * Change a user's plan
+ * @param {string|number} userId - Telegram user ID
+ * @param {string} planId - Key of PLANS
+ * @returns {Promise<Object>} { success, plan?, error? }
+ */
+async function setPlan(userId, planId) {
+  if (!PLANS[planId]) {
+    return { success: false, error: `Unknown plan "${planId}" (${Object.keys(PLANS).join(', ')})` };
+  }
+
+  await updateProfile(userId, { plan: planId });
+  logger.info('Plan changed', { userId, plan: planId });
+
+  return { success: true, plan: { id: planId, ...PLANS[planId] } };
+}
+
+/**
+ * A user's consumption this month
+ * @param {string|number} userId - Telegram user ID
+ * @returns {Promise<Object>} { month, plan, posts, retries, calls, costUsd, resetsOn }
+ */
+async function getUsage(userId) {
+  const month = monthKey();
+  const [plan, entry] = await Promise.all([getPlan(userId), getLedger(userId, month)]);
+  return usageOf(plan, entry);
+}
+
+/**
+ * Consumption summary of a ledger entry
+ */
+function usageOf(plan, entry) {
+  return {
+    month: entry.month,
+    plan,
+    posts: entry.posts,
+    retries: entry.retries,
+    calls: entry.calls,
+    costUsd: entry.costUsd,
+    resetsOn: formatResetDate(entry.month),
+  };
+}
+
+/**
+ * Whether a request fits in what is left of the plan
+ */
+function quotaOf(usage, { posts = 0, retries = 0 }) {
+  let exceeded = null;
+  if (posts > 0 && usage.posts + posts > usage.plan.posts) exceeded = 'posts';
+  else if (retries > 0 && usage.retries + retries > usage.plan.retries) exceeded = 'retries';
+
+  return { ...usage, allowed: !exceeded, exceeded };
+}
+
+/**
+ * Check whether a user can still generate this month
+ * @param {string|number} userId - Telegram user ID
+ * @param {Object} amounts - { posts, retries } the request would use
+ * @returns {Promise<Object>} getUsage() plus { allowed, exceeded } (exceeded: 'posts' | 'retries' | null)
+ */
+async function checkQuota(userId, amounts) {
+  return quotaOf(await getUsage(userId), amounts);
+}
+
+/**
+ * Count a request against the user's allowances when it fits
+ * The check and the count happen together, so concurrent requests can't both take the last one.
+ * @param {string|number} userId - Telegram user ID
+ * @param {Object} amounts - { posts, retries }
+ * @returns {Promise<Object>} checkQuota() result; the ledger only changes when allowed
+ */
+async function consumeQuota(userId, amounts) {
+  const plan = await getPlan(userId);
+
+  const quota = await updateLedger(userId, monthKey(), (entry) => {
+    const result = quotaOf(usageOf(plan, entry), amounts);
+    if (result.allowed) {
+      entry.posts += amounts.posts || 0;
+      entry.retries += amounts.retries || 0;
+    }
+    return result;
+  });
+
+  if (!quota.allowed) {
+    logger.info('Quota exceeded', { userId, plan: quota.plan.id, exceeded: quota.exceeded });
+  }
+
+  return quota;
+}
+
+/**
+ * Give back what a failed or cancelled request used
+ * @param {string|number} userId - Telegram user ID
+ * @param {Object} amounts - { posts, retries, month } as consumed
+ */
+async function refundQuota(userId, { posts = 0, retries = 0, month = monthKey() }) {
+  await updateLedger(userId, month, (entry) => {
+    entry.posts = Math.max(entry.posts - posts, 0);
+    entry.retries = Math.max(entry.retries - retries, 0);
+  });
+}
+
+/**
+ * Provider calls made by a finished pipeline job
+ * Every run analyzes the dish once, edits each image and writes one caption.
+ * A failed run doesn't say where it stopped: it counts as a full one.
+ * @param {Object} job - The job (variants jobs request several images)
+ * @param {Object} [data] - Job result (variants jobs return data.variants)
+ * @returns {Object} { vision, image, caption }
+ */
+function estimateJobCalls(job, data = null) {
+  const failed = !data || data.success === false;
+  const images = failed
+    ? job.request?.variants?.length || 1
+    : (Array.isArray(data.variants) && data.variants.length > 0 ? data.variants.length : 1);
+
+  return { vision: 1, image: images, caption: 1 };
+}
+
+/**
+ * Add provider calls and their estimated cost to a user's ledger
+ * @param {string|number} userId - Telegram user ID
+ * @param {Object} calls - { vision?, image?, caption? }
+ * @param {string} [month] - Month the request was counted in
+ * @returns {Promise<number>} Estimated cost of these calls, in USD
+ */
+async function recordCosts(userId, calls, month = monthKey()) {
+  if (!Object.values(calls).some(Boolean)) return 0;
+
+  return updateLedger(userId, month, (entry) => {
+    let costUsd = 0;
+
+    for (const [provider, count] of Object.entries(calls)) {
+      if (!PROVIDER_COSTS[provider] || !count) continue;
+      entry.calls[provider] = (entry.calls[provider] || 0) + count;
+      costUsd += PROVIDER_COSTS[provider] * count;
+    }
+
+    entry.costUsd = Math.round((entry.costUsd + costUsd) * 10000) / 10000;
+    return costUsd;
+  });
+}
+
+/**
+ * Revenue, provider cost and margin per restaurant for a month
+ * @param {string} [month] - "YYYY-MM", defaults to the current month
+ * @returns {Promise<Object>} { month, rows, totals }, rows sorted from the lowest margin
+ */
+async function buildUsageReport(month = monthKey()) {
+  const rows = [];
+
+  for (const [, entry] of await ledger.entries()) {
+    if (entry.month !== month) continue;
+
+    const [profile, plan] = await Promise.all([getProfile(entry.userId), getPlan(entry.userId)]);
+    rows.push({
+      userId: entry.userId,
+      restaurant: profile.name || '(sans nom)',
+      plan: plan.id,
+      posts: entry.posts,
+      retries: entry.retries,
+      costUsd: entry.costUsd,
+      revenueUsd: plan.priceUsd,
+      marginUsd: Math.round((plan.priceUsd - entry.costUsd) * 100) / 100,
+    });
+  }
+
+  rows.sort((a, b) => a.marginUsd - b.marginUsd);
+
+  const totals = rows.reduce((sum, row) => ({
+    posts: sum.posts + row.posts,
+    retries: sum.retries + row.retries,
+    costUsd: sum.costUsd + row.costUsd,
+    revenueUsd: sum.revenueUsd + row.revenueUsd,
+    marginUsd: sum.marginUsd + row.marginUsd,
+  }), { posts: 0, retries: 0, costUsd: 0, revenueUsd: 0, marginUsd: 0 });
+
+  return { month, rows, totals };
+}
+
+/**
+ * Friendly message shown when a request goes over the plan
+ * @param {Object} quota - checkQuota() result
+ * @returns {string} Markdown message
+ */
+function formatQuotaExceeded(quota) {
+  const { plan, exceeded, resetsOn } = quota;
+  const used = exceeded === 'posts'
+    ? `tes ${plan.posts} posts du mois`
+    : `tes ${plan.retries} nouvelles tentatives du mois`;
+
+  return [
+    '🚫 *Limite du forfait atteinte*',
+    '',
+    `Tu as utilisé ${used} (forfait ${plan.label}).`,
+    `Ton quota repart à zéro le ${resetsOn}.`,
+    '',
+    '💬 Pour continuer d\'ici là, écris-nous à support@wwithai.com et on passe ton resto au forfait supérieur.',
+    '',
+    '_/usage pour voir ta consommation_',
+  ].join('\n');
+}
+
+module.exports = {
+  PLANS,
+  PROVIDER_COSTS,
+  monthKey,
+  getPlan,
+  setPlan,
+  getUsage,
+  checkQuota,
+  consumeQuota,
+  refundQuota,
+  estimateJobCalls,
+  recordCosts,
+  buildUsageReport,
+  formatQuotaExceeded,
+};
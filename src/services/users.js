@@ -0,0 +1,104 @@
+/**
+ * Users Service
+ * Every Telegram user who talked to the bot (for admin stats and broadcasts),
+ * and whether an operator blocked them
+ */
+
+const { getStore } = require('./store');
+const { logger } = require('../utils/logger');
+
+const users = getStore('users');
+
+// lastSeenAt is only rewritten when older than this, not on every update
+const SEEN_REFRESH_MS = 5 * 60 * 1000;
+
+/**
+ * Remember a user from an incoming update
+ * @param {Object} from - ctx.from
+ * @param {Object} [chat] - ctx.chat (private chat used for broadcasts)
+ * @returns {Promise<Object>} Stored user
+ */
+async function trackUser(from, chat) {
+  const key = String(from.id);
+  const stored = await users.get(key);
+  const now = new Date();
+  const privateChatId = chat?.type === 'private' ? chat.id : null;
+
+  if (stored &&
+      now - new Date(stored.lastSeenAt) < SEEN_REFRESH_MS &&
+      (!privateChatId || stored.chatId === privateChatId)) {
+    return stored;
+  }
+
+  const user = {
+    userId: key,
+    chatId: privateChatId || stored?.chatId || null,
+    firstName: from.first_name || null,
+    username: from.username || null,
+    firstSeenAt: stored?.firstSeenAt || now.toISOString(),
+    lastSeenAt: now.toISOString(),
+    blocked: stored?.blocked || null,
+  };
+  await users.set(key, user);
+
+  return user;
+}
+
+/**
+ * Get a known user
+ * @param {string|number} userId - Telegram user ID
+ * @returns {Promise<Object|null>}
+ */
+async function getUser(userId) {
+  return (await users.get(String(userId))) || null;
+}
+
+/**
+ * All known users
+ * @returns {Promise<Array>}
+ */
+async function listUsers() {
+  return (await users.entries()).map(([, user]) => user);
+}
+
+/**
+ * Whether a user was blocked by an operator
+ */
+async function isBlocked(userId) {
+  const user = await getUser(userId);
+  return !!user?.blocked;
+}
+
+/**
+ * Block or unblock a user
+ * @param {string|number} userId - Telegram user ID
+ * @param {boolean} blocked
+ * @param {string|number} by - Admin user ID
+ * @returns {Promise<Object>} Updated user
+ */
+async function setBlocked(userId, blocked, by) {
+  const key = String(userId);
+  const stored = await users.get(key);
+  const user = {
+    userId: key,
+    chatId: null,
+    firstName: null,
+    username: null,
+    firstSeenAt: null,
+    lastSeenAt: null,
+    ...(stored || {}),
+    blocked: blocked ? { at: new Date().toISOString(), by: String(by) } : null,
+  };
+  await users.set(key, user);
+
+  logger.info(blocked ? 'User blocked' : 'User unblocked', { userId: key, by });
+  return user;
+}
+
+module.exports = {
+  trackUser,
+  getUser,
+  listUsers,
+  isBlocked,
+  setBlocked,
+};
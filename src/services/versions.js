@@ -0,0 +1,114 @@
+/**
+ * Content Version History
+ * Ordered snapshots of a session's image attempts and caption versions
+ */
+
+const { getTheme, getAngle } = require('../prompts/themes');
+
+// Oldest versions are dropped past this size
+const MAX_VERSIONS = 20;
+
+const STYLE_LABELS = {
+  punchy: '🔥 Punchy',
+  chill: '😌 Chill',
+  short: '📝 Court',
+  detailed: '📖 Détaillé',
+  original: '↩️ Original',
+  custom: '✍️ Instruction',
+};
+
+/**
+ * Append a version to a session
+ * Call with the session as it will be saved (content merged with its updates).
+ * @param {Object} content - Session content, including the new image/caption
+ * @param {Object} source - { type: 'image' | 'caption', style? }
+ * @returns {Object} { versions, versionIndex } to merge into the session
+ */
+function addVersion(content, source) {
+  const version = {
+    type: source.type,
+    style: source.style || null,
+    attempt: content.attempts || 1,
+    enhancedUrl: content.enhancedUrl,
+    caption: content.caption,
+    originalCaption: content.originalCaption || content.caption,
+    hashtags: content.hashtags,
+    theme: content.theme,
+    angle: content.angle,
+    seed: content.seed ?? null, // With theme, angle and hint, enough to regenerate the image
+    changeHint: content.changeHint || null,
+    createdAt: new Date().toISOString(),
+  };
+
+  // Coming back to an identical version (same variant, original caption) reuses it
+  const existing = (content.versions || []).findIndex(v => isSameVersion(v, version));
+  if (existing !== -1) {
+    return { versions: content.versions, versionIndex: existing };
+  }
+
+  const versions = [...(content.versions || []), version].slice(-MAX_VERSIONS);
+
+  return { versions, versionIndex: versions.length - 1 };
+}
+
+/**
+ * Same image, caption and hashtags
+ */
+function isSameVersion(a, b) {
+  return a.enhancedUrl === b.enhancedUrl &&
+    a.caption === b.caption &&
+    JSON.stringify(a.hashtags) === JSON.stringify(b.hashtags);
+}
+
+/**
+ * Session fields to restore a version
+ * @returns {Object|null} Updates to merge into the session, null if out of range
+ */
+function restoreVersion(content, index) {
+  const version = content.versions?.[index];
+  if (!version) return null;
+
+  return {
+    enhancedUrl: version.enhancedUrl,
+    caption: version.caption,
+    originalCaption: version.originalCaption,
+    hashtags: version.hashtags,
+    theme: version.theme,
+    angle: version.angle,
+    seed: version.seed,
+    changeHint: version.changeHint || null,
+    versionIndex: index,
+  };
+}
+
+/**
+ * Navigation state for keyboards
+ * @returns {Object|null} { index, total }, null when there is nothing to navigate
+ */
+function versionNav(content) {
+  const total = content?.versions?.length || 0;
+  if (total < 2) return null;
+
+  const index = content.versionIndex ?? total - 1;
+  return { index, total };
+}
+
+/**
+ * One-line description of a version
+ */
+function describeVersion(version, index, total) {
+  const what = version.type === 'caption'
+    ? `Caption ${STYLE_LABELS[version.style] || version.style || ''}`.trim()
+    : `🖼️ Image (tentative ${version.attempt})`;
+  const theme = getTheme(version.theme);
+
+  return `Version ${index + 1}/${total} · ${what} · ${theme.emoji} ${theme.label} · ${getAngle(version.angle).label}`;
+}
+
+module.exports = {
+  MAX_VERSIONS,
+  addVersion,
+  restoreVersion,
+  versionNav,
+  describeVersion,
+};
@@ -65,25 +65,98 @@ const config = {
   ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY || fileEnv.ANTHROPIC_API_KEY,
   FAL_API_KEY: process.env.FAL_API_KEY || fileEnv.FAL_API_KEY,
 
+  // Caption rewrites (claude | n8n)
+  CAPTION_REWRITE_BACKEND: process.env.CAPTION_REWRITE_BACKEND || fileEnv.CAPTION_REWRITE_BACKEND || 'claude',
+  CLAUDE_MODEL: process.env.CLAUDE_MODEL || fileEnv.CLAUDE_MODEL || 'claude-3-5-sonnet-20241022',
+
   // n8n
   N8N_API_KEY: process.env.N8N_API_KEY || fileEnv.N8N_API_KEY,
   N8N_URL: process.env.N8N_URL || fileEnv.N8N_URL || 'https://hanumet.app.n8n.cloud',
   N8N_WEBHOOK_PATH: '/webhook/content-engine',
+  N8N_CAPTION_WEBHOOK_PATH: '/webhook/caption-rewrite',
+
+  // Image pipeline (n8n | local). In n8n mode the bot runs the local pipeline
+  // while the n8n health check fails.
+  PIPELINE_MODE: process.env.PIPELINE_MODE || fileEnv.PIPELINE_MODE || 'n8n',
+  N8N_HEALTH_CACHE_MS: 60000, // Re-check n8n at most once a minute
+
+  // Pipeline jobs: n8n acknowledges right away and posts the result to
+  // PUBLIC_URL/jobs/:id/result. Without a public URL the bot waits on the webhook.
+  PUBLIC_URL: process.env.PUBLIC_URL || fileEnv.PUBLIC_URL ||
+    (process.env.RAILWAY_PUBLIC_DOMAIN ? `https://${process.env.RAILWAY_PUBLIC_DOMAIN}` : null),
+  JOB_TIMEOUT_MS: parseInt(process.env.JOB_TIMEOUT_MS || fileEnv.JOB_TIMEOUT_MS || '300000', 10), // 5 minutes
+  JOB_SWEEP_INTERVAL_MS: 30000,
+
+  // Job queue: images generated at once, overall and per user
+  MAX_CONCURRENT_JOBS: parseInt(process.env.MAX_CONCURRENT_JOBS || fileEnv.MAX_CONCURRENT_JOBS || '3', 10),
+  MAX_JOBS_PER_USER: parseInt(process.env.MAX_JOBS_PER_USER || fileEnv.MAX_JOBS_PER_USER || '1', 10),
+
+  // Usage plan of restaurants that were never given one (essai | starter | pro)
+  DEFAULT_PLAN: process.env.DEFAULT_PLAN || fileEnv.DEFAULT_PLAN || 'essai',
+
+  // Content log: a local record is always kept, then written to these sinks in order
+  // (jsonl | notion | airtable | sheets, comma-separated)
+  CONTENT_LOG_SINKS: (process.env.CONTENT_LOG_SINKS || fileEnv.CONTENT_LOG_SINKS || 'notion')
+    .split(',').map(sink => sink.trim().toLowerCase()).filter(Boolean),
+  CONTENT_LOG_JSONL_PATH: process.env.CONTENT_LOG_JSONL_PATH || fileEnv.CONTENT_LOG_JSONL_PATH ||
+    path.join(process.cwd(), 'data', 'content-log.jsonl'),
 
   // Notion
   NOTION_API_KEY: process.env.NOTION_API_KEY || fileEnv.NOTION_API_KEY,
   NOTION_DATABASE_ID: process.env.NOTION_DATABASE_ID || fileEnv.NOTION_DATABASE_ID,
 
+  // Airtable
+  AIRTABLE_API_KEY: process.env.AIRTABLE_API_KEY || fileEnv.AIRTABLE_API_KEY,
+  AIRTABLE_BASE_ID: process.env.AIRTABLE_BASE_ID || fileEnv.AIRTABLE_BASE_ID,
+  AIRTABLE_TABLE: process.env.AIRTABLE_TABLE || fileEnv.AIRTABLE_TABLE || 'Content Log',
+
+  // Google Sheets (service account with edit access to the spreadsheet)
+  GOOGLE_SHEETS_ID: process.env.GOOGLE_SHEETS_ID || fileEnv.GOOGLE_SHEETS_ID,
+  GOOGLE_SHEETS_TAB: process.env.GOOGLE_SHEETS_TAB || fileEnv.GOOGLE_SHEETS_TAB || 'Content Log',
+  GOOGLE_SERVICE_ACCOUNT_EMAIL: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL || fileEnv.GOOGLE_SERVICE_ACCOUNT_EMAIL,
+  GOOGLE_PRIVATE_KEY: (process.env.GOOGLE_PRIVATE_KEY || fileEnv.GOOGLE_PRIVATE_KEY || '').replace(/\\n/g, '\n'),
+
+  // Meta Graph API (Instagram/Facebook publishing)
+  META_GRAPH_URL: process.env.META_GRAPH_URL || fileEnv.META_GRAPH_URL || 'https://graph.facebook.com/v19.0',
+  META_ACCESS_TOKEN: process.env.META_ACCESS_TOKEN || fileEnv.META_ACCESS_TOKEN,
+  META_IG_USER_ID: process.env.META_IG_USER_ID || fileEnv.META_IG_USER_ID,
+  META_PAGE_ID: process.env.META_PAGE_ID || fileEnv.META_PAGE_ID,
+  // Only this workspace (team owner's user ID) publishes with the account above
+  META_WORKSPACE_ID: process.env.META_WORKSPACE_ID || fileEnv.META_WORKSPACE_ID,
+
   // GitHub
   GITHUB_TOKEN: process.env.GITHUB_TOKEN || fileEnv.GITHUB_TOKEN,
 
+  // Persistence (memory | sqlite | redis)
+  STORE_BACKEND: process.env.STORE_BACKEND || fileEnv.STORE_BACKEND || 'sqlite',
+  STORE_PATH: process.env.STORE_PATH || fileEnv.STORE_PATH || path.join(process.cwd(), 'data', 'wwithai.db'),
+  REDIS_URL: process.env.REDIS_URL || fileEnv.REDIS_URL || 'redis://localhost:6379',
+
+  // Scheduling
+  TIMEZONE: process.env.TIMEZONE || fileEnv.TIMEZONE || 'America/Toronto',
+  SCHEDULER_INTERVAL_MS: 30000, // Check the posting queue every 30 seconds
+
+  // Telegram user IDs allowed to use /admin (comma-separated)
+  ADMIN_USER_IDS: (process.env.ADMIN_USER_IDS || fileEnv.ADMIN_USER_IDS || '')
+    .split(',').map(id => id.trim()).filter(Boolean),
+
+  // Bearer token required by GET /metrics on the health server (always 401 when empty)
+  METRICS_TOKEN: process.env.METRICS_TOKEN || fileEnv.METRICS_TOKEN,
+
   // App Settings
   DEBUG: process.env.DEBUG === 'true',
   DEMO_MODE: process.env.DEMO_MODE === 'true',
 
   // Timeouts (in ms)
   PROCESSING_TIMEOUT: 120000, // 2 minutes for full pipeline
-  WEBHOOK_TIMEOUT: 90000,    // 90 seconds for webhook response
+  WEBHOOK_TIMEOUT: 90000,    // 90 seconds for webhook response (no PUBLIC_URL)
+  JOB_SUBMIT_TIMEOUT: 15000, // n8n only has to acknowledge the job
+
+  // Multi-variant generation (images per n8n call)
+  MAX_VARIANTS: 4,
+
+  // Session expiry (in ms), refreshed on every update
+  SESSION_TTL_MS: parseInt(process.env.SESSION_TTL_MS || fileEnv.SESSION_TTL_MS || '86400000', 10), // 24 hours
 };
 
 /**
@@ -108,6 +181,9 @@ function validateConfig() {
   console.log('✅ Configuration loaded:');
   console.log(`   TELEGRAM_BOT_TOKEN: ${config.TELEGRAM_BOT_TOKEN ? '***' + config.TELEGRAM_BOT_TOKEN.slice(-4) : 'NOT SET'}`);
   console.log(`   N8N_URL: ${config.N8N_URL}`);
+  console.log(`   PIPELINE_MODE: ${config.PIPELINE_MODE}`);
+  console.log(`   PUBLIC_URL: ${config.PUBLIC_URL || 'NOT SET (blocking webhook)'}`);
+  console.log(`   STORE_BACKEND: ${config.STORE_BACKEND}`);
 
   return true;
 }
@@ -3,9 +3,13 @@
  * Uses Winston for production-grade logging
  */
 
+const { EventEmitter } = require('events');
 const winston = require('winston');
 const { config } = require('./config');
 
+// Structured copies of user actions and API calls (see services/analytics.js)
+const logEvents = new EventEmitter();
+
 // Custom format for console output
 const consoleFormat = winston.format.printf(({ level, message, timestamp, ...meta }) => {
   const emoji = {
@@ -55,6 +59,7 @@ function logUserAction(userId, action, details = {}) {
     action,
     ...details
   });
+  logEvents.emit('user_action', { userId, action, details, at: new Date().toISOString() });
 }
 
 /**
@@ -68,6 +73,7 @@ function logApiCall(service, endpoint, durationMs, success = true) {
     durationMs,
     success
   });
+  logEvents.emit('api_call', { service, endpoint, durationMs, success, at: new Date().toISOString() });
 }
 
 /**
@@ -86,6 +92,7 @@ function logProgress(userId, step, status) {
 
 module.exports = {
   logger,
+  logEvents,
   logUserAction,
   logApiCall,
   logProgress